@@ -3,20 +3,41 @@
  * 
  * Optimizes images to WebP format, minifies CSS and JavaScript files,
  * generates critical CSS, and creates optimized build output.
+ *
+ * Raster images also get width-based variants (AVIF, WebP and the original
+ * format). `<img>` tags in the built HTML are rewritten to `<picture>` with
+ * `srcset`/`sizes` (or `data-srcset` for images LazyLoader loads), and get
+ * their intrinsic width and height so they reserve space before loading.
+ * Every decodable image also gets an inline blurred placeholder and dominant
+ * color, shown until the full image has loaded.
+ *
+ * The optimized dist/ output is checked against the performance budgets in
+ * build-scripts/budgets.json. A budget report is written to
+ * .cache/budget-report.json (also printed with --json), sizes are diffed
+ * against the previous build's report, and the process exits with 1 when a
+ * budget is exceeded. Render-blocking CSS (linked from the HTML, directly or
+ * through `@import`) has its own budget; section stylesheets that main.js
+ * loads on approach only count toward the per-asset and overall limits.
+ *
+ * CSS and images are renamed to content-hashed filenames (`main-1a2b3c4d.css`)
+ * and references in HTML, CSS `url()`s and data JSON are rewritten to match.
+ * dist/asset-manifest.json maps each source path to its built path.
+ *
+ * The individual steps are exported for the staged build CLI (scripts/build.js);
+ * the full optimization only runs when this file is executed directly.
  * 
  * @generated-from: task-id:TASK-007 type:performance
  * @modifies: dist/ directory
- * @dependencies: ["imagemin", "terser", "postcss", "fs-extra"]
+ * @dependencies: ["imagemin", "sharp", "terser", "postcss", "fs-extra"]
  */
 
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import imagemin from 'imagemin';
-import imageminMozjpeg from 'imagemin-mozjpeg';
-import imageminPngquant from 'imagemin-pngquant';
 import imageminSvgo from 'imagemin-svgo';
-import imageminWebp from 'imagemin-webp';
+import sharp from 'sharp';
 import { minify as terserMinify } from 'terser';
 import postcss from 'postcss';
 import cssnano from 'cssnano';
@@ -30,11 +51,47 @@ const __dirname = path.dirname(__filename);
 const CONFIG = Object.freeze({
   srcDir: path.resolve(__dirname, '../src'),
   distDir: path.resolve(__dirname, '../dist'),
+  budgetsPath: path.resolve(__dirname, 'budgets.json'),
+  budgetReportPath: path.resolve(__dirname, '../.cache/budget-report.json'),
+  manifestPath: path.resolve(__dirname, '../dist/asset-manifest.json'),
+  fingerprint: {
+    hashLength: 8,
+    patterns: ['css/**/*.css', 'images/**/*.{jpg,jpeg,png,gif,svg,webp,avif}'],
+    htmlAttributes: ['src', 'href', 'srcset', 'data-src', 'data-srcset', 'data-stylesheet', 'poster']
+  },
+  printJsonReport: process.argv.includes('--json'),
+  assetTypes: {
+    '.js': 'js',
+    '.css': 'css',
+    '.html': 'html',
+    '.jpg': 'image',
+    '.jpeg': 'image',
+    '.png': 'image',
+    '.gif': 'image',
+    '.svg': 'image',
+    '.webp': 'image',
+    '.avif': 'image'
+  },
   imageQuality: {
     jpeg: 85,
-    png: [0.6, 0.8],
+    png: 80,
     webp: 80
   },
+  responsiveImages: {
+    widths: [480, 768, 1200, 1920],
+    formats: ['avif', 'webp'],
+    quality: {
+      avif: 50,
+      webp: 80,
+      jpeg: 85,
+      png: 80
+    },
+    defaultSizes: '100vw'
+  },
+  placeholders: {
+    width: 16,
+    quality: 40
+  },
   terserOptions: {
     compress: {
       drop_console: true,
@@ -66,6 +123,7 @@ const stats = {
   images: { original: 0, optimized: 0, saved: 0, count: 0 },
   css: { original: 0, optimized: 0, saved: 0, count: 0 },
   js: { original: 0, optimized: 0, saved: 0, count: 0 },
+  errors: [],
   startTime: Date.now()
 };
 
@@ -162,20 +220,21 @@ async function optimizeImages() {
         // Optimize and convert to WebP
         const webpOutputPath = outputPath.replace(/\.(jpg|jpeg|png)$/i, '.webp');
         
-        await imagemin([imagePath], {
-          destination: outputDir,
-          plugins: [
-            imageminMozjpeg({ quality: CONFIG.imageQuality.jpeg }),
-            imageminPngquant({ quality: CONFIG.imageQuality.png }),
-            imageminSvgo({
-              plugins: [
-                { name: 'removeViewBox', active: false },
-                { name: 'cleanupIDs', active: true }
-              ]
-            }),
-            imageminWebp({ quality: CONFIG.imageQuality.webp })
-          ]
-        });
+        if (/\.(jpg|jpeg|png)$/i.test(imagePath)) {
+          await compressRaster(imagePath, outputPath, webpOutputPath);
+        } else {
+          await imagemin([imagePath], {
+            destination: outputDir,
+            plugins: [
+              imageminSvgo({
+                plugins: [
+                  { name: 'removeViewBox', active: false },
+                  { name: 'cleanupIDs', active: true }
+                ]
+              })
+            ]
+          });
+        }
         
         // Check if WebP was created
         let optimizedSize = originalSize;
@@ -195,7 +254,12 @@ async function optimizeImages() {
         const savings = calculateSavings(originalSize, optimizedSize);
         log(`Optimized ${relativePath}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)} (${savings})`, 'success');
         
+        if (/\.(jpg|jpeg|png)$/i.test(imagePath)) {
+          await createResponsiveVariants(imagePath, outputPath);
+        }
+        
       } catch (error) {
+        stats.errors.push({ step: 'images', file: relativePath, message: error.message });
         log(`Failed to optimize ${relativePath}: ${error.message}`, 'error');
       }
     }
@@ -207,6 +271,97 @@ async function optimizeImages() {
   }
 }
 
+/**
+ * Recompresses a JPEG or PNG in its own format (mozjpeg, palette PNG) and
+ * writes a WebP sibling next to it
+ * @param {string} imagePath - Source image
+ * @param {string} outputPath - Optimized image path in dist/
+ * @param {string} webpOutputPath - WebP sibling path in dist/
+ * @returns {Promise<void>}
+ */
+async function compressRaster(imagePath, outputPath, webpOutputPath) {
+  const image = sharp(imagePath).rotate();
+  const encoded = /\.png$/i.test(imagePath)
+    ? image.clone().png({ palette: true, quality: CONFIG.imageQuality.png, compressionLevel: 9 })
+    : image.clone().jpeg({ quality: CONFIG.imageQuality.jpeg, mozjpeg: true });
+
+  await Promise.all([
+    encoded.toFile(outputPath),
+    image.clone().webp({ quality: CONFIG.imageQuality.webp }).toFile(webpOutputPath)
+  ]);
+}
+
+/**
+ * Picks the variant widths for an image: the configured widths below its own
+ * width, plus its own width capped at the largest configured width
+ * @param {number} originalWidth - Intrinsic width
+ * @returns {number[]} Widths in ascending order
+ */
+function responsiveWidths(originalWidth) {
+  const { widths } = CONFIG.responsiveImages;
+  const largest = Math.min(originalWidth, Math.max(...widths));
+
+  return [...new Set([...widths.filter((width) => width < largest), largest])];
+}
+
+/**
+ * Writes `<name>-<width>w.<format>` variants of a raster image next to its
+ * optimized output. Images that cannot be decoded keep only the original.
+ * @param {string} imagePath - Source image
+ * @param {string} outputPath - Optimized output path in dist/
+ * @returns {Promise<number>} Number of variants written
+ */
+async function createResponsiveVariants(imagePath, outputPath) {
+  const relativePath = path.relative(CONFIG.srcDir, imagePath);
+  let metadata;
+
+  try {
+    metadata = await sharp(imagePath).metadata();
+  } catch (error) {
+    log(`Skipped responsive variants for ${relativePath}: ${error.message}`, 'warn');
+    return 0;
+  }
+
+  const ext = path.extname(outputPath);
+  const base = outputPath.slice(0, -ext.length);
+  const originalFormat = /\.png$/i.test(ext) ? 'png' : 'jpeg';
+  const formats = [...CONFIG.responsiveImages.formats, originalFormat];
+  let count = 0;
+
+  for (const width of responsiveWidths(metadata.width)) {
+    for (const format of formats) {
+      const variantExt = format === originalFormat ? ext : `.${format}`;
+
+      await sharp(imagePath)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, { quality: CONFIG.responsiveImages.quality[format] })
+        .toFile(`${base}-${width}w${variantExt}`);
+
+      count++;
+    }
+  }
+
+  log(`Created ${count} responsive variants of ${relativePath}`, 'success');
+  return count;
+}
+
+/**
+ * Creates a tiny blurred placeholder and the dominant color of an image
+ * @param {string} imagePath - Image to summarize
+ * @returns {Promise<{image: string, color: string}>} Data URI and hex color
+ */
+async function createPlaceholder(imagePath) {
+  const { width, quality } = CONFIG.placeholders;
+  const [buffer, { dominant }] = await Promise.all([
+    sharp(imagePath).rotate().resize({ width }).blur().webp({ quality }).toBuffer(),
+    sharp(imagePath).stats()
+  ]);
+  const color = `#${[dominant.r, dominant.g, dominant.b].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+
+  return { image: `data:image/webp;base64,${buffer.toString('base64')}`, color };
+}
+
 /**
  * Minifies CSS files
  * @returns {Promise<void>}
@@ -256,6 +411,7 @@ async function minifyCSS() {
         log(`Minified ${relativePath}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)} (${savings})`, 'success');
         
       } catch (error) {
+        stats.errors.push({ step: 'css', file: relativePath, message: error.message });
         log(`Failed to minify ${relativePath}: ${error.message}`, 'error');
       }
     }
@@ -317,6 +473,7 @@ async function minifyJS() {
         log(`Minified ${relativePath}: ${formatBytes(originalSize)} → ${formatBytes(optimizedSize)} (${savings})`, 'success');
         
       } catch (error) {
+        stats.errors.push({ step: 'js', file: relativePath, message: error.message });
         log(`Failed to minify ${relativePath}: ${error.message}`, 'error');
       }
     }
@@ -355,9 +512,807 @@ async function copyStaticAssets() {
 }
 
 /**
- * Prints optimization summary
+ * Reads dist/asset-manifest.json
+ * @returns {Promise<Object<string, string>>} Source path to built path
+ */
+async function readManifest() {
+  if (!(await fs.pathExists(CONFIG.manifestPath))) {
+    return {};
+  }
+
+  return fs.readJson(CONFIG.manifestPath);
+}
+
+/**
+ * Merges entries into dist/asset-manifest.json
+ * @param {Object<string, string>} entries - Source path to built path
+ * @returns {Promise<Object<string, string>>} The full manifest
+ */
+async function writeManifest(entries) {
+  const merged = { ...(await readManifest()), ...entries };
+  const manifest = Object.fromEntries(Object.entries(merged).sort(([a], [b]) => a.localeCompare(b)));
+
+  await fs.outputJson(CONFIG.manifestPath, manifest, { spaces: 2 });
+  return manifest;
+}
+
+/**
+ * Checks whether a reference points at a local file
+ * @param {string} reference - URL from HTML, CSS or JSON
+ * @returns {boolean} True for relative and root-relative paths
+ */
+function isLocalReference(reference) {
+  return !!reference && !/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference);
+}
+
+/**
+ * Resolves a local reference to a dist-relative path. Pages and data files
+ * refer to some assets by their source-tree path (`/src/images/...`).
+ * @param {string} reference - URL from HTML, CSS or JSON
+ * @param {string} fromDir - Directory (relative to dist/) the reference is resolved against
+ * @returns {string} Dist-relative path without query or fragment
+ */
+function resolveReference(reference, fromDir) {
+  const [pathname] = reference.split(/[?#]/);
+
+  if (pathname.startsWith('/')) {
+    return pathname.slice(1).replace(/^src\//, '');
+  }
+
+  return path.posix.normalize(path.posix.join(fromDir, pathname));
+}
+
+/**
+ * Rewrites one reference to its fingerprinted path, keeping its style
+ * (root-relative or relative) and any query or fragment
+ * @param {string} reference - URL from HTML, CSS or JSON
+ * @param {string} fromDir - Directory (relative to dist/) the reference is resolved against
+ * @param {Object<string, string>} manifest - Source path to built path
+ * @returns {string|null} Rewritten reference, or null if it is not a built asset
+ */
+function rewriteReference(reference, fromDir, manifest) {
+  if (!isLocalReference(reference)) {
+    return null;
+  }
+
+  const hashed = manifest[resolveReference(reference, fromDir)];
+
+  if (!hashed) {
+    return null;
+  }
+
+  const suffix = reference.slice(reference.split(/[?#]/)[0].length);
+  const target = reference.startsWith('/') ? `/${hashed}` : path.posix.relative(fromDir, hashed);
+
+  return `${target}${suffix}`;
+}
+
+/**
+ * Rewrites `url()` and `@import` references in a stylesheet
+ * @param {string} css - Stylesheet source
+ * @param {string} fromDir - Stylesheet directory relative to dist/
+ * @param {Function} lookup - (reference) => rewritten reference or null
+ * @returns {string} Rewritten stylesheet
+ */
+function rewriteCssReferences(css, fromDir, lookup) {
+  return css
+    .replace(/url\(\s*(['"]?)([^'")]+?)\1\s*\)/g, (match, quote, reference) => {
+      const rewritten = lookup(reference, fromDir);
+      return rewritten ? `url(${quote}${rewritten}${quote})` : match;
+    })
+    .replace(/@import\s*(['"])([^'"]+)\1/g, (match, quote, reference) => {
+      const rewritten = lookup(reference, fromDir);
+      return rewritten ? `@import ${quote}${rewritten}${quote}` : match;
+    });
+}
+
+/**
+ * Rewrites asset references in an HTML page's src, href and srcset attributes
+ * @param {string} html - Page HTML
+ * @param {string} fromDir - Page directory relative to dist/
+ * @param {Object<string, string>} manifest - Source path to built path
+ * @param {Function} onMissing - Called with references to assets that were not built
+ * @returns {string} Rewritten HTML
+ */
+function rewriteHtmlReferences(html, fromDir, manifest, onMissing) {
+  const attributes = CONFIG.fingerprint.htmlAttributes.join('|');
+  const pattern = new RegExp(`(\\s(?:${attributes})=)"([^"]*)"`, 'g');
+
+  return html.replace(pattern, (match, attribute, value) => {
+    const candidates = /srcset$/.test(attribute.trim().slice(0, -1))
+      ? value.split(',').map((candidate) => candidate.trim().split(/\s+/))
+      : [[value]];
+
+    const rewritten = candidates.map(([reference, ...descriptor]) => {
+      const hashed = rewriteReference(reference, fromDir, manifest);
+
+      if (!hashed && isLocalReference(reference) && CONFIG.assetTypes[path.extname(resolveReference(reference, fromDir)).toLowerCase()] === 'image') {
+        onMissing(reference);
+      }
+
+      return [hashed || reference, ...descriptor].join(' ');
+    });
+
+    return `${attribute}"${rewritten.join(', ')}"`;
+  });
+}
+
+/**
+ * Rewrites string values in parsed JSON that reference built assets
+ * @param {*} value - Parsed JSON value
+ * @param {Object<string, string>} manifest - Source path to built path
+ * @returns {*} Rewritten value
+ */
+function rewriteJsonReferences(value, manifest) {
+  if (typeof value === 'string') {
+    return rewriteReference(value, '', manifest) || value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => rewriteJsonReferences(item, manifest));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewriteJsonReferences(item, manifest)]));
+  }
+
+  return value;
+}
+
+/**
+ * Reads the attributes of an HTML start tag
+ * @param {string} tag - Start tag
+ * @returns {Map<string, string>} Attribute name to value ('' for boolean attributes)
+ */
+function readAttributes(tag) {
+  const attributes = new Map();
+  const pattern = /\s([^\s"'<>\/=]+)(?:\s*=\s*"([^"]*)")?/g;
+  let match;
+
+  while ((match = pattern.exec(tag.replace(/^<\w+/, ''))) !== null) {
+    attributes.set(match[1].toLowerCase(), match[2] || '');
+  }
+
+  return attributes;
+}
+
+/**
+ * Adds attributes to the end of an HTML start tag
+ * @param {string} tag - Start tag
+ * @param {Object<string, string|number>} added - Attributes to add
+ * @returns {string} Updated tag
  */
-function printSummary() {
+function addAttributes(tag, added) {
+  const markup = Object.entries(added).map(([name, value]) => ` ${name}="${value}"`).join('');
+  return tag.replace(/\s*(\/?)>$/, (end, selfClosing) => `${markup}${selfClosing ? ' /' : ''}>`);
+}
+
+/**
+ * Finds the responsive variants optimizeImages wrote for an image
+ * @param {string} file - Image path relative to dist/
+ * @returns {Promise<Object<string, Object[]>>} Candidates (`file`, `width`) by format, plus `original`
+ */
+async function findResponsiveVariants(file) {
+  const ext = path.posix.extname(file);
+  const base = file.slice(0, -ext.length);
+  const candidates = await glob(`${base}-*w.*`, { cwd: CONFIG.distDir, nodir: true, posix: true });
+  const variants = { original: [] };
+
+  CONFIG.responsiveImages.formats.forEach((format) => {
+    variants[format] = [];
+  });
+
+  candidates.forEach((candidate) => {
+    const match = /-(\d+)w(\.\w+)$/.exec(candidate.slice(base.length));
+
+    if (!match || candidate.slice(0, -match[0].length) !== base) {
+      return;
+    }
+
+    const format = match[2] === ext ? 'original' : match[2].slice(1);
+
+    if (variants[format]) {
+      variants[format].push({ file: candidate, width: Number(match[1]) });
+    }
+  });
+
+  Object.values(variants).forEach((list) => list.sort((a, b) => a.width - b.width));
+
+  return variants;
+}
+
+/**
+ * References a variant in the same style (root-relative or relative) as the
+ * reference to its original
+ * @param {Object} variant - Variant from findResponsiveVariants
+ * @param {string} reference - Reference to the original image
+ * @param {string} fromDir - Directory (relative to dist/) the reference is resolved against
+ * @returns {string} Variant reference
+ */
+function toVariantReference(variant, reference, fromDir) {
+  return reference.startsWith('/') ? `/${variant.file}` : path.posix.relative(fromDir, variant.file);
+}
+
+/**
+ * Adds responsive image details to parsed data JSON. Next to every `<name>Url`
+ * key that references a raster image, a `<name>Image` key gets its intrinsic
+ * size, its blurred `placeholder` and its variants as `candidates` (original
+ * format) and per-format `sources`, for scripts that render the data to build
+ * `<picture>` markup.
+ * @param {*} value - Parsed JSON value, changed in place
+ * @param {Function} describeImage - (file) => Promise of image details or null
+ * @returns {Promise<number>} Number of images described
+ */
+async function describeJsonImages(value, describeImage) {
+  if (Array.isArray(value)) {
+    let count = 0;
+
+    for (const item of value) {
+      count += await describeJsonImages(item, describeImage);
+    }
+
+    return count;
+  }
+
+  if (!value || typeof value !== 'object') {
+    return 0;
+  }
+
+  let count = 0;
+
+  for (const [key, item] of Object.entries(value)) {
+    const match = /^(\w+)Url$/.exec(key);
+
+    if (match && typeof item === 'string' && isLocalReference(item) && /\.(jpg|jpeg|png)$/i.test(item.split(/[?#]/)[0])) {
+      const image = await describeImage(resolveReference(item, ''));
+
+      if (image) {
+        const candidates = (variants) => variants.map((variant) => ({
+          url: toVariantReference(variant, item, ''),
+          width: variant.width
+        }));
+
+        value[`${match[1]}Image`] = {
+          width: image.width,
+          height: image.height,
+          placeholder: image.placeholder,
+          candidates: candidates(image.variants.original),
+          sources: CONFIG.responsiveImages.formats
+            .filter((format) => image.variants[format].length > 0)
+            .map((format) => ({ type: `image/${format}`, candidates: candidates(image.variants[format]) }))
+        };
+        count++;
+      }
+    } else if (item && typeof item === 'object') {
+      count += await describeJsonImages(item, describeImage);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Rewrites one `<img>` tag: adds missing intrinsic width/height, the blurred
+ * placeholder as its background (and as the `src` of images LazyLoader loads)
+ * and, when variants exist, a `srcset`/`sizes` and a `<picture>` with AVIF
+ * and WebP sources. Images LazyLoader loads (`data-src`) get `data-srcset`
+ * instead, so nothing is fetched before they approach the viewport.
+ * @param {string} tag - `<img>` start tag
+ * @param {Object} context - Rewrite context
+ * @param {string} context.fromDir - Page directory relative to dist/
+ * @param {boolean} context.inPicture - True if the page already wraps the image in `<picture>`
+ * @param {Function} context.describeImage - (file) => Promise of `{width, height, variants, placeholder}` or null
+ * @returns {Promise<string>} Rewritten markup
+ */
+async function rewriteImageTag(tag, { fromDir, inPicture, describeImage }) {
+  const attributes = readAttributes(tag);
+  const lazy = attributes.has('data-src');
+  const reference = lazy ? attributes.get('data-src') : attributes.get('src');
+
+  if (!reference || !isLocalReference(reference)) {
+    return tag;
+  }
+
+  const file = resolveReference(reference, fromDir);
+
+  if (!/\.(jpg|jpeg|png)$/i.test(file)) {
+    return tag;
+  }
+
+  const image = await describeImage(file);
+
+  if (!image) {
+    return tag;
+  }
+
+  const added = {};
+  const width = Number(attributes.get('width'));
+  const height = Number(attributes.get('height'));
+
+  if (!width && !height) {
+    added.width = image.width;
+    added.height = image.height;
+  } else if (!height) {
+    added.height = Math.round((width * image.height) / image.width);
+  } else if (!width) {
+    added.width = Math.round((height * image.width) / image.height);
+  }
+
+  // An author-set style wins over the placeholder background
+  if (!attributes.has('style')) {
+    added['data-placeholder'] = '';
+    added.style = `background-color: ${image.placeholder.color}; background-image: url(${image.placeholder.image})`;
+
+    if (lazy && !attributes.has('src')) {
+      added.src = image.placeholder.image;
+    }
+  }
+
+  const hasSrcset = attributes.has('srcset') || attributes.has('data-srcset');
+
+  if (inPicture || hasSrcset || image.variants.original.length === 0) {
+    return addAttributes(tag, added);
+  }
+
+  const srcset = (variants) => variants
+    .map((variant) => `${toVariantReference(variant, reference, fromDir)} ${variant.width}w`)
+    .join(', ');
+  const srcsetAttribute = lazy ? 'data-srcset' : 'srcset';
+  const sizes = attributes.get('sizes') || (width ? `${width}px` : CONFIG.responsiveImages.defaultSizes);
+
+  added[srcsetAttribute] = srcset(image.variants.original);
+  if (!attributes.has('sizes')) {
+    added.sizes = sizes;
+  }
+
+  const sources = CONFIG.responsiveImages.formats
+    .filter((format) => image.variants[format].length > 0)
+    .map((format) => `<source type="image/${format}" ${srcsetAttribute}="${srcset(image.variants[format])}" sizes="${sizes}">`);
+
+  return `<picture>${sources.join('')}${addAttributes(tag, added)}</picture>`;
+}
+
+/**
+ * Rewrites `<img>` tags in the built HTML for responsive delivery: intrinsic
+ * width/height against layout shift, blurred placeholders, and
+ * `<picture>`/`srcset`/`sizes` for images with variants. Images referenced
+ * from data JSON get the same details through describeJsonImages. Runs before
+ * fingerprintAssets, which then rewrites the variant URLs to their hashed
+ * names.
+ * @returns {Promise<void>}
+ */
+async function rewriteResponsiveImages() {
+  log('Rewriting images for responsive delivery...', 'info');
+
+  const htmlFiles = await glob('**/*.html', { cwd: CONFIG.distDir, nodir: true, posix: true });
+  const dataFiles = await glob('data/**/*.json', { cwd: CONFIG.distDir, nodir: true, posix: true });
+  const images = new Map();
+  let rewrittenCount = 0;
+  let describedCount = 0;
+
+  const describeImage = (file) => {
+    if (!images.has(file)) {
+      images.set(file, (async () => {
+        const imagePath = path.join(CONFIG.distDir, file);
+
+        if (!(await fs.pathExists(imagePath))) {
+          return null;
+        }
+
+        try {
+          const { width, height } = await sharp(imagePath).metadata();
+          return {
+            width,
+            height,
+            variants: await findResponsiveVariants(file),
+            placeholder: await createPlaceholder(imagePath)
+          };
+        } catch (error) {
+          log(`Left references to ${file} unchanged: ${error.message}`, 'warn');
+          return null;
+        }
+      })());
+    }
+
+    return images.get(file);
+  };
+
+  for (const file of htmlFiles) {
+    const htmlPath = path.join(CONFIG.distDir, file);
+    const html = await fs.readFile(htmlPath, 'utf8');
+    const fromDir = path.posix.dirname(file);
+    let output = '';
+    let lastIndex = 0;
+
+    for (const match of html.matchAll(/<img\b[^>]*>/gi)) {
+      const before = html.slice(0, match.index);
+      const inPicture = before.lastIndexOf('<picture') > before.lastIndexOf('</picture>');
+      const rewritten = await rewriteImageTag(match[0], { fromDir, inPicture, describeImage });
+
+      if (rewritten !== match[0]) {
+        rewrittenCount++;
+      }
+
+      output += html.slice(lastIndex, match.index) + rewritten;
+      lastIndex = match.index + match[0].length;
+    }
+
+    await fs.writeFile(htmlPath, output + html.slice(lastIndex), 'utf8');
+  }
+
+  for (const file of dataFiles) {
+    const dataPath = path.join(CONFIG.distDir, file);
+    const data = await fs.readJson(dataPath);
+    const count = await describeJsonImages(data, describeImage);
+
+    if (count > 0) {
+      await fs.writeJson(dataPath, data, { spaces: 2 });
+      describedCount += count;
+    }
+  }
+
+  log(`Rewrote ${rewrittenCount} <img> tags in ${htmlFiles.length} HTML files and described ${describedCount} images in data JSON`, 'success');
+}
+
+/**
+ * Renames CSS and images in dist/ to content-hashed filenames, rewrites the
+ * references to them in HTML, CSS and data JSON, and writes
+ * dist/asset-manifest.json. JavaScript gets its hashed names from the
+ * bundle-js stage, which adds its entries to the same manifest.
+ * Stylesheets are hashed after their own
+ * references are rewritten, so a changed image or import changes the hash of
+ * every stylesheet that uses it.
+ * @returns {Promise<Object<string, string>>} The asset manifest
+ */
+async function fingerprintAssets() {
+  log('Fingerprinting assets...', 'info');
+
+  const files = await glob(CONFIG.fingerprint.patterns, { cwd: CONFIG.distDir, nodir: true, posix: true });
+  const pending = new Set(files.map((file) => file.split(path.sep).join('/')));
+  const manifest = {};
+
+  const hashFile = async (file, trail = []) => {
+    if (manifest[file]) {
+      return manifest[file];
+    }
+
+    if (trail.includes(file)) {
+      throw new Error(`Circular stylesheet import: ${[...trail, file].join(' → ')}`);
+    }
+
+    const filePath = path.join(CONFIG.distDir, file);
+    let content = await fs.readFile(filePath);
+
+    if (path.extname(file) === '.css') {
+      const fromDir = path.posix.dirname(file);
+      const dependencies = [];
+
+      rewriteCssReferences(content.toString('utf8'), fromDir, (reference) => {
+        const resolved = isLocalReference(reference) && resolveReference(reference, fromDir);
+        if (resolved && pending.has(resolved)) {
+          dependencies.push(resolved);
+        }
+        return null;
+      });
+
+      for (const dependency of dependencies) {
+        await hashFile(dependency, [...trail, file]);
+      }
+
+      content = Buffer.from(rewriteCssReferences(content.toString('utf8'), fromDir, (reference) => rewriteReference(reference, fromDir, manifest)), 'utf8');
+    }
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, CONFIG.fingerprint.hashLength);
+    const ext = path.extname(file);
+    const hashed = `${file.slice(0, -ext.length)}-${hash}${ext}`;
+
+    await fs.writeFile(path.join(CONFIG.distDir, hashed), content);
+    await fs.remove(filePath);
+    manifest[file] = hashed;
+
+    return hashed;
+  };
+
+  for (const file of pending) {
+    try {
+      await hashFile(file);
+    } catch (error) {
+      stats.errors.push({ step: 'fingerprint', file, message: error.message });
+      log(`Failed to fingerprint ${file}: ${error.message}`, 'error');
+    }
+  }
+
+  const htmlFiles = await glob('**/*.html', { cwd: CONFIG.distDir, nodir: true, posix: true });
+
+  for (const file of htmlFiles) {
+    const htmlPath = path.join(CONFIG.distDir, file);
+    const html = await fs.readFile(htmlPath, 'utf8');
+    const output = rewriteHtmlReferences(html, path.posix.dirname(file), manifest, (reference) => {
+      log(`${file} references ${reference}, which is not in the build`, 'warn');
+    });
+
+    await fs.writeFile(htmlPath, output, 'utf8');
+  }
+
+  const dataFiles = await glob('data/**/*.json', { cwd: CONFIG.distDir, nodir: true, posix: true });
+  let rewrittenDataFiles = 0;
+
+  for (const file of dataFiles) {
+    const dataPath = path.join(CONFIG.distDir, file);
+    const data = await fs.readJson(dataPath);
+    const rewritten = rewriteJsonReferences(data, manifest);
+
+    if (JSON.stringify(rewritten) !== JSON.stringify(data)) {
+      await fs.writeJson(dataPath, rewritten, { spaces: 2 });
+      rewrittenDataFiles++;
+    }
+  }
+
+  const fullManifest = await writeManifest(manifest);
+
+  log(`Fingerprinted ${Object.keys(manifest).length} assets; rewrote ${htmlFiles.length} HTML and ${rewrittenDataFiles} data files`, 'success');
+
+  return fullManifest;
+}
+
+/**
+ * Loads the performance budgets
+ * @returns {Promise<Object>} Budgets
+ */
+async function loadBudgets() {
+  try {
+    const budgets = await fs.readJson(CONFIG.budgetsPath);
+
+    if (!budgets.perAsset || !budgets.total || typeof budgets.maxRequests !== 'number') {
+      throw new Error('expected perAsset, total and maxRequests');
+    }
+
+    return budgets;
+  } catch (error) {
+    throw new Error(`Invalid budget config ${path.relative(process.cwd(), CONFIG.budgetsPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the stylesheets that block first render: those linked from the built
+ * HTML outside `<noscript>`, and everything they `@import`
+ * @returns {Promise<Set<string>>} Built paths relative to dist/
+ */
+async function findRenderBlockingCss() {
+  const htmlFiles = await glob('**/*.html', { cwd: CONFIG.distDir, nodir: true, posix: true });
+  const blocking = new Set();
+
+  const visit = async (file) => {
+    if (blocking.has(file) || !(await fs.pathExists(path.join(CONFIG.distDir, file)))) {
+      return;
+    }
+
+    blocking.add(file);
+
+    const css = await fs.readFile(path.join(CONFIG.distDir, file), 'utf8');
+
+    for (const match of css.matchAll(/@import\s+(?:url\(\s*)?['"]?([^'")\s;]+)/g)) {
+      if (isLocalReference(match[1])) {
+        await visit(resolveReference(match[1], path.posix.dirname(file)));
+      }
+    }
+  };
+
+  for (const htmlFile of htmlFiles) {
+    const html = (await fs.readFile(path.join(CONFIG.distDir, htmlFile), 'utf8'))
+      .replace(/<noscript>[\s\S]*?<\/noscript>/gi, '');
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+      const attributes = readAttributes(tag);
+      const href = attributes.get('href');
+      const media = attributes.get('media');
+
+      if (attributes.get('rel') === 'stylesheet' && isLocalReference(href) && media !== 'print') {
+        await visit(resolveReference(href, path.posix.dirname(htmlFile)));
+      }
+    }
+  }
+
+  return blocking;
+}
+
+/**
+ * Lists the budgeted files in dist/. A JPEG or PNG with a WebP sibling is
+ * listed but not counted toward totals or requests, since browsers that get
+ * the WebP never download it.
+ * @returns {Promise<Object[]>} Assets with file, type, bytes, counted and renderBlocking flags
+ */
+async function collectDistAssets() {
+  const extensions = Object.keys(CONFIG.assetTypes).map((ext) => ext.slice(1)).join(',');
+  const files = await glob(path.join(CONFIG.distDir, `**/*.{${extensions}}`), { nodir: true });
+  const renderBlocking = await findRenderBlockingCss();
+  const manifest = await readManifest();
+  const sourceNames = new Map(Object.entries(manifest).map(([source, built]) => [built, source]));
+
+  // Fingerprinted assets are reported under their source path so diffs line up between builds
+  const toBuiltName = (file) => path.relative(CONFIG.distDir, file).split(path.sep).join('/');
+  const toSourceName = (file) => sourceNames.get(toBuiltName(file)) || toBuiltName(file);
+  const fileSet = new Set(files.map(toSourceName));
+
+  const assets = await Promise.all(files.map(async (file) => {
+    const { size } = await fs.stat(file);
+    const ext = path.extname(file).toLowerCase();
+    const name = toSourceName(file);
+    const webpSibling = name.replace(/\.(jpg|jpeg|png)$/i, '.webp');
+    const isAlternative = /\.(jpg|jpeg|png)$/i.test(name) && fileSet.has(webpSibling);
+
+    // A browser fetches one candidate per image, so only the original counts toward totals
+    const isResponsiveVariant = /-\d+w\.\w+$/.test(name);
+
+    return {
+      file: name,
+      type: CONFIG.assetTypes[ext],
+      bytes: size,
+      counted: !isAlternative && !isResponsiveVariant,
+      renderBlocking: renderBlocking.has(toBuiltName(file))
+    };
+  }));
+
+  return assets.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Checks assets against the budgets
+ * @param {Object} budgets - Budgets from budgets.json
+ * @param {Object[]} assets - Assets from collectDistAssets
+ * @returns {Object[]} Checks with name, limit, actual and passed
+ */
+function evaluateBudgets(budgets, assets) {
+  const checks = [];
+  const counted = assets.filter((asset) => asset.counted);
+
+  assets.forEach((asset) => {
+    const limit = budgets.perAsset[asset.type];
+
+    if (typeof limit === 'number') {
+      checks.push({ name: `asset ${asset.file}`, limit, actual: asset.bytes, passed: asset.bytes <= limit });
+    }
+  });
+
+  Object.entries(budgets.total).forEach(([type, limit]) => {
+    const actual = counted
+      .filter((asset) => type === 'all' || asset.type === type)
+      .reduce((sum, asset) => sum + asset.bytes, 0);
+
+    checks.push({ name: `total ${type}`, limit, actual, passed: actual <= limit });
+  });
+
+  Object.entries(budgets.renderBlocking || {}).forEach(([type, limit]) => {
+    const actual = counted
+      .filter((asset) => asset.renderBlocking && asset.type === type)
+      .reduce((sum, asset) => sum + asset.bytes, 0);
+
+    checks.push({ name: `render-blocking ${type}`, limit, actual, passed: actual <= limit });
+  });
+
+  checks.push({
+    name: 'requests',
+    limit: budgets.maxRequests,
+    actual: counted.length,
+    passed: counted.length <= budgets.maxRequests
+  });
+
+  return checks;
+}
+
+/**
+ * Reads the budget report from the previous build
+ * @returns {Promise<Object|null>} Previous report or null
+ */
+async function readPreviousReport() {
+  try {
+    if (await fs.pathExists(CONFIG.budgetReportPath)) {
+      return await fs.readJson(CONFIG.budgetReportPath);
+    }
+  } catch (error) {
+    log(`Ignoring unreadable previous budget report: ${error.message}`, 'warn');
+  }
+
+  return null;
+}
+
+/**
+ * Diffs asset sizes against the previous build
+ * @param {Object[]} assets - Current assets
+ * @param {Object|null} previous - Previous report
+ * @returns {Object[]} Changed, added and removed files with byte deltas
+ */
+function diffAssets(assets, previous) {
+  if (!previous || !Array.isArray(previous.assets)) {
+    return [];
+  }
+
+  const before = new Map(previous.assets.map((asset) => [asset.file, asset.bytes]));
+  const diffs = [];
+
+  assets.forEach((asset) => {
+    const previousBytes = before.get(asset.file);
+    before.delete(asset.file);
+
+    if (previousBytes === undefined) {
+      diffs.push({ file: asset.file, status: 'added', previous: 0, current: asset.bytes, delta: asset.bytes });
+    } else if (previousBytes !== asset.bytes) {
+      diffs.push({ file: asset.file, status: 'changed', previous: previousBytes, current: asset.bytes, delta: asset.bytes - previousBytes });
+    }
+  });
+
+  before.forEach((bytes, file) => {
+    diffs.push({ file, status: 'removed', previous: bytes, current: 0, delta: -bytes });
+  });
+
+  return diffs;
+}
+
+/**
+ * Formats a byte delta with its sign
+ * @param {number} delta - Byte delta
+ * @returns {string} Formatted delta
+ */
+function formatDelta(delta) {
+  return `${delta > 0 ? '+' : delta < 0 ? '-' : ''}${formatBytes(Math.abs(delta))}`;
+}
+
+/**
+ * Evaluates the budgets against dist/, prints the result and saves the report
+ * @returns {Promise<Object>} Budget report
+ */
+async function reportBudgets() {
+  const budgets = await loadBudgets();
+  const previous = await readPreviousReport();
+  const assets = await collectDistAssets();
+  const checks = evaluateBudgets(budgets, assets);
+  const diffs = diffAssets(assets, previous);
+  const failures = checks.filter((check) => !check.passed);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    passed: failures.length === 0,
+    checks,
+    diffs,
+    assets
+  };
+
+  console.log('\nBudgets:');
+  checks
+    .filter((check) => !check.name.startsWith('asset ') || !check.passed)
+    .forEach((check) => {
+      const format = check.name === 'requests' ? String : formatBytes;
+      console.log(`  ${check.passed ? '✓' : '✗'} ${check.name.padEnd(32)} ${format(check.actual)} / ${format(check.limit)}`);
+    });
+
+  if (previous) {
+    console.log('\nChanges since previous build:');
+
+    if (diffs.length === 0) {
+      console.log('  No size changes');
+    }
+
+    diffs.forEach((diff) => {
+      console.log(`  ${diff.status.padEnd(8)} ${diff.file.padEnd(40)} ${formatDelta(diff.delta)}`);
+    });
+  }
+
+  console.log(`\nBudget result:   ${report.passed ? 'PASS' : `FAIL (${failures.length} exceeded)`}`);
+
+  await fs.outputJson(CONFIG.budgetReportPath, report, { spaces: 2 });
+
+  if (CONFIG.printJsonReport) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+
+  return report;
+}
+
+/**
+ * Prints optimization summary and the budget report
+ * @returns {Promise<Object>} Budget report
+ */
+async function printSummary() {
   const duration = ((Date.now() - stats.startTime) / 1000).toFixed(2);
   
   console.log('\n' + '='.repeat(60));
@@ -398,7 +1353,11 @@ function printSummary() {
   console.log(`  Total saved:     ${formatBytes(totalSaved)} (${calculateSavings(totalOriginal, totalOptimized)})`);
   console.log(`  Duration:        ${duration}s`);
   
+  const report = await reportBudgets();
+  
   console.log('='.repeat(60) + '\n');
+  
+  return report;
 }
 
 /**
@@ -421,8 +1380,17 @@ async function optimize() {
     // Copy static assets
     await copyStaticAssets();
     
-    // Print summary
-    printSummary();
+    // Responsive <img> markup, then content-hashed filenames
+    await rewriteResponsiveImages();
+    await fingerprintAssets();
+    
+    // Print summary and enforce performance budgets
+    const budgetReport = await printSummary();
+    
+    if (!budgetReport.passed) {
+      log(`Performance budget exceeded; see ${path.relative(process.cwd(), CONFIG.budgetReportPath)}`, 'error');
+      process.exit(1);
+    }
     
     log('Build optimization completed successfully!', 'success');
     process.exit(0);
@@ -434,5 +1402,26 @@ async function optimize() {
   }
 }
 
-// Run optimization
-optimize();
\ No newline at end of file
+// Run optimization when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  optimize();
+}
+
+export {
+  CONFIG,
+  stats,
+  log,
+  formatBytes,
+  ensureDir,
+  optimizeImages,
+  minifyCSS,
+  minifyJS,
+  copyStaticAssets,
+  rewriteResponsiveImages,
+  readManifest,
+  writeManifest,
+  fingerprintAssets,
+  reportBudgets,
+  printSummary,
+  optimize
+};
\ No newline at end of file
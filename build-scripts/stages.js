@@ -0,0 +1,391 @@
+/**
+ * Build Stages
+ *
+ * Stage implementations that are not part of optimize.js: cleaning dist/,
+ * copying HTML and unminified JavaScript, bundling the JavaScript module
+ * graph, generating the sitemap from seo-config.json and validating the SEO
+ * essentials of the built pages. Run them through the staged build CLI
+ * (scripts/build.js).
+ *
+ * @modifies: dist/ directory
+ * @dependencies: ["esbuild", "fs-extra", "glob", "sitemap"]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { Readable } from 'stream';
+import { glob } from 'glob';
+import { SitemapStream, streamToPromise } from 'sitemap';
+import { build as esbuild } from 'esbuild';
+import { CONFIG, stats, log, formatBytes, ensureDir, writeManifest } from './optimize.js';
+
+const SEO_CONFIG_PATH = path.join(CONFIG.srcDir, 'data/seo-config.json');
+
+const BUNDLE_CONFIG = Object.freeze({
+  entry: 'js/main.js',
+  outDir: 'js',
+  entryNames: '[name]-[hash]',
+  chunkNames: 'chunks/[name]-[hash]',
+  target: ['es2020']
+});
+
+const SEO_LIMITS = Object.freeze({
+  titleMin: 10,
+  titleMax: 60,
+  descriptionMin: 50,
+  descriptionMax: 160
+});
+
+/**
+ * Removes the dist directory
+ * @returns {Promise<void>}
+ */
+async function clean() {
+  await fs.remove(CONFIG.distDir);
+  log(`Removed ${path.relative(process.cwd(), CONFIG.distDir) || CONFIG.distDir}`, 'success');
+}
+
+/**
+ * Copies HTML pages to dist
+ * @returns {Promise<void>}
+ */
+async function copyHtml() {
+  const htmlFiles = await glob(path.join(CONFIG.srcDir, '**/*.html'), { nodir: true });
+
+  if (htmlFiles.length === 0) {
+    throw new Error('No HTML files found in src/');
+  }
+
+  for (const htmlPath of htmlFiles) {
+    const relativePath = path.relative(CONFIG.srcDir, htmlPath);
+    await fs.copy(htmlPath, path.join(CONFIG.distDir, relativePath), { overwrite: true });
+    log(`Copied ${relativePath}`, 'success');
+  }
+}
+
+/**
+ * Copies JavaScript to dist unminified (minify-js replaces it in place)
+ * @returns {Promise<void>}
+ */
+async function copyJs() {
+  const src = path.join(CONFIG.srcDir, 'js');
+  const dest = path.join(CONFIG.distDir, 'js');
+
+  if (!(await fs.pathExists(src))) {
+    throw new Error('No src/js directory found');
+  }
+
+  await ensureDir(dest);
+  await fs.copy(src, dest, { overwrite: true });
+  log(`Copied ${path.relative(CONFIG.srcDir, src)} to dist`, 'success');
+}
+
+/**
+ * Lists the output files of a bundle with their role in the module graph
+ * @param {Object} metafile - esbuild metafile
+ * @returns {Object[]} Outputs with path, bytes, kind, module count and imports
+ */
+function describeBundle(metafile) {
+  const dynamicTargets = new Set();
+
+  Object.values(metafile.outputs).forEach((output) => {
+    output.imports
+      .filter((imported) => imported.kind === 'dynamic-import')
+      .forEach((imported) => dynamicTargets.add(imported.path));
+  });
+
+  return Object.entries(metafile.outputs).map(([outputPath, output]) => {
+    let kind = 'shared chunk';
+    if (output.entryPoint && !dynamicTargets.has(outputPath)) {
+      kind = 'entry';
+    } else if (dynamicTargets.has(outputPath)) {
+      kind = 'lazy chunk';
+    }
+
+    return {
+      path: outputPath,
+      bytes: output.bytes,
+      kind,
+      modules: Object.keys(output.inputs).map((input) => path.basename(input)),
+      staticImports: output.imports.filter((imported) => imported.kind === 'import-statement').map((imported) => imported.path),
+      dynamicImports: output.imports.filter((imported) => imported.kind === 'dynamic-import').map((imported) => imported.path)
+    };
+  });
+}
+
+/**
+ * Points the entry script tag in the built HTML at the hashed bundle and
+ * adds modulepreload links for the chunks it imports statically
+ * @param {string} entryUrl - Hashed entry URL relative to dist/
+ * @param {string[]} preloadUrls - Chunk URLs relative to dist/
+ * @returns {Promise<void>}
+ */
+async function injectBundle(entryUrl, preloadUrls) {
+  const htmlFiles = await glob(path.join(CONFIG.distDir, '**/*.html'), { nodir: true });
+  const scriptPattern = new RegExp(`<script type="module" src="${BUNDLE_CONFIG.entry.replace(/[.]/g, '\\.')}"></script>`);
+  let injected = 0;
+
+  for (const htmlPath of htmlFiles) {
+    const html = await fs.readFile(htmlPath, 'utf8');
+
+    if (!scriptPattern.test(html)) {
+      continue;
+    }
+
+    const preloads = preloadUrls
+      .map((url) => `  <link rel="modulepreload" href="${url}">\n`)
+      .join('');
+
+    const output = html
+      .replace(scriptPattern, `<script type="module" src="${entryUrl}"></script>`)
+      .replace('</head>', `${preloads}</head>`);
+
+    await fs.writeFile(htmlPath, output, 'utf8');
+    injected++;
+    log(`Injected ${entryUrl} into ${path.relative(CONFIG.distDir, htmlPath)}`, 'success');
+  }
+
+  if (injected === 0) {
+    throw new Error(`No built HTML loads ${BUNDLE_CONFIG.entry}; run copy-html first`);
+  }
+}
+
+/**
+ * Bundles the module graph under src/js/main.js into hashed, minified ES
+ * module chunks (dynamic imports become lazy chunks; function names survive
+ * minification so Long Animation Frame attribution can name them in
+ * production), logs the graph, records
+ * the entry and lazy chunks in dist/asset-manifest.json and points the built
+ * HTML at the hashed entry
+ * @returns {Promise<void>}
+ */
+async function bundleJs() {
+  const outdir = path.join(CONFIG.distDir, BUNDLE_CONFIG.outDir);
+  const workingDir = path.dirname(CONFIG.srcDir);
+
+  await fs.emptyDir(outdir);
+
+  const result = await esbuild({
+    absWorkingDir: workingDir,
+    entryPoints: [path.join(CONFIG.srcDir, BUNDLE_CONFIG.entry)],
+    outdir,
+    bundle: true,
+    splitting: true,
+    format: 'esm',
+    minify: true,
+    keepNames: true,
+    drop: ['console', 'debugger'],
+    legalComments: 'none',
+    target: BUNDLE_CONFIG.target,
+    entryNames: BUNDLE_CONFIG.entryNames,
+    chunkNames: BUNDLE_CONFIG.chunkNames,
+    metafile: true,
+    logLevel: 'silent'
+  });
+
+  result.warnings.forEach((warning) => log(`esbuild: ${warning.text}`, 'warn'));
+
+  const toDistUrl = (outputPath) => path.relative(CONFIG.distDir, path.resolve(workingDir, outputPath)).split(path.sep).join('/');
+  const outputs = describeBundle(result.metafile);
+  const entry = outputs.find((output) => output.kind === 'entry');
+
+  log('Module graph:', 'info');
+  outputs.forEach((output) => {
+    log(`  ${toDistUrl(output.path)} ${formatBytes(output.bytes)} [${output.kind}] ${output.modules.join(', ')}`, 'info');
+    output.dynamicImports.forEach((imported) => log(`    lazy → ${toDistUrl(imported)}`, 'info'));
+  });
+
+  const originalSize = Object.values(result.metafile.inputs).reduce((sum, input) => sum + input.bytes, 0);
+  const bundledSize = outputs.reduce((sum, output) => sum + output.bytes, 0);
+
+  stats.js.original += originalSize;
+  stats.js.optimized += bundledSize;
+  stats.js.saved += originalSize - bundledSize;
+  stats.js.count += outputs.length;
+
+  await writeManifest(Object.fromEntries(Object.entries(result.metafile.outputs)
+    .filter(([, output]) => output.entryPoint)
+    .map(([outputPath, output]) => [
+      path.relative(CONFIG.srcDir, path.resolve(workingDir, output.entryPoint)).split(path.sep).join('/'),
+      toDistUrl(outputPath)
+    ])));
+
+  await injectBundle(toDistUrl(entry.path), entry.staticImports.map(toDistUrl));
+
+  log(`Bundled ${Object.keys(result.metafile.inputs).length} modules into ${outputs.length} files`, 'success');
+}
+
+/**
+ * Generates dist/sitemap.xml from the pages in seo-config.json
+ * @returns {Promise<void>}
+ */
+async function generateSitemap() {
+  const seoConfig = await fs.readJson(SEO_CONFIG_PATH);
+  const sitemapConfig = seoConfig.sitemap || {};
+
+  if (sitemapConfig.enabled === false) {
+    log('Sitemap generation disabled in seo-config.json', 'warn');
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const links = Object.entries(seoConfig.pages || {})
+    .filter(([, page]) => page.canonical)
+    .map(([key, page]) => ({
+      url: page.canonical,
+      lastmod: today,
+      changefreq: (sitemapConfig.changefreq || {})[key],
+      priority: (sitemapConfig.priority || {})[key]
+    }));
+
+  if (links.length === 0) {
+    throw new Error('No pages with a canonical URL in seo-config.json');
+  }
+
+  const stream = new SitemapStream({ hostname: seoConfig.site.url });
+  const xml = await streamToPromise(Readable.from(links).pipe(stream));
+  const outputPath = path.join(CONFIG.distDir, (sitemapConfig.path || '/sitemap.xml').replace(/^\//, ''));
+
+  await fs.outputFile(outputPath, xml.toString(), 'utf8');
+  log(`Generated ${path.relative(CONFIG.distDir, outputPath)} with ${links.length} URLs`, 'success');
+}
+
+/**
+ * Reads a meta tag's content by name or property
+ * @param {string} html - Page HTML
+ * @param {string} attribute - `name` or `property`
+ * @param {string} value - Attribute value
+ * @returns {string|null} Content or null
+ */
+function readMeta(html, attribute, value) {
+  const pattern = new RegExp(`<meta\\s+${attribute}="${value}"\\s+content="([^"]*)"`, 'i');
+  const match = pattern.exec(html);
+  return match ? match[1] : null;
+}
+
+/**
+ * Checks one page for the SEO essentials
+ * @param {string} html - Page HTML
+ * @param {Object} seoConfig - Parsed seo-config.json
+ * @returns {{errors: string[], warnings: string[]}} Findings
+ */
+function checkPage(html, seoConfig) {
+  const errors = [];
+  const warnings = [];
+
+  const title = (/<title>([^<]*)<\/title>/i.exec(html) || [])[1];
+  if (!title) {
+    errors.push('Missing <title>');
+  } else if (title.length < SEO_LIMITS.titleMin || title.length > SEO_LIMITS.titleMax) {
+    warnings.push(`Title is ${title.length} characters (aim for ${SEO_LIMITS.titleMin}-${SEO_LIMITS.titleMax})`);
+  }
+
+  const description = readMeta(html, 'name', 'description');
+  if (!description) {
+    errors.push('Missing meta description');
+  } else if (description.length < SEO_LIMITS.descriptionMin || description.length > SEO_LIMITS.descriptionMax) {
+    warnings.push(`Meta description is ${description.length} characters (aim for ${SEO_LIMITS.descriptionMin}-${SEO_LIMITS.descriptionMax})`);
+  }
+
+  if (!/<html[^>]*\slang="[^"]+"/i.test(html)) {
+    errors.push('Missing lang attribute on <html>');
+  }
+
+  const canonical = (/<link\s+rel="canonical"\s+href="([^"]*)"/i.exec(html) || [])[1];
+  if (!canonical) {
+    errors.push('Missing canonical link');
+  } else if (!/^https?:\/\//.test(canonical)) {
+    errors.push(`Canonical URL is not absolute: ${canonical}`);
+  } else if (seoConfig.site && new URL(canonical).host !== new URL(seoConfig.site.url).host) {
+    warnings.push(`Canonical host ${new URL(canonical).host} differs from seo-config site.url ${seoConfig.site.url}`);
+  }
+
+  const h1Count = (html.match(/<h1[\s>]/gi) || []).length;
+  if (h1Count !== 1) {
+    errors.push(`Expected exactly one <h1>, found ${h1Count}`);
+  }
+
+  ['og:title', 'og:description', 'og:image'].forEach((property) => {
+    if (!readMeta(html, 'property', property)) {
+      errors.push(`Missing ${property}`);
+    }
+  });
+
+  if (!readMeta(html, 'name', 'twitter:card')) {
+    warnings.push('Missing twitter:card');
+  }
+
+  const imagesWithoutAlt = (html.match(/<img\b[^>]*>/gi) || []).filter((tag) => !/\salt=/i.test(tag));
+  if (imagesWithoutAlt.length > 0) {
+    errors.push(`${imagesWithoutAlt.length} <img> without alt attribute`);
+  }
+
+  const jsonLdPattern = /<script type="application\/ld\+json">([\s\S]*?)<\/script>/gi;
+  let jsonLd;
+  while ((jsonLd = jsonLdPattern.exec(html)) !== null) {
+    try {
+      JSON.parse(jsonLd[1]);
+    } catch (error) {
+      errors.push(`Invalid JSON-LD: ${error.message}`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validates the SEO essentials of the built pages (or src/ when there is no
+ * build yet), plus robots.txt and the sitemap. Fails on errors only.
+ * @returns {Promise<void>}
+ */
+async function validateSeo() {
+  const rootDir = (await fs.pathExists(path.join(CONFIG.distDir, 'index.html'))) ? CONFIG.distDir : CONFIG.srcDir;
+  const seoConfig = await fs.readJson(SEO_CONFIG_PATH);
+  const htmlFiles = await glob(path.join(rootDir, '**/*.html'), { nodir: true });
+  let errorCount = 0;
+
+  log(`Validating SEO in ${path.relative(process.cwd(), rootDir)}/`, 'info');
+
+  for (const htmlPath of htmlFiles) {
+    const relativePath = path.relative(rootDir, htmlPath);
+    const { errors, warnings } = checkPage(await fs.readFile(htmlPath, 'utf8'), seoConfig);
+
+    errors.forEach((message) => log(`${relativePath}: ${message}`, 'error'));
+    warnings.forEach((message) => log(`${relativePath}: ${message}`, 'warn'));
+    errorCount += errors.length;
+
+    if (errors.length === 0) {
+      log(`${relativePath}: passed${warnings.length ? ` with ${warnings.length} warning(s)` : ''}`, 'success');
+    }
+  }
+
+  const robotsPath = path.join(rootDir, 'robots.txt');
+  if (!(await fs.pathExists(robotsPath))) {
+    log('robots.txt is missing', 'error');
+    errorCount++;
+  } else if (!/^Sitemap:\s*\S+/m.test(await fs.readFile(robotsPath, 'utf8'))) {
+    log('robots.txt does not reference a sitemap', 'warn');
+  }
+
+  const sitemapPath = path.join(rootDir, 'sitemap.xml');
+  if (!(await fs.pathExists(sitemapPath))) {
+    log('sitemap.xml is missing', 'error');
+    errorCount++;
+  } else if (!/<urlset[\s>]/.test(await fs.readFile(sitemapPath, 'utf8'))) {
+    log('sitemap.xml has no <urlset>', 'error');
+    errorCount++;
+  }
+
+  if (errorCount > 0) {
+    throw new Error(`SEO validation found ${errorCount} error(s)`);
+  }
+}
+
+export {
+  clean,
+  copyHtml,
+  copyJs,
+  bundleJs,
+  generateSitemap,
+  validateSeo
+};
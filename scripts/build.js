@@ -0,0 +1,206 @@
+/**
+ * Staged Build CLI
+ *
+ * Runs the build as named stages with per-stage timing and a failure report.
+ * With no arguments every build stage runs in order; name stages to run only
+ * those. The per-stage scripts referenced by package.json call into this.
+ *
+ * Usage:
+ *   node scripts/build.js                       all build stages
+ *   node scripts/build.js bundle-js check-budgets
+ *   node scripts/build.js --list                show the stages
+ *   node scripts/build.js --continue ...        keep going after a failed stage
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  stats,
+  log,
+  optimizeImages,
+  minifyCSS,
+  minifyJS,
+  copyStaticAssets,
+  rewriteResponsiveImages,
+  fingerprintAssets,
+  reportBudgets
+} from '../build-scripts/optimize.js';
+import {
+  clean,
+  copyHtml,
+  copyJs,
+  bundleJs,
+  generateSitemap,
+  validateSeo
+} from '../build-scripts/stages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * Build stages in pipeline order. `inBuild: false` stages only run when named.
+ */
+const STAGES = Object.freeze([
+  { name: 'clean', description: 'Remove dist/', inBuild: true, run: clean },
+  {
+    name: 'copy-html',
+    description: 'Copy HTML pages and static assets (data, robots.txt, sitemap.xml)',
+    inBuild: true,
+    run: async () => {
+      await copyHtml();
+      await copyStaticAssets();
+    }
+  },
+  { name: 'minify-css', description: 'Autoprefix and minify CSS', inBuild: true, run: minifyCSS },
+  { name: 'bundle-js', description: 'Bundle src/js/main.js into hashed, code-split ES module chunks', inBuild: true, run: bundleJs },
+  { name: 'copy-js', description: 'Copy unminified JavaScript', inBuild: false, run: copyJs },
+  { name: 'minify-js', description: 'Minify JavaScript files one by one with terser', inBuild: false, run: minifyJS },
+  { name: 'optimize-images', description: 'Compress images and create AVIF, WebP and width variants', inBuild: true, run: optimizeImages },
+  { name: 'responsive-images', description: 'Rewrite <img> tags with <picture>, srcset, sizes, intrinsic size and blurred placeholders', inBuild: true, run: rewriteResponsiveImages },
+  { name: 'fingerprint-assets', description: 'Rename CSS and images to content-hashed filenames and write asset-manifest.json', inBuild: true, run: fingerprintAssets },
+  { name: 'generate-sitemap', description: 'Generate sitemap.xml from seo-config.json', inBuild: true, run: generateSitemap },
+  {
+    name: 'check-budgets',
+    description: 'Check dist/ against build-scripts/budgets.json',
+    inBuild: true,
+    run: async () => {
+      const report = await reportBudgets();
+
+      if (!report.passed) {
+        throw new Error('Performance budget exceeded');
+      }
+    }
+  },
+  { name: 'validate-seo', description: 'Check titles, meta tags, canonical, JSON-LD, robots.txt and sitemap', inBuild: false, run: validateSeo }
+]);
+
+/**
+ * Formats a duration in milliseconds
+ * @param {number} ms - Duration
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Runs one stage. File-level failures recorded by optimize.js fail the stage too.
+ * @param {Object} stage - Stage definition
+ * @returns {Promise<Object>} Result with name, status, duration and error
+ */
+async function runStage(stage) {
+  const startTime = Date.now();
+  const errorsBefore = stats.errors.length;
+
+  log(`Stage ${stage.name} started`, 'info');
+
+  try {
+    await stage.run();
+
+    const fileErrors = stats.errors.slice(errorsBefore);
+    if (fileErrors.length > 0) {
+      throw new Error(`${fileErrors.length} file(s) failed: ${fileErrors.map((error) => error.file).join(', ')}`);
+    }
+
+    const duration = Date.now() - startTime;
+    log(`Stage ${stage.name} finished in ${formatDuration(duration)}`, 'success');
+    return { name: stage.name, status: 'passed', duration };
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    log(`Stage ${stage.name} failed after ${formatDuration(duration)}: ${error.message}`, 'error');
+    return { name: stage.name, status: 'failed', duration, error: error.message };
+  }
+}
+
+/**
+ * Prints the per-stage report
+ * @param {Object[]} results - Stage results
+ * @param {number} totalDuration - Total duration in milliseconds
+ */
+function printStageReport(results, totalDuration) {
+  const icons = { passed: '✓', failed: '✗', skipped: '-' };
+
+  console.log('\n' + '='.repeat(60));
+  console.log('BUILD STAGES');
+  console.log('='.repeat(60));
+
+  results.forEach((result) => {
+    const duration = result.status === 'skipped' ? '' : formatDuration(result.duration);
+    console.log(`  ${icons[result.status]} ${result.name.padEnd(20)} ${result.status.padEnd(8)} ${duration}`);
+
+    if (result.error) {
+      console.log(`      ${result.error}`);
+    }
+  });
+
+  const failed = results.filter((result) => result.status === 'failed').length;
+  console.log(`\n  Total: ${formatDuration(totalDuration)}, ${failed === 0 ? 'all stages passed' : `${failed} stage(s) failed`}`);
+  console.log('='.repeat(60) + '\n');
+}
+
+/**
+ * Runs stages by name, or the whole build when none are named.
+ * Sets a non-zero exit code if any stage fails.
+ * @param {string[]} [names=[]] - Stage names
+ * @param {Object} [options={}] - Run options
+ * @param {boolean} [options.continueOnError=false] - Run remaining stages after a failure
+ * @returns {Promise<Object[]>} Stage results
+ */
+async function runStages(names = [], options = {}) {
+  const unknown = names.filter((name) => !STAGES.some((stage) => stage.name === name));
+
+  if (unknown.length > 0) {
+    log(`Unknown stage(s): ${unknown.join(', ')}. Run with --list to see the stages.`, 'error');
+    process.exitCode = 1;
+    return [];
+  }
+
+  const selected = names.length > 0
+    ? names.map((name) => STAGES.find((stage) => stage.name === name))
+    : STAGES.filter((stage) => stage.inBuild);
+
+  const startTime = Date.now();
+  const results = [];
+  let failed = false;
+
+  for (const stage of selected) {
+    if (failed && !options.continueOnError) {
+      results.push({ name: stage.name, status: 'skipped' });
+      continue;
+    }
+
+    const result = await runStage(stage);
+    results.push(result);
+    failed = failed || result.status === 'failed';
+  }
+
+  printStageReport(results, Date.now() - startTime);
+
+  if (failed) {
+    process.exitCode = 1;
+  }
+
+  return results;
+}
+
+/**
+ * Parses command-line arguments and runs the requested stages
+ * @param {string[]} argv - Arguments after the script name
+ */
+async function main(argv) {
+  if (argv.includes('--list')) {
+    STAGES.forEach((stage) => {
+      console.log(`  ${stage.name.padEnd(20)} ${stage.description}${stage.inBuild ? '' : ' (only when named)'}`);
+    });
+    return;
+  }
+
+  await runStages(argv.filter((arg) => !arg.startsWith('--')), {
+    continueOnError: argv.includes('--continue')
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main(process.argv.slice(2));
+}
+
+export { STAGES, runStages };
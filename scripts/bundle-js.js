@@ -0,0 +1,9 @@
+/**
+ * Build stage: bundle src/js/main.js into hashed, code-split chunks in dist/js/
+ *
+ * Usage: node scripts/bundle-js.js (same as `node scripts/build.js bundle-js`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['bundle-js']);
@@ -0,0 +1,9 @@
+/**
+ * Build stage: remove dist/
+ *
+ * Usage: node scripts/clean.js (same as `node scripts/build.js clean`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['clean']);
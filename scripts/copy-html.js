@@ -0,0 +1,9 @@
+/**
+ * Build stage: copy HTML pages and static assets to dist/
+ *
+ * Usage: node scripts/copy-html.js (same as `node scripts/build.js copy-html`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['copy-html']);
@@ -0,0 +1,9 @@
+/**
+ * Build stage: copy unminified JavaScript to dist/
+ *
+ * Usage: node scripts/copy-js.js (same as `node scripts/build.js copy-js`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['copy-js']);
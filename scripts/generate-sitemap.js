@@ -0,0 +1,9 @@
+/**
+ * Build stage: generate sitemap.xml from seo-config.json
+ *
+ * Usage: node scripts/generate-sitemap.js (same as `node scripts/build.js generate-sitemap`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['generate-sitemap']);
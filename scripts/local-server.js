@@ -0,0 +1,66 @@
+/**
+ * Local Server Helpers
+ *
+ * Logging, CORS and JSON request/response helpers shared by the local
+ * development servers (mock-contact-server.js and vitals-collector.js).
+ */
+
+const CORS_HEADERS = Object.freeze({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept'
+});
+
+/**
+ * Logs request activity with timestamp
+ * @param {string} message - Message to log
+ * @param {Object} [details] - Structured details
+ */
+function log(message, details) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, details ? JSON.stringify(details) : '');
+}
+
+/**
+ * Sends a JSON response with permissive CORS headers
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...CORS_HEADERS
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads the full request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} maxBodyBytes - Largest body accepted
+ * @returns {Promise<string>} Raw body
+ */
+function readBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+
+      if (size > maxBodyBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export { CORS_HEADERS, log, sendJSON, readBody };
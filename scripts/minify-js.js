@@ -0,0 +1,9 @@
+/**
+ * Build stage: minify JavaScript with terser
+ *
+ * Usage: node scripts/minify-js.js (same as `node scripts/build.js minify-js`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['minify-js']);
@@ -0,0 +1,225 @@
+/**
+ * Mock Contact Submission Server
+ *
+ * Local HTTP server that accepts contact form submissions so the real
+ * submission transports in src/js/contact.js can be exercised end to end.
+ * It also serves the consultation availability feed: rolling slots for the
+ * coming weeks, generated from src/data/consultation-availability.json
+ * relative to today, with slots taken by accepted submissions marked
+ * unavailable. Submissions for a booked slot are answered with 409, and
+ * submissions for an unknown or too-soon slot with 422.
+ *
+ * Submission responses can be forced per request with query parameters:
+ *
+ *   ?status=500   respond with the given HTTP status
+ *   ?delay=12000  wait before responding (exercise the client timeout)
+ *
+ * Usage: node scripts/mock-contact-server.js
+ * Tests start their own instance with `createMockContactServer()`.
+ * Environment: MOCK_PORT (default 3001), MOCK_DELAY (default 300)
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import '../src/js/form-schema.js';
+import '../src/js/consultation-availability.js';
+import { CORS_HEADERS, log, sendJSON, readBody } from './local-server.js';
+
+const { CONTACT_SCHEMA, validateFields, collectErrors, expandFields } = globalThis.FormSchema;
+const { buildAvailability } = globalThis.ConsultationAvailability;
+
+const CONFIG = Object.freeze({
+  port: Number(process.env.MOCK_PORT) || 3001,
+  delay: Number(process.env.MOCK_DELAY) || 300,
+  endpoint: '/submit-contact',
+  slotsEndpoint: '/consultation-slots',
+  maxBodyBytes: 1024 * 1024,
+  availabilityTemplate: new URL('../src/data/consultation-availability.json', import.meta.url),
+  slotMessages: {
+    unknown: 'Please choose one of the available consultation times.',
+    tooSoon: 'That time is too soon to book. Please choose a later time.',
+    booked: 'Sorry, that time was just booked. Please choose another time.'
+  }
+});
+
+/**
+ * Parses a submission body according to its content type
+ * @param {string} contentType - Request Content-Type header
+ * @param {string} rawBody - Raw request body
+ * @returns {Object} Submitted fields
+ */
+function parseSubmission(contentType, rawBody) {
+  if (contentType.includes('application/json')) {
+    return JSON.parse(rawBody || '{}');
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    const fields = {};
+    const partPattern = /name="([^"]+)"\r\n\r\n([\s\S]*?)\r\n--/g;
+    let match;
+
+    while ((match = partPattern.exec(rawBody)) !== null) {
+      fields[match[1]] = match[2];
+    }
+
+    return expandFields(fields);
+  }
+
+  return expandFields(Object.fromEntries(new URLSearchParams(rawBody)));
+}
+
+/**
+ * Weekly availability template the feed is generated from
+ */
+const availabilityTemplate = JSON.parse(fs.readFileSync(CONFIG.availabilityTemplate, 'utf8'));
+
+/**
+ * Checks a requested consultation slot against the current availability
+ * @param {string} slotId - Submitted `consultationSlot` value
+ * @param {Set<string>} bookedSlots - Slot IDs already booked
+ * @returns {{status: number, message: string}|null} Rejection, or null if the slot can be booked
+ */
+function checkConsultationSlot(slotId, bookedSlots) {
+  const now = new Date();
+  const { minimumNoticeHours, slots } = buildAvailability(availabilityTemplate, { now, bookedSlots }).consultationSlots;
+  const slot = slots.find((candidate) => candidate.id === slotId);
+
+  if (!slot) {
+    return { status: 422, message: CONFIG.slotMessages.unknown };
+  }
+
+  if (!slot.available) {
+    return { status: 409, message: CONFIG.slotMessages.booked };
+  }
+
+  if (new Date(slot.start).getTime() < now.getTime() + minimumNoticeHours * 60 * 60 * 1000) {
+    return { status: 422, message: CONFIG.slotMessages.tooSoon };
+  }
+
+  return null;
+}
+
+/**
+ * Validates fields against the shared form schema, exactly as the browser does
+ * @param {Object} fields - Submitted fields
+ * @returns {Object} Error messages keyed by form field name (e.g. `students[0].name`)
+ */
+function validateSubmission(fields) {
+  return collectErrors(validateFields(fields, CONTACT_SCHEMA));
+}
+
+/**
+ * Handles a contact form submission
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ * @param {URL} url - Parsed request URL
+ * @param {Object} state - Server state (`bookedSlots`, `delay`, `log`)
+ */
+async function handleSubmission(req, res, url, state) {
+  const { bookedSlots } = state;
+  const forcedStatus = Number(url.searchParams.get('status')) || null;
+  const delay = Number(url.searchParams.get('delay')) || state.delay;
+
+  await new Promise((resolve) => setTimeout(resolve, delay));
+
+  if (forcedStatus) {
+    state.log('Forced response status', { status: forcedStatus });
+    sendJSON(res, forcedStatus, { success: forcedStatus < 400, message: `Mock response ${forcedStatus}` });
+    return;
+  }
+
+  let fields;
+
+  try {
+    const rawBody = await readBody(req, CONFIG.maxBodyBytes);
+    fields = parseSubmission(req.headers['content-type'] || '', rawBody);
+  } catch (error) {
+    state.log('Rejected unreadable submission', { error: error.message });
+    sendJSON(res, 400, { success: false, message: error.message });
+    return;
+  }
+
+  const errors = validateSubmission(fields);
+
+  if (Object.keys(errors).length > 0) {
+    state.log('Rejected invalid submission', { errors });
+    sendJSON(res, 422, { success: false, message: 'Validation failed', errors });
+    return;
+  }
+
+  if (fields.consultationSlot) {
+    const rejection = checkConsultationSlot(fields.consultationSlot, bookedSlots);
+
+    if (rejection) {
+      state.log('Rejected consultation slot', { slot: fields.consultationSlot, status: rejection.status });
+      sendJSON(res, rejection.status, {
+        success: false,
+        message: rejection.message,
+        errors: { consultationSlot: rejection.message }
+      });
+      return;
+    }
+
+    bookedSlots.add(fields.consultationSlot);
+  }
+
+  state.log('Accepted submission', { fields: Object.keys(fields) });
+  sendJSON(res, 201, {
+    success: true,
+    message: 'Inquiry received',
+    id: `inquiry-${Date.now()}`
+  });
+}
+
+/**
+ * Creates a mock server. Each server keeps its own booked slots.
+ * @param {Object} [options={}] - Server options
+ * @param {number} [options.delay] - Default response delay in milliseconds
+ * @param {Function} [options.logger] - Request logger, `log` by default
+ * @returns {http.Server} Server, not yet listening
+ */
+function createMockContactServer(options = {}) {
+  const state = {
+    bookedSlots: new Set(),
+    delay: options.delay ?? CONFIG.delay,
+    log: options.logger || log
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === CONFIG.slotsEndpoint) {
+      const feed = buildAvailability(availabilityTemplate, { bookedSlots: state.bookedSlots });
+      state.log('Served consultation slots', { slots: feed.consultationSlots.slots.length, booked: state.bookedSlots.size });
+      sendJSON(res, 200, feed);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === CONFIG.endpoint) {
+      handleSubmission(req, res, url, state).catch((error) => {
+        state.log('Submission handler crashed', { error: error.message });
+        sendJSON(res, 500, { success: false, message: 'Internal error' });
+      });
+      return;
+    }
+
+    sendJSON(res, 404, { success: false, message: 'Not found' });
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  createMockContactServer().listen(CONFIG.port, () => {
+    log(`Mock contact server listening on http://localhost:${CONFIG.port}${CONFIG.endpoint}`);
+    log(`Consultation slots served from http://localhost:${CONFIG.port}${CONFIG.slotsEndpoint}`);
+  });
+}
+
+export { CONFIG, createMockContactServer };
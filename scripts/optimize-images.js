@@ -0,0 +1,9 @@
+/**
+ * Build stage: compress images and create WebP variants
+ *
+ * Usage: node scripts/optimize-images.js (same as `node scripts/build.js optimize-images`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['optimize-images']);
@@ -0,0 +1,9 @@
+/**
+ * Build stage: check the SEO essentials of the built pages
+ *
+ * Usage: node scripts/validate-seo.js (same as `node scripts/build.js validate-seo`)
+ */
+
+import { runStages } from './build.js';
+
+runStages(['validate-seo']);
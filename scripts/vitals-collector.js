@@ -0,0 +1,181 @@
+/**
+ * Local Web Vitals Collector
+ *
+ * Receives the real-user reports sent by `VitalsReporter` in
+ * src/js/performance.js so sampling and beacon delivery can be checked
+ * locally. Point the page at it with:
+ *
+ *   <meta name="vitals-endpoint" content="http://localhost:3002/vitals">
+ *   <meta name="vitals-sample-rate" content="1">
+ *
+ * GET /vitals returns the p75 per metric, overall and per device class.
+ * A metric can be reported more than once per page (CLS and LCP grow), so
+ * only the latest value per session, page and metric is counted.
+ *
+ * Usage: node scripts/vitals-collector.js
+ * Environment: VITALS_PORT (default 3002)
+ */
+
+import http from 'http';
+import { CORS_HEADERS, log, sendJSON, readBody } from './local-server.js';
+
+const CONFIG = Object.freeze({
+  port: Number(process.env.VITALS_PORT) || 3002,
+  endpoint: '/vitals',
+  maxBodyBytes: 64 * 1024,
+  maxSamples: 10000
+});
+
+/**
+ * Latest sample per session, page and metric
+ * @type {Map<string, Object>}
+ */
+const samples = new Map();
+
+/**
+ * Stores the metrics from one report
+ * @param {Object} report - Parsed report body
+ * @returns {number} Number of metrics stored
+ */
+function storeReport(report) {
+  if (!report || typeof report.sessionId !== 'string' || !Array.isArray(report.metrics)) {
+    throw new Error('Report must include sessionId and metrics');
+  }
+
+  let stored = 0;
+
+  report.metrics.forEach((metric) => {
+    if (!metric || typeof metric.name !== 'string' || !Number.isFinite(metric.value)) {
+      return;
+    }
+
+    const key = `${report.sessionId}|${report.page}|${metric.name}`;
+
+    // Re-insert so the Map stays in arrival order and the oldest samples are evicted first
+    samples.delete(key);
+    samples.set(key, {
+      name: metric.name,
+      value: metric.value,
+      page: report.page,
+      connection: report.connection || 'unknown',
+      deviceClass: report.deviceClass || 'unknown'
+    });
+    stored += 1;
+  });
+
+  while (samples.size > CONFIG.maxSamples) {
+    samples.delete(samples.keys().next().value);
+  }
+
+  return stored;
+}
+
+/**
+ * Calculates the 75th percentile
+ * @param {number[]} values - Sample values
+ * @returns {number|null} p75 or null for no samples
+ */
+function percentile75(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.ceil(sorted.length * 0.75) - 1];
+}
+
+/**
+ * Summarizes stored samples as p75 per metric, overall and per device class
+ * @returns {Object} Summary
+ */
+function summarize() {
+  const groups = {};
+
+  samples.forEach((sample) => {
+    ['all', sample.deviceClass].forEach((segment) => {
+      groups[segment] = groups[segment] || {};
+      groups[segment][sample.name] = groups[segment][sample.name] || [];
+      groups[segment][sample.name].push(sample.value);
+    });
+  });
+
+  const summary = {};
+
+  Object.entries(groups).forEach(([segment, metrics]) => {
+    summary[segment] = {};
+
+    Object.entries(metrics).forEach(([name, values]) => {
+      summary[segment][name] = { p75: percentile75(values), count: values.length };
+    });
+  });
+
+  return { samples: samples.size, p75: summary };
+}
+
+/**
+ * Handles a vitals report
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Server response
+ */
+async function handleReport(req, res) {
+  let report;
+
+  try {
+    // Beacons arrive as text/plain, so the body is parsed as JSON whatever the content type
+    report = JSON.parse(await readBody(req, CONFIG.maxBodyBytes) || '{}');
+  } catch (error) {
+    log('Rejected unreadable report', { error: error.message });
+    sendJSON(res, 400, { success: false, message: error.message });
+    return;
+  }
+
+  try {
+    const stored = storeReport(report);
+
+    log('Vitals received', {
+      page: report.page,
+      deviceClass: report.deviceClass,
+      connection: report.connection,
+      metrics: report.metrics.map((metric) => `${metric.name}=${metric.value}`)
+    });
+
+    sendJSON(res, 202, { success: true, stored });
+  } catch (error) {
+    log('Rejected invalid report', { error: error.message });
+    sendJSON(res, 422, { success: false, message: error.message });
+  }
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (url.pathname !== CONFIG.endpoint) {
+    sendJSON(res, 404, { success: false, message: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    handleReport(req, res).catch((error) => {
+      log('Report handler crashed', { error: error.message });
+      sendJSON(res, 500, { success: false, message: 'Internal error' });
+    });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    sendJSON(res, 200, summarize());
+    return;
+  }
+
+  sendJSON(res, 405, { success: false, message: 'Method not allowed' });
+});
+
+server.listen(CONFIG.port, () => {
+  log(`Vitals collector listening on http://localhost:${CONFIG.port}${CONFIG.endpoint}`);
+});
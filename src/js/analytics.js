@@ -0,0 +1,534 @@
+/**
+ * HomeschoolHub Analytics Module
+ *
+ * Single event bus for every section module. Events are checked against
+ * `ANALYTICS_EVENT_SCHEMA`, handed straight to in-page sinks (dataLayer, gtag,
+ * console) and batched for the HTTP collector, which is flushed with
+ * `navigator.sendBeacon` when the page is hidden.
+ *
+ * The collector is enabled by `<meta name="analytics-endpoint" content="...">`
+ * or by registering a sink with `Analytics.createHttpSink(url)`.
+ *
+ * Nothing is delivered until `Consent` reports analytics consent; events
+ * tracked before that are dropped, not held back.
+ *
+ * Exported as `Analytics` and exposed as `window.Analytics`.
+ *
+ * @module analytics
+ * @version 1.0.0
+ */
+
+import { Consent } from './consent.js';
+
+/**
+ * Analytics configuration
+ */
+const ANALYTICS_CONFIG = Object.freeze({
+  BATCH_SIZE: 10,
+  FLUSH_INTERVAL: 5000,
+  MAX_QUEUE_SIZE: 100,
+  ENDPOINT_META: 'analytics-endpoint',
+  DEBUG_HOSTS: ['localhost', '127.0.0.1'],
+});
+
+/**
+ * Event schema: section plus typed properties.
+ * A `?` suffix marks an optional property; anything not listed is dropped.
+ */
+const ANALYTICS_EVENT_SCHEMA = Object.freeze({
+  hero_cta_click: {
+    section: 'hero',
+    properties: {
+      button_text: 'string',
+      button_id: 'string',
+      button_href: 'string',
+      click_count: 'number',
+      viewport_width: 'number?',
+      viewport_height: 'number?',
+    },
+  },
+  hero_scroll_to_contact: {
+    section: 'hero',
+    properties: { target: 'string', scroll_distance: 'number' },
+  },
+  hero_image_loaded: {
+    section: 'hero',
+    properties: {
+      load_time_ms: 'number',
+      image_src: 'string',
+      image_width: 'number?',
+      image_height: 'number?',
+    },
+  },
+  hero_image_error: {
+    section: 'hero',
+    properties: { load_time_ms: 'number', image_src: 'string', error_message: 'string' },
+  },
+  hero_section_viewed: {
+    section: 'hero',
+    properties: { viewport_width: 'number', viewport_height: 'number', intersection_ratio: 'number' },
+  },
+  hero_animation_complete: {
+    section: 'hero',
+    properties: { element_count: 'number', total_duration_ms: 'number' },
+  },
+  curriculum_item_expand: {
+    section: 'curriculum',
+    properties: { item_id: 'string', total_expanded: 'number' },
+  },
+  curriculum_item_collapse: {
+    section: 'curriculum',
+    properties: { item_id: 'string', view_duration_ms: 'number' },
+  },
+  curriculum_section_view: {
+    section: 'curriculum',
+    properties: { duration_ms: 'number', expanded_items: 'number' },
+  },
+  testimonial_slide_view: {
+    section: 'testimonials',
+    properties: { slide_index: 'number', slide_count: 'number', testimonial_id: 'string?' },
+  },
+  testimonial_filter_apply: {
+    section: 'testimonials',
+    properties: { filter: 'string', result_count: 'number' },
+  },
+  testimonial_video_play: {
+    section: 'testimonials',
+    properties: { testimonial_id: 'string', video_type: 'string' },
+  },
+  testimonial_video_complete: {
+    section: 'testimonials',
+    properties: { testimonial_id: 'string' },
+  },
+  faq_question_open: {
+    section: 'faq',
+    properties: { question_id: 'string', category: 'string', source: 'string' },
+  },
+  faq_search: {
+    section: 'faq',
+    properties: { query_length: 'number', term_count: 'number', result_count: 'number' },
+  },
+  contact_validation_error: {
+    section: 'contact',
+    properties: { field: 'string' },
+  },
+  contact_form_submit: {
+    section: 'contact',
+    properties: { student_count: 'number?' },
+  },
+  contact_form_success: {
+    section: 'contact',
+    properties: { queued: 'boolean' },
+  },
+  contact_form_error: {
+    section: 'contact',
+    properties: { error_type: 'string', status: 'number?' },
+  },
+  contact_field_summary: {
+    section: 'contact',
+    properties: {
+      outcome: 'string',
+      field_count: 'number',
+      total_errors: 'number',
+      total_corrections: 'number',
+      fields: 'object',
+    },
+  },
+  contact_draft_restore: {
+    section: 'contact',
+    properties: {},
+  },
+  enrollment_step_view: {
+    section: 'enrollment',
+    properties: { step: 'number', step_title: 'string', step_count: 'number' },
+  },
+  consultation_slot_select: {
+    section: 'enrollment',
+    properties: { slot_id: 'string' },
+  },
+  funnel_step: {
+    section: 'funnel',
+    properties: {
+      session_id: 'string',
+      step: 'string',
+      step_index: 'number',
+      elapsed_ms: 'number',
+      cta_id: 'string?',
+      field: 'string?',
+    },
+  },
+  funnel_validation_failure: {
+    section: 'funnel',
+    properties: { session_id: 'string', field: 'string', failure_count: 'number' },
+  },
+  funnel_abandon: {
+    section: 'funnel',
+    properties: {
+      session_id: 'string',
+      last_step: 'string',
+      last_step_index: 'number',
+      elapsed_ms: 'number',
+      last_field: 'string?',
+      fields_touched: 'number',
+      failed_fields: 'string?',
+    },
+  },
+});
+
+/**
+ * Analytics state
+ */
+const analyticsBusState = {
+  sinks: [],
+  queue: [],
+  flushTimer: null,
+  initialized: false,
+};
+
+/**
+ * Built-in sinks. Each sink has a `name`, a `batch` flag and `send(events, context)`.
+ */
+const AnalyticsSinks = {
+  /**
+   * Push each event to Google Tag Manager's dataLayer when it exists
+   * @returns {Object} Sink
+   */
+  dataLayer() {
+    return {
+      name: 'dataLayer',
+      batch: false,
+      send(events) {
+        if (!Array.isArray(window.dataLayer)) {
+          return;
+        }
+
+        events.forEach((event) => {
+          window.dataLayer.push({
+            event: event.name,
+            section: event.section,
+            timestamp: event.timestamp,
+            ...event.properties,
+          });
+        });
+      },
+    };
+  },
+
+  /**
+   * Send each event to gtag.js when it is loaded
+   * @returns {Object} Sink
+   */
+  gtag() {
+    return {
+      name: 'gtag',
+      batch: false,
+      send(events) {
+        if (typeof window.gtag !== 'function') {
+          return;
+        }
+
+        events.forEach((event) => {
+          window.gtag('event', event.name, { section: event.section, ...event.properties });
+        });
+      },
+    };
+  },
+
+  /**
+   * Log events to the console
+   * @returns {Object} Sink
+   */
+  console() {
+    return {
+      name: 'console',
+      batch: false,
+      send(events) {
+        events.forEach((event) => {
+          console.log(`[Analytics] ${event.name}`, event.properties);
+        });
+      },
+    };
+  },
+
+  /**
+   * POST batches of events as JSON to a collector endpoint
+   * @param {string} url - Collector URL
+   * @returns {Object} Sink
+   */
+  http(url) {
+    return {
+      name: 'http',
+      batch: true,
+      send(events, context = {}) {
+        const body = JSON.stringify({ events, sentAt: new Date().toISOString() });
+
+        if (context.beacon && navigator.sendBeacon) {
+          const blob = new Blob([body], { type: 'application/json' });
+          if (navigator.sendBeacon(url, blob)) {
+            return;
+          }
+        }
+
+        fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          keepalive: true,
+        }).catch((error) => {
+          console.warn('[Analytics] Collector request failed', error);
+        });
+      },
+    };
+  },
+};
+
+/**
+ * Analytics event bus
+ */
+const Analytics = {
+  EVENTS: Object.freeze(Object.keys(ANALYTICS_EVENT_SCHEMA).reduce((events, name) => {
+    events[name.toUpperCase()] = name;
+    return events;
+  }, {})),
+
+  /**
+   * Create a collector sink
+   * @param {string} url - Collector URL
+   * @returns {Object} Sink
+   */
+  createHttpSink(url) {
+    return AnalyticsSinks.http(url);
+  },
+
+  /**
+   * Register a sink. A sink with the same name replaces the old one.
+   * @param {Object} sink - Sink with `name`, `batch` and `send(events, context)`
+   */
+  addSink(sink) {
+    if (!sink || !sink.name || typeof sink.send !== 'function') {
+      console.error('[Analytics] Invalid sink', sink);
+      return;
+    }
+
+    this.removeSink(sink.name);
+    analyticsBusState.sinks.push(sink);
+  },
+
+  /**
+   * Remove a sink by name
+   * @param {string} name - Sink name
+   */
+  removeSink(name) {
+    analyticsBusState.sinks = analyticsBusState.sinks.filter((sink) => sink.name !== name);
+  },
+
+  /**
+   * Check a property value against a schema type
+   * @param {*} value - Property value
+   * @param {string} type - Schema type without the optional marker
+   * @returns {boolean} True if the value matches
+   */
+  matchesType(value, type) {
+    if (type === 'number') {
+      return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    if (type === 'object') {
+      return typeof value === 'object' && !Array.isArray(value);
+    }
+
+    return typeof value === type;
+  },
+
+  /**
+   * Validate properties against the schema and drop anything undeclared
+   * @param {string} name - Event name
+   * @param {Object} properties - Raw properties
+   * @returns {Object|null} Clean properties, or null if the event is invalid
+   */
+  validate(name, properties) {
+    const schema = ANALYTICS_EVENT_SCHEMA[name];
+
+    if (!schema) {
+      console.warn('[Analytics] Unknown event dropped', { name });
+      return null;
+    }
+
+    const clean = {};
+
+    for (const [key, declared] of Object.entries(schema.properties)) {
+      const optional = declared.endsWith('?');
+      const type = optional ? declared.slice(0, -1) : declared;
+      const value = properties[key];
+
+      if (value === undefined || value === null) {
+        if (!optional) {
+          console.warn('[Analytics] Event missing required property', { name, property: key });
+          return null;
+        }
+        continue;
+      }
+
+      if (!this.matchesType(value, type)) {
+        console.warn('[Analytics] Event property has wrong type', { name, property: key, expected: type });
+        return null;
+      }
+
+      clean[key] = value;
+    }
+
+    return clean;
+  },
+
+  /**
+   * Check analytics consent
+   * @returns {boolean} True if events may be delivered
+   */
+  hasConsent() {
+    return Consent.has('analytics');
+  },
+
+  /**
+   * Track an event
+   * @param {string} name - Event name from `ANALYTICS_EVENT_SCHEMA`
+   * @param {Object} [properties={}] - Event properties
+   */
+  track(name, properties = {}) {
+    try {
+      if (!this.hasConsent()) {
+        return;
+      }
+
+      const clean = this.validate(name, properties);
+
+      if (!clean) {
+        return;
+      }
+
+      const event = {
+        name,
+        section: ANALYTICS_EVENT_SCHEMA[name].section,
+        timestamp: new Date().toISOString(),
+        page: window.location.pathname,
+        properties: clean,
+      };
+
+      analyticsBusState.sinks
+        .filter((sink) => !sink.batch)
+        .forEach((sink) => this.deliver(sink, [event]));
+
+      if (analyticsBusState.sinks.some((sink) => sink.batch)) {
+        analyticsBusState.queue.push(event);
+
+        // Keep memory bounded if the collector is unreachable for a long time
+        if (analyticsBusState.queue.length > ANALYTICS_CONFIG.MAX_QUEUE_SIZE) {
+          analyticsBusState.queue.splice(0, analyticsBusState.queue.length - ANALYTICS_CONFIG.MAX_QUEUE_SIZE);
+        }
+
+        if (analyticsBusState.queue.length >= ANALYTICS_CONFIG.BATCH_SIZE) {
+          this.flush();
+        } else {
+          this.scheduleFlush();
+        }
+      }
+    } catch (error) {
+      console.error('[Analytics] Failed to track event', { name, error });
+    }
+  },
+
+  /**
+   * Hand events to a sink without letting one sink break the others
+   * @param {Object} sink - Sink
+   * @param {Object[]} events - Events
+   * @param {Object} [context={}] - Delivery context
+   */
+  deliver(sink, events, context = {}) {
+    try {
+      sink.send(events, context);
+    } catch (error) {
+      console.error(`[Analytics] Sink "${sink.name}" failed`, error);
+    }
+  },
+
+  /**
+   * Schedule a flush of the batch queue
+   */
+  scheduleFlush() {
+    if (analyticsBusState.flushTimer) {
+      return;
+    }
+
+    analyticsBusState.flushTimer = setTimeout(() => this.flush(), ANALYTICS_CONFIG.FLUSH_INTERVAL);
+  },
+
+  /**
+   * Send queued events to batching sinks
+   * @param {Object} [options={}] - Flush options
+   * @param {boolean} [options.beacon=false] - Use `navigator.sendBeacon` (page is going away)
+   */
+  flush(options = {}) {
+    clearTimeout(analyticsBusState.flushTimer);
+    analyticsBusState.flushTimer = null;
+
+    if (analyticsBusState.queue.length === 0) {
+      return;
+    }
+
+    const events = analyticsBusState.queue.splice(0);
+
+    analyticsBusState.sinks
+      .filter((sink) => sink.batch)
+      .forEach((sink) => this.deliver(sink, events, { beacon: !!options.beacon }));
+  },
+
+  /**
+   * Register default sinks and the pagehide flush
+   */
+  init() {
+    if (analyticsBusState.initialized) {
+      return;
+    }
+
+    analyticsBusState.initialized = true;
+
+    this.addSink(AnalyticsSinks.dataLayer());
+    this.addSink(AnalyticsSinks.gtag());
+
+    if (ANALYTICS_CONFIG.DEBUG_HOSTS.includes(window.location.hostname)) {
+      this.addSink(AnalyticsSinks.console());
+    }
+
+    const endpointMeta = document.querySelector(`meta[name="${ANALYTICS_CONFIG.ENDPOINT_META}"]`);
+    if (endpointMeta && endpointMeta.content) {
+      this.addSink(AnalyticsSinks.http(endpointMeta.content));
+    }
+
+    // Queued events were tracked under consent that has now been withdrawn
+    document.addEventListener('consent:change', (event) => {
+      if (!event.detail.choices.analytics) {
+        clearTimeout(analyticsBusState.flushTimer);
+        analyticsBusState.flushTimer = null;
+        analyticsBusState.queue = [];
+      }
+    });
+
+    window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush({ beacon: true });
+      }
+    });
+
+    console.log('[Analytics] Event bus initialized', {
+      sinks: analyticsBusState.sinks.map((sink) => sink.name),
+    });
+  },
+};
+
+Analytics.init();
+
+if (typeof window !== 'undefined') {
+  window.Analytics = Analytics;
+}
+
+export { Analytics };
@@ -0,0 +1,257 @@
+/**
+ * HomeschoolHub Attribution Module
+ *
+ * Captures first-touch and last-touch attribution (UTM parameters, `ref`,
+ * external referrer and landing time) when a visitor lands, then removes the
+ * tracking parameters from the visible URL with `history.replaceState`.
+ *
+ * Touches are kept in localStorage for the attribution window, which defaults
+ * to 30 days and can be changed with
+ * `<meta name="attribution-window-days" content="...">`. Storage and use of
+ * attribution wait for marketing consent; until then the landing touch is
+ * only held in memory.
+ *
+ * Exported as `Attribution` and exposed as `window.Attribution`.
+ *
+ * @module attribution
+ * @version 1.0.0
+ */
+
+import { Consent } from './consent.js';
+
+/**
+ * Attribution configuration
+ */
+const ATTRIBUTION_CONFIG = Object.freeze({
+  STORAGE_KEY: 'homeschoolhub:attribution',
+  WINDOW_META: 'attribution-window-days',
+  DEFAULT_WINDOW_DAYS: 30,
+  CONSENT_CATEGORY: 'marketing',
+  PARAMS: Object.freeze({
+    utm_source: 'source',
+    utm_medium: 'medium',
+    utm_campaign: 'campaign',
+    utm_term: 'term',
+    utm_content: 'content',
+    ref: 'ref',
+  }),
+});
+
+/**
+ * Attribution state
+ */
+const attributionState = {
+  pendingTouch: null,
+  initialized: false,
+};
+
+/**
+ * Attribution tracker
+ */
+const Attribution = {
+  /**
+   * Get the attribution window in milliseconds
+   * @returns {number} Window length
+   */
+  getWindowMs() {
+    const meta = document.querySelector(`meta[name="${ATTRIBUTION_CONFIG.WINDOW_META}"]`);
+    const days = meta ? Number(meta.content) : NaN;
+    const windowDays = Number.isFinite(days) && days > 0 ? days : ATTRIBUTION_CONFIG.DEFAULT_WINDOW_DAYS;
+
+    return windowDays * 24 * 60 * 60 * 1000;
+  },
+
+  /**
+   * Check marketing consent
+   * @returns {boolean} True if attribution may be stored and used
+   */
+  hasConsent() {
+    return Consent.has(ATTRIBUTION_CONFIG.CONSENT_CATEGORY);
+  },
+
+  /**
+   * Get the referrer origin when it is another site
+   * @returns {string|null} Referrer origin or null
+   */
+  getExternalReferrer() {
+    if (!document.referrer) {
+      return null;
+    }
+
+    try {
+      const referrer = new URL(document.referrer);
+      return referrer.origin === window.location.origin ? null : referrer.origin;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Build a touch from the landing URL and referrer.
+   * Direct and internal visits are not touches.
+   * @param {URLSearchParams} params - Landing URL parameters
+   * @returns {Object|null} Touch or null
+   */
+  readTouch(params) {
+    const touch = {};
+    let hasCampaign = false;
+
+    Object.entries(ATTRIBUTION_CONFIG.PARAMS).forEach(([param, key]) => {
+      const value = params.get(param);
+
+      if (value) {
+        touch[key] = value.trim().slice(0, 200);
+        hasCampaign = true;
+      }
+    });
+
+    const referrer = this.getExternalReferrer();
+
+    if (!hasCampaign && !referrer) {
+      return null;
+    }
+
+    touch.referrer = referrer;
+    touch.landingPage = window.location.pathname;
+    touch.landedAt = new Date().toISOString();
+
+    return touch;
+  },
+
+  /**
+   * Remove tracking parameters from the visible URL
+   * @param {URL} url - Current URL
+   */
+  stripParams(url) {
+    const params = Object.keys(ATTRIBUTION_CONFIG.PARAMS).filter((param) => url.searchParams.has(param));
+
+    if (params.length === 0 || !window.history || !window.history.replaceState) {
+      return;
+    }
+
+    params.forEach((param) => url.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+  },
+
+  /**
+   * Read stored touches, dropping any older than the attribution window
+   * @returns {{firstTouch: Object|null, lastTouch: Object|null}} Stored touches
+   */
+  readStored() {
+    const empty = { firstTouch: null, lastTouch: null };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(ATTRIBUTION_CONFIG.STORAGE_KEY));
+
+      if (!stored) {
+        return empty;
+      }
+
+      const cutoff = Date.now() - this.getWindowMs();
+      const isCurrent = (touch) => !!touch && Date.parse(touch.landedAt) >= cutoff;
+
+      return {
+        firstTouch: isCurrent(stored.firstTouch) ? stored.firstTouch : null,
+        lastTouch: isCurrent(stored.lastTouch) ? stored.lastTouch : null,
+      };
+    } catch (error) {
+      console.warn('[Attribution] Could not read stored attribution', error);
+      return empty;
+    }
+  },
+
+  /**
+   * Store a touch as last touch, and as first touch if none is current
+   * @param {Object} touch - Touch to record
+   */
+  record(touch) {
+    const stored = this.readStored();
+
+    try {
+      localStorage.setItem(ATTRIBUTION_CONFIG.STORAGE_KEY, JSON.stringify({
+        firstTouch: stored.firstTouch || touch,
+        lastTouch: touch,
+      }));
+
+      console.log('[Attribution] Touch recorded', { source: touch.source || touch.referrer });
+    } catch (error) {
+      console.warn('[Attribution] Could not store attribution', error);
+    }
+  },
+
+  /**
+   * Get attribution for a submission payload
+   * @returns {{firstTouch: Object, lastTouch: Object}|null} Attribution or null
+   */
+  get() {
+    if (!this.hasConsent()) {
+      return null;
+    }
+
+    const stored = this.readStored();
+
+    if (!stored.firstTouch && !stored.lastTouch) {
+      return null;
+    }
+
+    return {
+      firstTouch: stored.firstTouch || stored.lastTouch,
+      lastTouch: stored.lastTouch || stored.firstTouch,
+    };
+  },
+
+  /**
+   * Forget stored attribution
+   */
+  clear() {
+    try {
+      localStorage.removeItem(ATTRIBUTION_CONFIG.STORAGE_KEY);
+    } catch (error) {
+      console.warn('[Attribution] Could not clear attribution', error);
+    }
+  },
+
+  /**
+   * Capture the landing touch and clean up the URL
+   */
+  init() {
+    if (attributionState.initialized) {
+      return;
+    }
+
+    attributionState.initialized = true;
+
+    let url;
+
+    try {
+      url = new URL(window.location.href);
+    } catch (error) {
+      console.error('[Attribution] Could not parse landing URL', error);
+      return;
+    }
+
+    attributionState.pendingTouch = this.readTouch(url.searchParams);
+    this.stripParams(url);
+
+    if (attributionState.pendingTouch) {
+      Consent.whenGranted(ATTRIBUTION_CONFIG.CONSENT_CATEGORY, () => {
+        this.record(attributionState.pendingTouch);
+        attributionState.pendingTouch = null;
+      });
+    }
+
+    document.addEventListener('consent:change', (event) => {
+      if (!event.detail.choices[ATTRIBUTION_CONFIG.CONSENT_CATEGORY]) {
+        this.clear();
+      }
+    });
+  },
+};
+
+Attribution.init();
+
+if (typeof window !== 'undefined') {
+  window.Attribution = Attribution;
+}
+
+export { Attribution };
@@ -0,0 +1,528 @@
+/**
+ * HomeschoolHub Consent Module
+ *
+ * Consent banner and preferences dialog for three categories: necessary,
+ * analytics and marketing. The choice is persisted in localStorage and
+ * Global Privacy Control / Do Not Track are treated as a standing refusal of
+ * every optional category.
+ *
+ * Third-party work waits on `Consent.whenGranted(category, callback)`; the
+ * Google Analytics and Tag Manager IDs in seo-config.json are only read and
+ * loaded once the matching category is granted.
+ *
+ * Exported as `Consent` and exposed as `window.Consent`.
+ *
+ * @module consent
+ * @version 1.0.0
+ */
+
+/**
+ * Consent configuration
+ */
+const CONSENT_CONFIG = Object.freeze({
+  STORAGE_KEY: 'homeschoolhub:consent',
+  VERSION: 1,
+  SEO_CONFIG_URL: 'data/seo-config.json',
+  CATEGORIES: Object.freeze(['necessary', 'analytics', 'marketing']),
+  OPTIONAL_CATEGORIES: Object.freeze(['analytics', 'marketing']),
+  CHANGE_EVENT: 'consent:change',
+  SELECTORS: Object.freeze({
+    BANNER: '[data-consent-banner]',
+    DIALOG: '[data-consent-dialog]',
+    FORM: '[data-consent-form]',
+    NOTICE: '[data-consent-signal-notice]',
+    OPEN: '[data-consent-open]',
+    ACCEPT: '[data-consent-accept]',
+    REJECT: '[data-consent-reject]',
+    CLOSE: '[data-consent-close]',
+  }),
+});
+
+/**
+ * Consent state
+ */
+const consentState = {
+  choices: { necessary: true, analytics: false, marketing: false },
+  decided: false,
+  privacySignal: false,
+  listeners: { analytics: [], marketing: [] },
+  thirdPartyLoaded: { googleAnalytics: false, googleTagManager: false },
+  lastFocused: null,
+  initialized: false,
+};
+
+/**
+ * Consent controller
+ */
+const Consent = {
+  CATEGORIES: CONSENT_CONFIG.CATEGORIES,
+
+  /**
+   * Check whether the browser sends Global Privacy Control or Do Not Track
+   * @returns {boolean} True if a privacy signal is present
+   */
+  detectPrivacySignal() {
+    if (navigator.globalPrivacyControl === true) {
+      return true;
+    }
+
+    const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return doNotTrack === '1' || doNotTrack === 'yes';
+  },
+
+  /**
+   * Read the stored choice, ignoring records from an older consent version
+   * @returns {Object|null} Stored choices or null
+   */
+  readStoredChoice() {
+    try {
+      const raw = localStorage.getItem(CONSENT_CONFIG.STORAGE_KEY);
+
+      if (!raw) {
+        return null;
+      }
+
+      const record = JSON.parse(raw);
+
+      if (!record || record.version !== CONSENT_CONFIG.VERSION || !record.choices) {
+        return null;
+      }
+
+      return record.choices;
+    } catch (error) {
+      console.warn('[Consent] Could not read stored consent', error);
+      return null;
+    }
+  },
+
+  /**
+   * Persist the current choice
+   */
+  storeChoice() {
+    try {
+      localStorage.setItem(CONSENT_CONFIG.STORAGE_KEY, JSON.stringify({
+        version: CONSENT_CONFIG.VERSION,
+        choices: consentState.choices,
+        updatedAt: new Date().toISOString(),
+      }));
+    } catch (error) {
+      console.warn('[Consent] Could not store consent', error);
+    }
+  },
+
+  /**
+   * Check whether a category is granted
+   * @param {string} category - necessary, analytics or marketing
+   * @returns {boolean} True if granted
+   */
+  has(category) {
+    if (category === 'necessary') {
+      return true;
+    }
+
+    if (consentState.privacySignal) {
+      return false;
+    }
+
+    return consentState.choices[category] === true;
+  },
+
+  /**
+   * Get a copy of the current choices
+   * @returns {Object} Category to boolean map
+   */
+  getChoices() {
+    return CONSENT_CONFIG.CATEGORIES.reduce((choices, category) => {
+      choices[category] = this.has(category);
+      return choices;
+    }, {});
+  },
+
+  /**
+   * Run a callback once a category is granted (immediately if it already is)
+   * @param {string} category - analytics or marketing
+   * @param {Function} callback - Work that needs the category
+   */
+  whenGranted(category, callback) {
+    if (typeof callback !== 'function') {
+      return;
+    }
+
+    if (this.has(category)) {
+      callback();
+      return;
+    }
+
+    if (consentState.listeners[category]) {
+      consentState.listeners[category].push(callback);
+    }
+  },
+
+  /**
+   * Apply a new choice, persist it and notify listeners
+   * @param {Object} choices - Partial category to boolean map
+   */
+  update(choices) {
+    const previous = this.getChoices();
+
+    CONSENT_CONFIG.OPTIONAL_CATEGORIES.forEach((category) => {
+      if (typeof choices[category] === 'boolean') {
+        consentState.choices[category] = choices[category];
+      }
+    });
+
+    consentState.decided = true;
+    this.storeChoice();
+    this.hideBanner();
+
+    const current = this.getChoices();
+
+    CONSENT_CONFIG.OPTIONAL_CATEGORIES.forEach((category) => {
+      if (current[category] && !previous[category]) {
+        const callbacks = consentState.listeners[category].splice(0);
+        callbacks.forEach((callback) => {
+          try {
+            callback();
+          } catch (error) {
+            console.error('[Consent] Consent callback failed', { category, error });
+          }
+        });
+      }
+    });
+
+    this.applyThirdPartyOptOut(current);
+
+    document.dispatchEvent(new CustomEvent(CONSENT_CONFIG.CHANGE_EVENT, {
+      detail: { choices: current, previous },
+    }));
+
+    console.log('[Consent] Choice saved', current);
+  },
+
+  /**
+   * Grant every optional category
+   */
+  acceptAll() {
+    this.update({ analytics: true, marketing: true });
+  },
+
+  /**
+   * Refuse every optional category
+   */
+  rejectAll() {
+    this.update({ analytics: false, marketing: false });
+  },
+
+  /**
+   * Load seo-config.json
+   * @returns {Promise<Object|null>} Parsed config or null
+   */
+  async fetchSeoConfig() {
+    try {
+      const response = await fetch(CONSENT_CONFIG.SEO_CONFIG_URL, {
+        headers: { Accept: 'application/json' },
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.warn('[Consent] Could not load SEO config', error);
+      return null;
+    }
+  },
+
+  /**
+   * Append an async third-party script
+   * @param {string} src - Script URL
+   */
+  appendScript(src) {
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = src;
+    document.head.appendChild(script);
+  },
+
+  /**
+   * Load gtag.js with the Google Analytics ID from seo-config.json
+   */
+  async loadGoogleAnalytics() {
+    if (consentState.thirdPartyLoaded.googleAnalytics) {
+      return;
+    }
+
+    const config = await this.fetchSeoConfig();
+    const settings = config && config.analytics && config.analytics.googleAnalytics;
+
+    if (!settings || !settings.enabled || !settings.trackingId || !this.has('analytics')) {
+      return;
+    }
+
+    consentState.thirdPartyLoaded.googleAnalytics = true;
+    window[`ga-disable-${settings.trackingId}`] = false;
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = window.gtag || function gtag() {
+      window.dataLayer.push(arguments);
+    };
+
+    window.gtag('consent', 'default', {
+      analytics_storage: 'granted',
+      ad_storage: this.has('marketing') ? 'granted' : 'denied',
+    });
+    window.gtag('js', new Date());
+    window.gtag('config', settings.trackingId, { anonymize_ip: true });
+
+    this.appendScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(settings.trackingId)}`);
+
+    if (config.performance) {
+      // performance.js imports this module, so it is only imported here once needed
+      const { ResourcePreloader } = await import('./performance.js');
+      ResourcePreloader.dnsPrefetch(config.performance.dnsPrefetch || []);
+    }
+
+    console.log('[Consent] Google Analytics loaded');
+  },
+
+  /**
+   * Load Google Tag Manager with the container ID from seo-config.json
+   */
+  async loadGoogleTagManager() {
+    if (consentState.thirdPartyLoaded.googleTagManager) {
+      return;
+    }
+
+    const config = await this.fetchSeoConfig();
+    const settings = config && config.analytics && config.analytics.googleTagManager;
+
+    if (!settings || !settings.enabled || !settings.containerId || !this.has('marketing')) {
+      return;
+    }
+
+    consentState.thirdPartyLoaded.googleTagManager = true;
+
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push({ 'gtm.start': Date.now(), event: 'gtm.js' });
+
+    this.appendScript(`https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(settings.containerId)}`);
+
+    console.log('[Consent] Google Tag Manager loaded');
+  },
+
+  /**
+   * Scripts cannot be unloaded, so a withdrawn choice switches them off instead
+   * @param {Object} choices - Current choices
+   */
+  applyThirdPartyOptOut(choices) {
+    if (typeof window.gtag === 'function') {
+      window.gtag('consent', 'update', {
+        analytics_storage: choices.analytics ? 'granted' : 'denied',
+        ad_storage: choices.marketing ? 'granted' : 'denied',
+      });
+    }
+
+    if (!choices.analytics && consentState.thirdPartyLoaded.googleAnalytics) {
+      Object.keys(window)
+        .filter((key) => key.startsWith('ga-disable-'))
+        .forEach((key) => {
+          window[key] = true;
+        });
+    }
+  },
+
+  /**
+   * Show the banner
+   */
+  showBanner() {
+    const banner = document.querySelector(CONSENT_CONFIG.SELECTORS.BANNER);
+
+    if (banner) {
+      banner.hidden = false;
+    }
+  },
+
+  /**
+   * Hide the banner
+   */
+  hideBanner() {
+    const banner = document.querySelector(CONSENT_CONFIG.SELECTORS.BANNER);
+
+    if (banner) {
+      banner.hidden = true;
+    }
+  },
+
+  /**
+   * Open the preferences dialog with the current choices filled in
+   */
+  openPreferences() {
+    const dialog = document.querySelector(CONSENT_CONFIG.SELECTORS.DIALOG);
+
+    if (!dialog) {
+      console.warn('[Consent] Preferences dialog not found');
+      return;
+    }
+
+    const form = dialog.querySelector(CONSENT_CONFIG.SELECTORS.FORM);
+    const notice = dialog.querySelector(CONSENT_CONFIG.SELECTORS.NOTICE);
+
+    if (form) {
+      CONSENT_CONFIG.OPTIONAL_CATEGORIES.forEach((category) => {
+        const input = form.elements.namedItem(category);
+        if (input) {
+          input.checked = this.has(category);
+          input.disabled = consentState.privacySignal;
+        }
+      });
+    }
+
+    if (notice) {
+      notice.hidden = !consentState.privacySignal;
+    }
+
+    consentState.lastFocused = document.activeElement;
+
+    if (typeof dialog.showModal === 'function') {
+      dialog.showModal();
+    } else {
+      dialog.setAttribute('open', '');
+    }
+  },
+
+  /**
+   * Close the preferences dialog and restore focus
+   */
+  closePreferences() {
+    const dialog = document.querySelector(CONSENT_CONFIG.SELECTORS.DIALOG);
+
+    if (!dialog) {
+      return;
+    }
+
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+    }
+
+    if (consentState.lastFocused && typeof consentState.lastFocused.focus === 'function') {
+      consentState.lastFocused.focus();
+    }
+    consentState.lastFocused = null;
+  },
+
+  /**
+   * Save the choices from the preferences form
+   * @param {HTMLFormElement} form - Preferences form
+   */
+  savePreferences(form) {
+    const choices = {};
+
+    CONSENT_CONFIG.OPTIONAL_CATEGORIES.forEach((category) => {
+      const input = form.elements.namedItem(category);
+      choices[category] = !!(input && input.checked);
+    });
+
+    this.update(choices);
+    this.closePreferences();
+  },
+
+  /**
+   * Wire up banner buttons, preferences links and the dialog form
+   */
+  attachEventListeners() {
+    document.addEventListener('click', (event) => {
+      const target = event.target instanceof Element ? event.target : null;
+
+      if (!target) {
+        return;
+      }
+
+      if (target.closest(CONSENT_CONFIG.SELECTORS.ACCEPT)) {
+        this.acceptAll();
+        this.closePreferences();
+      } else if (target.closest(CONSENT_CONFIG.SELECTORS.REJECT)) {
+        this.rejectAll();
+        this.closePreferences();
+      } else if (target.closest(CONSENT_CONFIG.SELECTORS.OPEN)) {
+        event.preventDefault();
+        this.openPreferences();
+      } else if (target.closest(CONSENT_CONFIG.SELECTORS.CLOSE)) {
+        this.closePreferences();
+      }
+    });
+
+    const form = document.querySelector(CONSENT_CONFIG.SELECTORS.FORM);
+
+    if (form) {
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.savePreferences(form);
+      });
+    }
+
+    const dialog = document.querySelector(CONSENT_CONFIG.SELECTORS.DIALOG);
+
+    if (dialog) {
+      // Escape closes a native modal on its own; keep focus restore consistent
+      dialog.addEventListener('cancel', (event) => {
+        event.preventDefault();
+        this.closePreferences();
+      });
+    }
+  },
+
+  /**
+   * Restore the stored choice, apply privacy signals and show the banner if needed
+   */
+  init() {
+    if (consentState.initialized) {
+      return;
+    }
+
+    consentState.initialized = true;
+    consentState.privacySignal = this.detectPrivacySignal();
+
+    const stored = this.readStoredChoice();
+
+    if (stored) {
+      CONSENT_CONFIG.OPTIONAL_CATEGORIES.forEach((category) => {
+        consentState.choices[category] = stored[category] === true;
+      });
+      consentState.decided = true;
+    }
+
+    this.whenGranted('analytics', () => this.loadGoogleAnalytics());
+    this.whenGranted('marketing', () => this.loadGoogleTagManager());
+
+    const setup = () => {
+      this.attachEventListeners();
+
+      // A privacy signal is an answer in itself, so the banner is not shown
+      if (!consentState.decided && !consentState.privacySignal) {
+        this.showBanner();
+      }
+    };
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', setup);
+    } else {
+      setup();
+    }
+
+    console.log('[Consent] Initialized', {
+      choices: this.getChoices(),
+      privacySignal: consentState.privacySignal,
+    });
+  },
+};
+
+Consent.init();
+
+if (typeof window !== 'undefined') {
+  window.Consent = Consent;
+}
+
+export { Consent };
@@ -0,0 +1,135 @@
+/**
+ * HomeschoolHub Consultation Availability Module
+ *
+ * Turns the weekly consultation template (src/data/consultation-availability.json)
+ * into rolling, dated slots for the coming weeks. Shared by the consultation
+ * scheduler in the browser, which falls back to it when no live availability
+ * endpoint answers, and by Node services that serve the availability feed, so
+ * both produce the same slot IDs.
+ *
+ * Browser: `import { ConsultationAvailability } from './consultation-availability.js'`;
+ * also exposed as `window.ConsultationAvailability`.
+ * Node: `import './src/js/consultation-availability.js'` and read
+ * `globalThis.ConsultationAvailability`.
+ *
+ * @module consultation-availability
+ * @version 1.0.0
+ */
+
+/**
+ * Template defaults
+ */
+const AVAILABILITY_DEFAULTS = Object.freeze({
+  ORGANIZER_TIMEZONE: 'UTC',
+  DURATION_MINUTES: 45,
+  MINIMUM_NOTICE_HOURS: 24,
+  HORIZON_DAYS: 21,
+});
+
+/**
+ * Get a timezone's offset from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-based
+ * @param {number} day - Day of the month
+ * @param {string} time - HH:MM
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTime(year, month, day, time, timeZone) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+
+  // Re-check at the guessed instant so days that change DST land correctly
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Build a stable slot ID from its start time
+ * @param {Date} start - Slot start
+ * @returns {string} ID such as slot-20261102-1400
+ */
+function createSlotId(start) {
+  return `slot-${start.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}`;
+}
+
+/**
+ * Build the availability feed for the template's horizon
+ * @param {Object} template - Weekly availability template
+ * @param {Object} [options={}] - Build options
+ * @param {Date} [options.now=new Date()] - Current time
+ * @param {Set<string>} [options.bookedSlots] - Slot IDs that are already taken
+ * @returns {Object} Feed in the shape consultation-scheduler.js reads
+ */
+function buildAvailability(template, options = {}) {
+  const { now = new Date(), bookedSlots = new Set() } = options;
+  const source = template.consultationAvailability || template;
+  const organizerTimezone = source.organizerTimezone || AVAILABILITY_DEFAULTS.ORGANIZER_TIMEZONE;
+  const durationMinutes = source.durationMinutes || AVAILABILITY_DEFAULTS.DURATION_MINUTES;
+  const minimumNoticeHours = source.minimumNoticeHours ?? AVAILABILITY_DEFAULTS.MINIMUM_NOTICE_HOURS;
+  const horizonDays = source.horizonDays || AVAILABILITY_DEFAULTS.HORIZON_DAYS;
+  const weeklyHours = source.weeklyHours || {};
+  const slots = [];
+
+  for (let offset = 0; offset < horizonDays; offset++) {
+    const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + offset));
+    const weekday = day.getUTCDay() || 7;
+
+    (weeklyHours[weekday] || []).forEach((time) => {
+      const start = zonedTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), time, organizerTimezone);
+      const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+      const id = createSlotId(start);
+
+      if (start > now) {
+        slots.push({ id, start: start.toISOString(), end: end.toISOString(), available: !bookedSlots.has(id) });
+      }
+    });
+  }
+
+  return {
+    consultationSlots: {
+      title: source.title || 'Consultation Call Availability',
+      organizerTimezone,
+      durationMinutes,
+      minimumNoticeHours,
+      lastUpdated: now.toISOString(),
+      slots,
+    },
+  };
+}
+
+const ConsultationAvailability = Object.freeze({
+  DEFAULTS: AVAILABILITY_DEFAULTS,
+  buildAvailability,
+  createSlotId,
+  getTimeZoneOffset,
+  zonedTime,
+});
+
+globalThis.ConsultationAvailability = ConsultationAvailability;
+
+export { ConsultationAvailability };
@@ -0,0 +1,585 @@
+/**
+ * HomeschoolHub Consultation Scheduler Module
+ *
+ * Availability picker for the "Consultation Call" enrollment step. Reads slots
+ * from the live availability endpoint (`data-slots-url`; `npm run mock:contact`
+ * serves one locally) and, when that endpoint is missing or unreachable,
+ * generates rolling slots from the static weekly template
+ * (`data-availability-url`). Shows them in the visitor's own timezone,
+ * re-checks the feed for conflicts before the form is submitted, reopens the
+ * picker when the server rejects the slot, and offers an .ics calendar file
+ * once the inquiry is confirmed.
+ *
+ * The chosen slot is submitted with the contact form through the
+ * `consultationSlot` radios and the hidden `consultationStart`,
+ * `consultationEnd` and `consultationTimezone` inputs.
+ *
+ * @module consultation-scheduler
+ * @version 1.0.0
+ */
+
+import { Analytics } from './analytics.js';
+import { ConsultationAvailability } from './consultation-availability.js';
+
+/**
+ * Scheduler configuration
+ */
+const SCHEDULER_CONFIG = Object.freeze({
+  DEFAULT_AVAILABILITY_URL: 'data/consultation-availability.json',
+  DEFAULT_DURATION_MINUTES: 45,
+  DEFAULT_NOTICE_HOURS: 24,
+  FIELD_NAME: 'consultationSlot',
+  CALENDAR_FILENAME: 'homeschoolhub-consultation.ics',
+  CALENDAR_PRODID: '-//HomeschoolHub//Consultation Scheduler//EN',
+  CALENDAR_UID_DOMAIN: 'homeschoolhub.example.com',
+  CALENDAR_SUMMARY: 'HomeschoolHub Consultation Call',
+  CONTACT_METHOD_LABELS: {
+    email: 'Email',
+    phone: 'Phone call',
+    video: 'Video call',
+  },
+  ERROR_MESSAGES: {
+    LOAD_FAILED: 'We could not load available times. Submit your inquiry and we will reach out to schedule your call.',
+    NO_SLOTS: 'No consultation times are currently open. Submit your inquiry and we will reach out to schedule your call.',
+    SLOT_TAKEN: 'Sorry, that time was just booked. Please choose another time.',
+  },
+});
+
+/**
+ * Scheduler state
+ */
+const schedulerState = {
+  form: null,
+  container: null,
+  feed: null,
+  selectedSlot: null,
+  skipNextVerification: false,
+  calendarUrl: null,
+};
+
+/**
+ * Consultation scheduler controller
+ */
+const ConsultationScheduler = {
+  /**
+   * Get the visitor's IANA timezone
+   * @returns {string} Timezone name
+   */
+  getTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+      return 'UTC';
+    }
+  },
+
+  /**
+   * Fetch a JSON document without caching
+   * @param {string} url - Document URL
+   * @returns {Promise<Object>} Parsed document
+   */
+  async fetchJSON(url) {
+    const response = await fetch(url, {
+      cache: 'no-store',
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url} (HTTP ${response.status})`);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Load the live availability feed, or build one from the weekly template
+   * @returns {Promise<Object>} Raw availability feed
+   */
+  async fetchFeed() {
+    const { slotsUrl, availabilityUrl } = schedulerState.container.dataset;
+
+    if (slotsUrl) {
+      try {
+        return await this.fetchJSON(slotsUrl);
+      } catch (error) {
+        console.warn('[Scheduler] Live availability unavailable, using the weekly template', error);
+      }
+    }
+
+    const template = await this.fetchJSON(availabilityUrl || SCHEDULER_CONFIG.DEFAULT_AVAILABILITY_URL);
+    return ConsultationAvailability.buildAvailability(template);
+  },
+
+  /**
+   * Fetch and normalize the availability feed
+   * @returns {Promise<Object>} Feed with parsed slot dates
+   */
+  async fetchSlots() {
+    const data = await this.fetchFeed();
+    const feed = data.consultationSlots || data;
+    const duration = feed.durationMinutes || SCHEDULER_CONFIG.DEFAULT_DURATION_MINUTES;
+
+    const slots = (feed.slots || [])
+      .map((slot) => {
+        const start = new Date(slot.start);
+        const end = slot.end ? new Date(slot.end) : new Date(start.getTime() + duration * 60 * 1000);
+
+        return { id: slot.id, start, end, available: slot.available !== false };
+      })
+      .filter((slot) => slot.id && !Number.isNaN(slot.start.getTime()) && !Number.isNaN(slot.end.getTime()))
+      .sort((a, b) => a.start - b.start);
+
+    return {
+      noticeHours: feed.minimumNoticeHours ?? SCHEDULER_CONFIG.DEFAULT_NOTICE_HOURS,
+      slots,
+    };
+  },
+
+  /**
+   * Check whether a slot can still be booked
+   * @param {Object} slot - Normalized slot
+   * @param {Object} feed - Normalized feed
+   * @returns {boolean} True if the slot is open and far enough ahead
+   */
+  isBookable(slot, feed) {
+    const earliestStart = Date.now() + feed.noticeHours * 60 * 60 * 1000;
+    return !!slot && slot.available && slot.start.getTime() >= earliestStart;
+  },
+
+  /**
+   * Group bookable slots by local calendar day
+   * @param {Object} feed - Normalized feed
+   * @returns {Map<string, Object[]>} Slots keyed by YYYY-MM-DD in the visitor's timezone
+   */
+  groupByDay(feed) {
+    const days = new Map();
+
+    feed.slots
+      .filter((slot) => this.isBookable(slot, feed))
+      .forEach((slot) => {
+        const dayKey = slot.start.toLocaleDateString('en-CA');
+
+        if (!days.has(dayKey)) {
+          days.set(dayKey, []);
+        }
+        days.get(dayKey).push(slot);
+      });
+
+    return days;
+  },
+
+  /**
+   * Format a slot's day for display
+   * @param {Date} date - Slot start
+   * @returns {string} Formatted day
+   */
+  formatDay(date) {
+    return date.toLocaleDateString(undefined, {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+    });
+  },
+
+  /**
+   * Format a slot's time for display
+   * @param {Date} date - Slot start
+   * @returns {string} Formatted time including the timezone
+   */
+  formatTime(date) {
+    return date.toLocaleTimeString(undefined, {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    });
+  },
+
+  /**
+   * Render the day picker and times
+   */
+  render() {
+    const body = schedulerState.container.querySelector('[data-scheduler-body]');
+    const days = this.groupByDay(schedulerState.feed);
+
+    body.textContent = '';
+
+    if (days.size === 0) {
+      const status = document.createElement('p');
+      status.className = 'consultation-scheduler__status';
+      status.textContent = SCHEDULER_CONFIG.ERROR_MESSAGES.NO_SLOTS;
+      body.appendChild(status);
+      return;
+    }
+
+    const dayLabel = document.createElement('label');
+    dayLabel.className = 'form-label';
+    dayLabel.htmlFor = 'consultation-day';
+    dayLabel.textContent = 'Day';
+
+    const daySelect = document.createElement('select');
+    daySelect.id = 'consultation-day';
+    daySelect.className = 'form-select';
+    daySelect.dataset.schedulerDay = '';
+
+    days.forEach((slots, dayKey) => {
+      const option = document.createElement('option');
+      option.value = dayKey;
+      option.textContent = this.formatDay(slots[0].start);
+      daySelect.appendChild(option);
+    });
+
+    const selectedDay = schedulerState.selectedSlot
+      ? schedulerState.selectedSlot.start.toLocaleDateString('en-CA')
+      : null;
+
+    if (selectedDay && days.has(selectedDay)) {
+      daySelect.value = selectedDay;
+    }
+
+    const times = document.createElement('div');
+    times.className = 'consultation-scheduler__times';
+    times.setAttribute('role', 'radiogroup');
+    times.setAttribute('aria-label', 'Available times');
+    times.dataset.schedulerTimes = '';
+
+    const timezoneNote = document.createElement('p');
+    timezoneNote.className = 'form-helper';
+    timezoneNote.textContent = `Times are shown in your timezone (${this.getTimeZone()}).`;
+
+    body.append(dayLabel, daySelect, times, timezoneNote);
+
+    daySelect.addEventListener('change', () => this.renderTimes(days.get(daySelect.value)));
+    this.renderTimes(days.get(daySelect.value));
+  },
+
+  /**
+   * Render time choices for a day
+   * @param {Object[]} slots - Slots on the selected day
+   */
+  renderTimes(slots) {
+    const times = schedulerState.container.querySelector('[data-scheduler-times]');
+    times.textContent = '';
+
+    slots.forEach((slot) => {
+      const option = document.createElement('label');
+      option.className = 'consultation-scheduler__time';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = SCHEDULER_CONFIG.FIELD_NAME;
+      radio.value = slot.id;
+      radio.setAttribute('aria-describedby', `${SCHEDULER_CONFIG.FIELD_NAME}-error`);
+      radio.dataset.reviewValue = `${this.formatDay(slot.start)}, ${this.formatTime(slot.start)}`;
+      radio.checked = !!schedulerState.selectedSlot && schedulerState.selectedSlot.id === slot.id;
+
+      radio.addEventListener('change', () => this.select(slot));
+
+      const text = document.createElement('span');
+      text.textContent = this.formatTime(slot.start);
+
+      option.append(radio, text);
+      times.appendChild(option);
+    });
+  },
+
+  /**
+   * Record the chosen slot in the hidden payload fields
+   * @param {Object|null} slot - Selected slot or null to clear
+   */
+  select(slot) {
+    const { container } = schedulerState;
+
+    schedulerState.selectedSlot = slot;
+    container.querySelector('[data-scheduler-start]').value = slot ? slot.start.toISOString() : '';
+    container.querySelector('[data-scheduler-end]').value = slot ? slot.end.toISOString() : '';
+    container.querySelector('[data-scheduler-timezone]').value = slot ? this.getTimeZone() : '';
+
+    if (slot) {
+      this.showError('');
+      Analytics.track('consultation_slot_select', { slot_id: slot.id });
+    }
+  },
+
+  /**
+   * Show or clear the scheduler error message
+   * @param {string} message - Error message, or empty to clear
+   */
+  showError(message) {
+    const errorElement = schedulerState.container.querySelector('[data-scheduler-error]');
+
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.toggle('visible', !!message);
+    }
+  },
+
+  /**
+   * Re-fetch availability and make sure the chosen slot is still open
+   * @returns {Promise<boolean>} True if there is no conflict
+   */
+  async verifySelection() {
+    const { selectedSlot } = schedulerState;
+
+    if (!selectedSlot) {
+      return true;
+    }
+
+    try {
+      schedulerState.feed = await this.fetchSlots();
+    } catch (error) {
+      // The server makes the final call; don't block the inquiry on a feed hiccup
+      console.warn('[Scheduler] Could not re-check availability', error);
+      return true;
+    }
+
+    const current = schedulerState.feed.slots.find((slot) => slot.id === selectedSlot.id);
+
+    if (this.isBookable(current, schedulerState.feed)) {
+      return true;
+    }
+
+    console.warn('[Scheduler] Selected slot is no longer available', { slot: selectedSlot.id });
+    this.reopen(SCHEDULER_CONFIG.ERROR_MESSAGES.SLOT_TAKEN);
+
+    return false;
+  },
+
+  /**
+   * Clear the chosen slot, show why and send the visitor back to the picker
+   * @param {string} message - Error message
+   */
+  reopen(message) {
+    this.select(null);
+    this.render();
+    this.showError(message);
+
+    const firstTime = schedulerState.container.querySelector(`[name="${SCHEDULER_CONFIG.FIELD_NAME}"]`);
+    schedulerState.form.dispatchEvent(new CustomEvent('contactform:invalid', {
+      bubbles: true,
+      detail: { field: firstTime || schedulerState.container },
+    }));
+
+    if (firstTime) {
+      firstTime.focus();
+    }
+  },
+
+  /**
+   * Reopen the picker when the server refuses the submitted slot
+   * (409 for a slot booked meanwhile, 422 for an unknown or too-soon slot)
+   * @param {CustomEvent} event - `contactform:rejected` event
+   */
+  async handleRejected(event) {
+    const { fieldErrors = {} } = event.detail || {};
+    const message = fieldErrors[SCHEDULER_CONFIG.FIELD_NAME];
+
+    if (!message) {
+      return;
+    }
+
+    console.warn('[Scheduler] Server rejected the selected slot', { status: event.detail.status });
+
+    try {
+      schedulerState.feed = await this.fetchSlots();
+    } catch (error) {
+      console.warn('[Scheduler] Could not refresh availability', error);
+    }
+
+    this.reopen(message);
+  },
+
+  /**
+   * Hold submission until the chosen slot has been re-checked.
+   * Registered in the capture phase so it runs before contact.js.
+   * @param {Event} event - Submit event
+   */
+  handleSubmitCapture(event) {
+    if (event.target !== schedulerState.form || !schedulerState.selectedSlot) {
+      return;
+    }
+
+    if (schedulerState.skipNextVerification) {
+      schedulerState.skipNextVerification = false;
+      return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    this.verifySelection().then((isAvailable) => {
+      if (isAvailable) {
+        schedulerState.skipNextVerification = true;
+        schedulerState.form.requestSubmit();
+      }
+    });
+  },
+
+  /**
+   * Escape text for an iCalendar property value
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeCalendarText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Fold an iCalendar content line to 75 octets
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  foldCalendarLine(line) {
+    const parts = [];
+    let remaining = line;
+
+    while (remaining.length > 75) {
+      parts.push(remaining.slice(0, 75));
+      remaining = ` ${remaining.slice(75)}`;
+    }
+    parts.push(remaining);
+
+    return parts.join('\r\n');
+  },
+
+  /**
+   * Format a date as an iCalendar UTC timestamp
+   * @param {Date} date - Date to format
+   * @returns {string} Timestamp such as 20261102T140000Z
+   */
+  formatCalendarDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * Build an .ics calendar file for a submitted consultation
+   * @param {Object} data - Submitted form data
+   * @returns {string} iCalendar document
+   */
+  buildCalendar(data) {
+    const start = new Date(data.consultationStart);
+    const end = new Date(data.consultationEnd || start.getTime() + SCHEDULER_CONFIG.DEFAULT_DURATION_MINUTES * 60 * 1000);
+    const method = SCHEDULER_CONFIG.CONTACT_METHOD_LABELS[data.contactMethod] || 'Consultation call';
+    const description = [
+      `${method} with the HomeschoolHub enrollment team.`,
+      'Questions? Email info@homeschoolhub.example.com or call +1 (555) 123-4567.',
+    ].join('\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${SCHEDULER_CONFIG.CALENDAR_PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${data.consultationSlot || this.formatCalendarDate(start)}-${Date.now()}@${SCHEDULER_CONFIG.CALENDAR_UID_DOMAIN}`,
+      `DTSTAMP:${this.formatCalendarDate(new Date())}`,
+      `DTSTART:${this.formatCalendarDate(start)}`,
+      `DTEND:${this.formatCalendarDate(end)}`,
+      `SUMMARY:${this.escapeCalendarText(SCHEDULER_CONFIG.CALENDAR_SUMMARY)}`,
+      `DESCRIPTION:${this.escapeCalendarText(description)}`,
+      `LOCATION:${this.escapeCalendarText(method)}`,
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ];
+
+    return `${lines.map((line) => this.foldCalendarLine(line)).join('\r\n')}\r\n`;
+  },
+
+  /**
+   * Offer the calendar download after a confirmed submission
+   * @param {CustomEvent} event - `contactform:submitted` event
+   */
+  handleSubmitted(event) {
+    const { data, queued } = event.detail || {};
+    const hasConsultation = data && data.consultationStart;
+
+    this.select(null);
+
+    if (schedulerState.feed) {
+      this.render();
+    }
+
+    // Queued inquiries are not confirmed yet, so there is nothing to add to a calendar
+    if (!hasConsultation || queued) {
+      return;
+    }
+
+    if (schedulerState.calendarUrl) {
+      URL.revokeObjectURL(schedulerState.calendarUrl);
+    }
+
+    const blob = new Blob([this.buildCalendar(data)], { type: 'text/calendar;charset=utf-8' });
+    schedulerState.calendarUrl = URL.createObjectURL(blob);
+
+    const start = new Date(data.consultationStart);
+    let confirmation = document.querySelector('[data-scheduler-confirmation]');
+
+    if (!confirmation) {
+      confirmation = document.createElement('div');
+      confirmation.className = 'consultation-confirmation';
+      confirmation.dataset.schedulerConfirmation = '';
+      confirmation.setAttribute('role', 'status');
+
+      const messageContainer = document.getElementById('form-message');
+      (messageContainer || schedulerState.form).after(confirmation);
+    }
+
+    confirmation.innerHTML = `
+      <p class="consultation-confirmation__text"></p>
+      <a class="consultation-confirmation__download" download="${SCHEDULER_CONFIG.CALENDAR_FILENAME}">Add to calendar (.ics)</a>
+    `;
+    confirmation.querySelector('.consultation-confirmation__text').textContent =
+      `Your consultation call is requested for ${this.formatDay(start)} at ${this.formatTime(start)}.`;
+    confirmation.querySelector('a').href = schedulerState.calendarUrl;
+
+    console.log('[Scheduler] Calendar file offered', { start: data.consultationStart });
+  },
+
+  /**
+   * Initialize the scheduler
+   */
+  async init() {
+    const container = document.querySelector('[data-consultation-scheduler]');
+
+    if (!container || !container.form) {
+      console.warn('[Scheduler] Consultation scheduler container not found in DOM');
+      return;
+    }
+
+    schedulerState.container = container;
+    schedulerState.form = container.form;
+
+    document.addEventListener('submit', (event) => this.handleSubmitCapture(event), true);
+    schedulerState.form.addEventListener('contactform:submitted', (event) => this.handleSubmitted(event));
+    schedulerState.form.addEventListener('contactform:rejected', (event) => this.handleRejected(event));
+
+    try {
+      schedulerState.feed = await this.fetchSlots();
+      this.render();
+
+      console.log('[Scheduler] Consultation scheduler initialized', {
+        slots: schedulerState.feed.slots.length,
+        timeZone: this.getTimeZone(),
+      });
+    } catch (error) {
+      console.error('[Scheduler] Failed to load consultation slots', error);
+      this.showError(SCHEDULER_CONFIG.ERROR_MESSAGES.LOAD_FAILED);
+    }
+  },
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => ConsultationScheduler.init());
+} else {
+  ConsultationScheduler.init();
+}
+
+if (typeof window !== 'undefined') {
+  window.ConsultationScheduler = ConsultationScheduler;
+}
+
+export { ConsultationScheduler };
@@ -8,7 +8,10 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { Analytics } from './analytics.js';
+import { Attribution } from './attribution.js';
+import { FormSchema } from './form-schema.js';
+import { Funnel } from './funnel.js';
 
 /**
  * Contact form configuration
@@ -16,45 +19,40 @@
 const CONTACT_CONFIG = Object.freeze({
   VALIDATION_DELAY: 500,
   SUBMISSION_TIMEOUT: 10000,
-  MIN_MESSAGE_LENGTH: 10,
-  MAX_MESSAGE_LENGTH: 1000,
   HONEYPOT_FIELD: 'website',
+  STUDENT_GROUP: 'students',
   SUCCESS_DISPLAY_DURATION: 5000,
+  SUBMISSION_ENDPOINT: null,
+  SUBMISSION_ENCODING: 'json',
+  DEFAULT_ENDPOINT: '/submit-contact',
+  QUEUE_STORAGE_KEY: 'homeschoolhub:contact-queue',
+  QUEUE_RETRY_BASE_DELAY: 5000,
+  QUEUE_RETRY_MAX_DELAY: 300000,
+  QUEUE_MAX_ATTEMPTS: 10,
+  DRAFT_STORAGE_PREFIX: 'homeschoolhub:contact-draft:',
+  DRAFT_SAVE_DELAY: 1000,
+  DRAFT_EXPIRY: 7 * 24 * 60 * 60 * 1000,
 });
 
 /**
- * Validation error messages
+ * Submission error messages (field messages live in form-schema.js)
  */
 const ERROR_MESSAGES = Object.freeze({
-  REQUIRED: 'This field is required',
-  INVALID_EMAIL: 'Please enter a valid email address',
-  INVALID_PHONE: 'Please enter a valid phone number (10 digits minimum)',
-  MESSAGE_TOO_SHORT: `Message must be at least ${CONTACT_CONFIG.MIN_MESSAGE_LENGTH} characters`,
-  MESSAGE_TOO_LONG: `Message must not exceed ${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`,
-  INVALID_GRADE: 'Please select a valid grade level',
   SUBMISSION_FAILED: 'Failed to submit form. Please try again.',
   NETWORK_ERROR: 'Network error. Please check your connection and try again.',
+  VALIDATION_REJECTED: 'Some of your details were not accepted. Please review the highlighted fields and try again.',
 });
 
 /**
- * Valid grade level options
- */
-const VALID_GRADES = Object.freeze([
-  'pre-k',
-  'kindergarten',
-  'grade-1',
-  'grade-2',
-  'grade-3',
-  'grade-4',
-  'grade-5',
-  'grade-6',
-  'grade-7',
-  'grade-8',
-  'grade-9',
-  'grade-10',
-  'grade-11',
-  'grade-12',
-]);
+ * Submission failure categories
+ */
+const SUBMISSION_ERROR_TYPES = Object.freeze({
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  VALIDATION: 'validation',
+  REJECTED: 'rejected',
+});
 
 /**
  * Form validation state
@@ -63,115 +61,208 @@ const formState = {
   isSubmitting: false,
   validationErrors: new Map(),
   touchedFields: new Set(),
+  draftPromptPending: false,
 };
 
 /**
- * Validation rules for form fields
+ * Send a contact form event through the shared analytics bus
+ * @param {string} eventName - Event name
+ * @param {Object} [eventData={}] - Event properties
+ */
+function trackContactEvent(eventName, eventData = {}) {
+  Analytics.track(eventName, eventData);
+}
+
+/**
+ * Record a conversion funnel step for the contact form
+ * @param {string} step - Funnel step name
+ */
+function trackFunnelStep(step) {
+  Funnel.step(step);
+}
+
+/**
+ * Record the first and latest field the visitor interacts with
+ * @param {Event} event - Focus or input event
+ */
+function handleFunnelInteraction(event) {
+  const field = event.target;
+
+  if (field && field.name && field.name !== CONTACT_CONFIG.HONEYPOT_FIELD) {
+    Funnel.fieldInteraction(field.name);
+  }
+}
+
+/**
+ * Per-field friction metrics: focus time, errors shown by code, and
+ * corrections (an error followed by a valid value). Only field names and
+ * error codes are kept, never values, and group items such as
+ * `students[1].gradeLevel` are aggregated as `students.gradeLevel`.
  */
-const validationRules = {
+const fieldMetrics = {
+  fields: new Map(),
+  reported: false,
+
   /**
-   * Validate parent name field
-   * @param {string} value - Field value
-   * @returns {{isValid: boolean, error: string|null}}
+   * Get an anonymized metrics key for a field name
+   * @param {string} fieldName - Field name
+   * @returns {string} Metrics key
    */
-  parentName(value) {
-    const trimmed = value.trim();
-    
-    if (!trimmed) {
-      return { isValid: false, error: ERROR_MESSAGES.REQUIRED };
-    }
-    
-    if (trimmed.length < 2) {
-      return { isValid: false, error: 'Name must be at least 2 characters' };
-    }
-    
-    return { isValid: true, error: null };
+  keyFor(fieldName) {
+    const parts = FormSchema.parseFieldName(fieldName);
+    return parts ? `${parts.group}.${parts.field}` : fieldName;
   },
 
   /**
-   * Validate email field
-   * @param {string} value - Field value
-   * @returns {{isValid: boolean, error: string|null}}
+   * Get or create the metrics entry for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {Object} Metrics entry
    */
-  email(value) {
-    const trimmed = value.trim();
-    
-    if (!trimmed) {
-      return { isValid: false, error: ERROR_MESSAGES.REQUIRED };
-    }
-    
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(trimmed)) {
-      return { isValid: false, error: ERROR_MESSAGES.INVALID_EMAIL };
+  entry(field) {
+    const key = this.keyFor(field.name);
+
+    if (!this.fields.has(key)) {
+      this.fields.set(key, {
+        focusMs: 0,
+        focusCount: 0,
+        errors: 0,
+        errorCodes: {},
+        corrections: 0,
+      });
     }
-    
-    return { isValid: true, error: null };
+
+    return this.fields.get(key);
   },
 
   /**
-   * Validate phone field
-   * @param {string} value - Field value
-   * @returns {{isValid: boolean, error: string|null}}
+   * Start timing focus on a field
+   * @param {HTMLElement} field - Form field
    */
-  phone(value) {
-    const trimmed = value.trim();
-    
-    if (!trimmed) {
-      return { isValid: true, error: null };
-    }
-    
-    const digitsOnly = trimmed.replace(/\D/g, '');
-    
-    if (digitsOnly.length < 10) {
-      return { isValid: false, error: ERROR_MESSAGES.INVALID_PHONE };
+  startFocus(field) {
+    const entry = this.entry(field);
+    entry.focusCount += 1;
+    field.dataset.metricsFocusedAt = String(Date.now());
+  },
+
+  /**
+   * Stop timing focus on a field
+   * @param {HTMLElement} field - Form field
+   */
+  endFocus(field) {
+    const focusedAt = Number(field.dataset.metricsFocusedAt);
+
+    if (!focusedAt) {
+      return;
     }
-    
-    return { isValid: true, error: null };
+
+    this.entry(field).focusMs += Date.now() - focusedAt;
+    delete field.dataset.metricsFocusedAt;
   },
 
   /**
-   * Validate grade level field
-   * @param {string} value - Field value
-   * @returns {{isValid: boolean, error: string|null}}
+   * Record a validation result. Re-validating while the same error is
+   * already shown does not count again.
+   * @param {HTMLElement} field - Form field
+   * @param {Object} result - Result from `FormSchema.validateValue`
    */
-  gradeLevel(value) {
-    const trimmed = value.trim();
-    
-    if (!trimmed) {
-      return { isValid: false, error: ERROR_MESSAGES.REQUIRED };
+  recordValidation(field, result) {
+    const entry = this.entry(field);
+    const shownCode = field.dataset.metricsErrorCode || null;
+
+    if (!result.isValid) {
+      if (result.code !== shownCode) {
+        entry.errors += 1;
+        entry.errorCodes[result.code] = (entry.errorCodes[result.code] || 0) + 1;
+        field.dataset.metricsErrorCode = result.code;
+      }
+      return;
     }
-    
-    if (!VALID_GRADES.includes(trimmed)) {
-      return { isValid: false, error: ERROR_MESSAGES.INVALID_GRADE };
+
+    if (shownCode) {
+      entry.corrections += 1;
+      delete field.dataset.metricsErrorCode;
     }
-    
-    return { isValid: true, error: null };
   },
 
   /**
-   * Validate message field
-   * @param {string} value - Field value
-   * @returns {{isValid: boolean, error: string|null}}
+   * Build the summary event properties
+   * @param {string} outcome - `submit` or `abandon`
+   * @returns {Object} Event properties
    */
-  message(value) {
-    const trimmed = value.trim();
-    
-    if (!trimmed) {
-      return { isValid: false, error: ERROR_MESSAGES.REQUIRED };
+  summarize(outcome) {
+    const fields = {};
+    let totalErrors = 0;
+    let totalCorrections = 0;
+
+    this.fields.forEach((entry, key) => {
+      fields[key] = {
+        focus_ms: entry.focusMs,
+        focus_count: entry.focusCount,
+        errors: entry.errors,
+        error_codes: { ...entry.errorCodes },
+        corrections: entry.corrections,
+      };
+      totalErrors += entry.errors;
+      totalCorrections += entry.corrections;
+    });
+
+    return {
+      outcome,
+      field_count: this.fields.size,
+      total_errors: totalErrors,
+      total_corrections: totalCorrections,
+      fields,
+    };
+  },
+
+  /**
+   * Send the summary once, then start over for the next attempt
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} outcome - `submit` or `abandon`
+   */
+  report(form, outcome) {
+    if (this.reported || this.fields.size === 0) {
+      return;
     }
-    
-    if (trimmed.length < CONTACT_CONFIG.MIN_MESSAGE_LENGTH) {
-      return { isValid: false, error: ERROR_MESSAGES.MESSAGE_TOO_SHORT };
+
+    if (document.activeElement && form.contains(document.activeElement)) {
+      this.endFocus(document.activeElement);
     }
-    
-    if (trimmed.length > CONTACT_CONFIG.MAX_MESSAGE_LENGTH) {
-      return { isValid: false, error: ERROR_MESSAGES.MESSAGE_TOO_LONG };
+
+    trackContactEvent('contact_field_summary', this.summarize(outcome));
+    this.reset(form);
+
+    if (outcome === 'abandon') {
+      this.reported = true;
+
+      // Tracked after the bus's own pagehide flush, so send it now
+      Analytics.flush({ beacon: true });
     }
-    
-    return { isValid: true, error: null };
+  },
+
+  /**
+   * Clear collected metrics
+   * @param {HTMLFormElement} form - Form element
+   */
+  reset(form) {
+    this.fields.clear();
+
+    form.querySelectorAll('[data-metrics-error-code], [data-metrics-focused-at]').forEach((field) => {
+      delete field.dataset.metricsErrorCode;
+      delete field.dataset.metricsFocusedAt;
+    });
   },
 };
 
+/**
+ * Look up the shared schema definition for a contact form field
+ * @param {string} fieldName - Field name
+ * @returns {Object|null} Field schema or null if the field is not validated
+ */
+function getFieldSchema(fieldName) {
+  return FormSchema.getFieldSchema(FormSchema.CONTACT_SCHEMA, fieldName);
+}
+
 /**
  * Show validation error for a field
  * @param {HTMLElement} field - Form field element
@@ -198,10 +289,7 @@ function showFieldError(field, errorMessage) {
 
   formState.validationErrors.set(field.name, errorMessage);
   
-  console.log('[Contact] Validation error shown', {
-    field: field.name,
-    error: errorMessage,
-  });
+  trackContactEvent('contact_validation_error', { field: field.name });
 }
 
 /**
@@ -228,6 +316,23 @@ function clearFieldError(field) {
   formState.validationErrors.delete(field.name);
 }
 
+/**
+ * Dispatch a contact form lifecycle event (`contactform:<name>`)
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Event name suffix
+ * @param {Object} [detail={}] - Event detail
+ */
+function dispatchFormEvent(form, name, detail = {}) {
+  if (!form) {
+    return;
+  }
+
+  form.dispatchEvent(new CustomEvent(`contactform:${name}`, {
+    bubbles: true,
+    detail,
+  }));
+}
+
 /**
  * Validate a single form field
  * @param {HTMLElement} field - Form field to validate
@@ -241,16 +346,18 @@ function validateField(field) {
 
   const fieldName = field.name;
   const fieldValue = field.value;
-  const validator = validationRules[fieldName];
+  const fieldSchema = getFieldSchema(fieldName);
 
   clearFieldError(field);
 
-  if (!validator) {
-    console.warn('[Contact] No validator found for field', fieldName);
+  if (!fieldSchema) {
+    console.warn('[Contact] No schema found for field', fieldName);
     return true;
   }
 
-  const result = validator(fieldValue);
+  const result = FormSchema.validateValue(fieldValue, fieldSchema);
+
+  fieldMetrics.recordValidation(field, result);
 
   if (!result.isValid) {
     showFieldError(field, result.error);
@@ -262,8 +369,8 @@ function validateField(field) {
 }
 
 /**
- * Validate entire form
- * @param {HTMLFormElement} form - Form element
+ * Validate entire form, or every field within part of it (e.g. a wizard step)
+ * @param {HTMLFormElement|HTMLElement} form - Form or container element
  * @returns {boolean} True if all fields are valid
  */
 function validateForm(form) {
@@ -291,7 +398,12 @@ function validateForm(form) {
     }
   });
 
+  if (!isValid) {
+    Funnel.validationFailed(Array.from(formState.validationErrors.keys()));
+  }
+
   if (!isValid && firstInvalidField) {
+    dispatchFormEvent(firstInvalidField.form, 'invalid', { field: firstInvalidField });
     firstInvalidField.focus();
     
     console.log('[Contact] Form validation failed', {
@@ -331,23 +443,31 @@ function checkHoneypot(form) {
 }
 
 /**
- * Collect form data
+ * Collect form data. Student fields (`students[0].name`, ...) are
+ * serialized as a `students` array of objects.
  * @param {HTMLFormElement} form - Form element
  * @returns {Object} Form data object
  */
 function collectFormData(form) {
   const formData = new FormData(form);
-  const data = {};
+  const fields = {};
 
   for (const [key, value] of formData.entries()) {
     if (key !== CONTACT_CONFIG.HONEYPOT_FIELD) {
-      data[key] = typeof value === 'string' ? value.trim() : value;
+      fields[key] = typeof value === 'string' ? value.trim() : value;
     }
   }
 
+  const data = FormSchema.expandFields(fields);
+
   data.timestamp = new Date().toISOString();
   data.userAgent = navigator.userAgent;
 
+  const attribution = Attribution.get();
+  if (attribution) {
+    data.attribution = attribution;
+  }
+
   console.log('[Contact] Form data collected', {
     fields: Object.keys(data),
     timestamp: data.timestamp,
@@ -422,6 +542,36 @@ function showErrorMessage(container, message) {
   console.error('[Contact] Error message displayed', { message });
 }
 
+/**
+ * Show queued submission message
+ * @param {HTMLElement} container - Message container element
+ */
+function showQueuedMessage(container) {
+  if (!container) {
+    console.error('[Contact] Cannot show queued state: container is null');
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="queued-message" role="status" aria-live="polite">
+      <svg class="queued-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <circle cx="12" cy="12" r="10"></circle>
+        <polyline points="12 6 12 12 16 14"></polyline>
+      </svg>
+      <div class="queued-content">
+        <h3 class="queued-title">Your inquiry is queued</h3>
+        <p class="queued-text">We couldn't reach our server right now. Your inquiry is saved on this device and will be sent automatically once your connection is back.</p>
+      </div>
+    </div>
+  `;
+
+  container.classList.add('visible');
+
+  announceToScreenReader('Your inquiry is queued and will be sent automatically when your connection returns.');
+
+  console.log('[Contact] Queued message displayed');
+}
+
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
@@ -441,145 +591,910 @@ function announceToScreenReader(message) {
 }
 
 /**
- * Submit form data
- * @param {Object} data - Form data to submit
- * @returns {Promise<Object>} Submission result
+ * Submission transports keyed by encoding name.
+ * Each transport turns collected form data into a fetch body and headers.
  */
-async function submitFormData(data) {
-  console.log('[Contact] Submitting form data', {
-    fields: Object.keys(data),
-    timestamp: data.timestamp,
-  });
-
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      console.log('[Contact] Form submission simulated (no backend configured)', data);
-      
-      resolve({
-        success: true,
-        message: 'Form submitted successfully',
-        data,
+const submissionTransports = new Map([
+  ['json', {
+    /**
+     * Encode form data as a JSON document
+     * @param {Object} data - Form data to encode
+     * @returns {{body: string, headers: Object}}
+     */
+    encode(data) {
+      return {
+        body: JSON.stringify(data),
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+      };
+    },
+  }],
+  ['multipart', {
+    /**
+     * Encode form data as multipart/form-data
+     * @param {Object} data - Form data to encode
+     * @returns {{body: FormData, headers: Object}}
+     */
+    encode(data) {
+      const body = new FormData();
+      const fields = FormSchema.flattenFields(data);
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          return;
+        }
+
+        const isStructured = typeof value === 'object' && !(value instanceof Blob);
+        body.append(key, isStructured ? JSON.stringify(value) : value);
       });
-    }, 1500);
-  });
-}
+
+      // Content-Type is left to the browser so it can add the boundary
+      return {
+        body,
+        headers: {
+          Accept: 'application/json',
+        },
+      };
+    },
+  }],
+]);
 
 /**
- * Handle form submission
- * @param {Event} event - Submit event
+ * Register a custom submission transport
+ * @param {string} name - Encoding name referenced by `data-submit-encoding`
+ * @param {{encode: Function}} transport - Transport implementation
+ * @returns {boolean} True if the transport was registered
  */
-async function handleFormSubmit(event) {
-  event.preventDefault();
+function registerSubmissionTransport(name, transport) {
+  if (!name || !transport || typeof transport.encode !== 'function') {
+    console.error('[Contact] Invalid submission transport', { name });
+    return false;
+  }
 
-  const form = event.target;
-  const messageContainer = document.getElementById('form-message');
+  submissionTransports.set(name, transport);
 
-  if (formState.isSubmitting) {
-    console.warn('[Contact] Form submission already in progress');
-    return;
-  }
+  console.log('[Contact] Submission transport registered', { name });
+  return true;
+}
 
-  console.log('[Contact] Form submission initiated');
+/**
+ * Resolve submission endpoint and encoding for a form
+ * @param {HTMLFormElement} form - Form element
+ * @returns {{endpoint: string, encoding: string, timeout: number}}
+ */
+function getSubmissionOptions(form) {
+  const endpoint = (form && form.dataset.submitEndpoint) ||
+                   CONTACT_CONFIG.SUBMISSION_ENDPOINT ||
+                   (form && form.getAttribute('action')) ||
+                   CONTACT_CONFIG.DEFAULT_ENDPOINT;
+
+  const isMultipartForm = form && form.getAttribute('enctype') === 'multipart/form-data';
+  const encoding = (form && form.dataset.submitEncoding) ||
+                   (isMultipartForm ? 'multipart' : CONTACT_CONFIG.SUBMISSION_ENCODING);
+
+  return {
+    endpoint,
+    encoding,
+    timeout: CONTACT_CONFIG.SUBMISSION_TIMEOUT,
+  };
+}
 
-  if (!checkHoneypot(form)) {
-    console.warn('[Contact] Form submission blocked: spam detected');
-    return;
+/**
+ * Create a categorized submission error
+ * @param {string} type - One of SUBMISSION_ERROR_TYPES
+ * @param {string} message - User-facing error message
+ * @param {Object} [details={}] - Additional error details
+ * @param {number} [details.status] - HTTP status code
+ * @param {Object} [details.fieldErrors] - Server field errors keyed by field name
+ * @returns {Error} Submission error
+ */
+function createSubmissionError(type, message, details = {}) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = details.status || null;
+  error.fieldErrors = details.fieldErrors || {};
+  return error;
+}
+
+/**
+ * Normalize server field errors into a map of field name to message.
+ * Accepts `{field: message}` objects or `[{field, message}]` arrays.
+ * @param {*} errors - Field errors from the response body
+ * @returns {Object} Field errors keyed by field name
+ */
+function normalizeFieldErrors(errors) {
+  if (Array.isArray(errors)) {
+    return errors.reduce((result, entry) => {
+      if (entry && entry.field) {
+        result[entry.field] = entry.message || ERROR_MESSAGES.VALIDATION_REJECTED;
+      }
+      return result;
+    }, {});
   }
 
-  if (!validateForm(form)) {
-    console.warn('[Contact] Form submission blocked: validation failed');
-    return;
+  if (errors && typeof errors === 'object') {
+    return { ...errors };
   }
 
-  formState.isSubmitting = true;
+  return {};
+}
 
-  const submitButton = form.querySelector('button[type="submit"]');
-  const originalButtonText = submitButton ? submitButton.textContent : '';
+/**
+ * Parse a response body as JSON when the server sent JSON
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|null>} Parsed body or null
+ */
+async function parseResponseBody(response) {
+  const contentType = response.headers.get('Content-Type') || '';
 
-  if (submitButton) {
-    submitButton.disabled = true;
-    submitButton.textContent = 'Sending...';
-    submitButton.setAttribute('aria-busy', 'true');
+  if (!contentType.includes('application/json')) {
+    return null;
   }
 
   try {
-    const formData = collectFormData(form);
-    const result = await submitFormData(formData);
+    return await response.json();
+  } catch {
+    console.warn('[Contact] Response body is not valid JSON', { status: response.status });
+    return null;
+  }
+}
 
-    if (result.success) {
-      form.reset();
-      formState.validationErrors.clear();
-      formState.touchedFields.clear();
-      
-      showSuccessMessage(messageContainer);
-      
-      console.log('[Contact] Form submitted successfully', {
-        timestamp: new Date().toISOString(),
-      });
-    } else {
-      throw new Error(result.message || ERROR_MESSAGES.SUBMISSION_FAILED);
-    }
-  } catch (error) {
-    console.error('[Contact] Form submission failed', {
-      error: error.message,
-      stack: error.stack,
-    });
+/**
+ * Map an unsuccessful HTTP response to a submission error
+ * @param {number} status - HTTP status code
+ * @param {Object|null} body - Parsed response body
+ * @returns {Error} Submission error
+ */
+function mapResponseError(status, body) {
+  if (status === 400 || status === 409 || status === 422) {
+    return createSubmissionError(
+      SUBMISSION_ERROR_TYPES.VALIDATION,
+      ERROR_MESSAGES.VALIDATION_REJECTED,
+      { status, fieldErrors: normalizeFieldErrors(body && body.errors) }
+    );
+  }
 
-    const errorMessage = error.message || ERROR_MESSAGES.NETWORK_ERROR;
-    showErrorMessage(messageContainer, errorMessage);
-  } finally {
-    formState.isSubmitting = false;
+  if (status === 408) {
+    return createSubmissionError(SUBMISSION_ERROR_TYPES.TIMEOUT, ERROR_MESSAGES.NETWORK_ERROR, { status });
+  }
 
-    if (submitButton) {
-      submitButton.disabled = false;
-      submitButton.textContent = originalButtonText;
-      submitButton.removeAttribute('aria-busy');
-    }
+  if (status === 429 || status >= 500) {
+    return createSubmissionError(SUBMISSION_ERROR_TYPES.SERVER, ERROR_MESSAGES.SUBMISSION_FAILED, { status });
   }
+
+  return createSubmissionError(SUBMISSION_ERROR_TYPES.REJECTED, ERROR_MESSAGES.SUBMISSION_FAILED, { status });
 }
 
 /**
- * Debounce function execution
- * @param {Function} func - Function to debounce
- * @param {number} delay - Delay in milliseconds
- * @returns {Function} Debounced function
+ * Submit form data
+ * @param {Object} data - Form data to submit
+ * @param {Object} [options={}] - Submission options
+ * @param {string} [options.endpoint] - Endpoint URL
+ * @param {string} [options.encoding='json'] - Registered transport name
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @returns {Promise<Object>} Submission result
  */
-function debounce(func, delay) {
-  let timeoutId = null;
+async function submitFormData(data, options = {}) {
+  const {
+    endpoint = CONTACT_CONFIG.SUBMISSION_ENDPOINT || CONTACT_CONFIG.DEFAULT_ENDPOINT,
+    encoding = CONTACT_CONFIG.SUBMISSION_ENCODING,
+    timeout = CONTACT_CONFIG.SUBMISSION_TIMEOUT,
+  } = options;
+
+  const transport = submissionTransports.get(encoding);
+
+  if (!transport) {
+    console.error('[Contact] Unknown submission encoding', { encoding });
+    throw createSubmissionError(SUBMISSION_ERROR_TYPES.REJECTED, ERROR_MESSAGES.SUBMISSION_FAILED);
+  }
 
-  return function debounced(...args) {
+  console.log('[Contact] Submitting form data', {
+    fields: Object.keys(data),
+    endpoint,
+    encoding,
+    timestamp: data.timestamp,
+  });
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  let response;
+
+  try {
+    const { body, headers } = transport.encode(data);
+
+    response = await fetch(endpoint, {
+      method: 'POST',
+      body,
+      headers,
+      credentials: 'same-origin',
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error('[Contact] Submission timed out', { endpoint, timeout });
+      throw createSubmissionError(SUBMISSION_ERROR_TYPES.TIMEOUT, ERROR_MESSAGES.NETWORK_ERROR);
+    }
+
+    console.error('[Contact] Submission request failed', { endpoint, error: error.message });
+    throw createSubmissionError(SUBMISSION_ERROR_TYPES.NETWORK, ERROR_MESSAGES.NETWORK_ERROR);
+  } finally {
     clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => {
-      func.apply(this, args);
-    }, delay);
+  }
+
+  const responseBody = await parseResponseBody(response);
+
+  if (!response.ok) {
+    throw mapResponseError(response.status, responseBody);
+  }
+
+  return {
+    success: true,
+    status: response.status,
+    message: (responseBody && responseBody.message) || 'Form submitted successfully',
+    data: responseBody,
   };
 }
 
 /**
- * Handle field input with debounced validation
- * @param {Event} event - Input event
+ * Show field errors returned by the server
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} fieldErrors - Error messages keyed by field name
  */
-const handleFieldInput = debounce(function(event) {
-  const field = event.target;
-  
-  if (formState.touchedFields.has(field.name)) {
-    validateField(field);
-  }
-}, CONTACT_CONFIG.VALIDATION_DELAY);
+function showServerFieldErrors(form, fieldErrors) {
+  let firstInvalidField = null;
 
-/**
- * Handle field blur
- * @param {Event} event - Blur event
- */
-function handleFieldBlur(event) {
-  const field = event.target;
-  
-  formState.touchedFields.add(field.name);
-  validateField(field);
+  Object.entries(fieldErrors).forEach(([fieldName, message]) => {
+    const field = form.elements.namedItem(fieldName);
+
+    if (!field || typeof field.focus !== 'function') {
+      console.warn('[Contact] Server reported error for unknown field', { field: fieldName });
+      return;
+    }
+
+    showFieldError(field, message);
+    formState.touchedFields.add(fieldName);
+
+    if (!firstInvalidField) {
+      firstInvalidField = field;
+    }
+  });
+
+  if (firstInvalidField) {
+    dispatchFormEvent(form, 'invalid', { field: firstInvalidField });
+    firstInvalidField.focus();
+  }
 }
 
 /**
- * Format phone number as user types
+ * Safe localStorage access that tolerates private browsing and quota errors
+ */
+const safeStorage = {
+  /**
+   * Read and parse a stored JSON value
+   * @param {string} key - Storage key
+   * @returns {*} Parsed value or null
+   */
+  read(key) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('[Contact] Storage read failed', { key, error: error.message });
+      return null;
+    }
+  },
+
+  /**
+   * Serialize and store a value
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {boolean} True if the value was stored
+   */
+  write(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.warn('[Contact] Storage write failed', { key, error: error.message });
+      return false;
+    }
+  },
+
+  /**
+   * Remove a stored value
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (error) {
+      console.warn('[Contact] Storage remove failed', { key, error: error.message });
+    }
+  },
+};
+
+/**
+ * Check whether a failed submission is worth retrying later
+ * @param {Error} error - Submission error
+ * @returns {boolean} True for network failures, timeouts, 408, 429 and 5xx responses
+ */
+function isRetryableSubmissionError(error) {
+  return error.type === SUBMISSION_ERROR_TYPES.NETWORK ||
+         error.type === SUBMISSION_ERROR_TYPES.TIMEOUT ||
+         error.type === SUBMISSION_ERROR_TYPES.SERVER;
+}
+
+/**
+ * Persistent queue of submissions that failed to send.
+ * Entries are retried with exponential backoff while the page is open and
+ * resumed on the `online` event or the next page load.
+ */
+const submissionQueue = {
+  retryTimer: null,
+  isFlushing: false,
+
+  /**
+   * Load queued entries from storage
+   * @returns {Object[]} Queued entries
+   */
+  load() {
+    const entries = safeStorage.read(CONTACT_CONFIG.QUEUE_STORAGE_KEY);
+    return Array.isArray(entries) ? entries : [];
+  },
+
+  /**
+   * Persist queued entries
+   * @param {Object[]} entries - Entries to store
+   * @returns {boolean} True if persisted
+   */
+  save(entries) {
+    if (entries.length === 0) {
+      safeStorage.remove(CONTACT_CONFIG.QUEUE_STORAGE_KEY);
+      return true;
+    }
+
+    return safeStorage.write(CONTACT_CONFIG.QUEUE_STORAGE_KEY, entries);
+  },
+
+  /**
+   * Calculate the backoff delay for the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    const delay = CONTACT_CONFIG.QUEUE_RETRY_BASE_DELAY * Math.pow(2, attempts);
+    return Math.min(delay, CONTACT_CONFIG.QUEUE_RETRY_MAX_DELAY);
+  },
+
+  /**
+   * Add a failed submission to the queue
+   * @param {Object} data - Collected form data
+   * @param {Object} options - Submission options used for the first attempt
+   * @returns {Object|null} Queued entry, or null if it could not be persisted
+   */
+  enqueue(data, options) {
+    const entry = {
+      id: `inquiry-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      data,
+      options: {
+        endpoint: options.endpoint,
+        encoding: options.encoding,
+      },
+      attempts: 0,
+      queuedAt: Date.now(),
+      nextAttemptAt: Date.now() + this.getRetryDelay(0),
+    };
+
+    const entries = this.load();
+    entries.push(entry);
+
+    if (!this.save(entries)) {
+      return null;
+    }
+
+    console.log('[Contact] Submission queued for retry', {
+      id: entry.id,
+      queueLength: entries.length,
+    });
+
+    this.schedule();
+    return entry;
+  },
+
+  /**
+   * Apply a change to a single stored entry
+   * @param {string} id - Entry identifier
+   * @param {Object|null} changes - Fields to update, or null to remove the entry
+   */
+  update(id, changes) {
+    const entries = this.load()
+      .map((entry) => (entry.id === id && changes ? { ...entry, ...changes } : entry))
+      .filter((entry) => entry.id !== id || changes !== null);
+
+    this.save(entries);
+  },
+
+  /**
+   * Schedule the next flush for the earliest due entry
+   */
+  schedule() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const entries = this.load();
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+    const delay = Math.max(0, nextAttemptAt - Date.now());
+
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  },
+
+  /**
+   * Attempt to send every due entry
+   * @param {Object} [options={}] - Flush options
+   * @param {boolean} [options.force=false] - Ignore backoff and send all entries now
+   * @returns {Promise<void>}
+   */
+  async flush(options = {}) {
+    if (this.isFlushing || navigator.onLine === false) {
+      return;
+    }
+
+    this.isFlushing = true;
+
+    try {
+      const now = Date.now();
+      const dueEntries = this.load().filter((entry) => options.force || entry.nextAttemptAt <= now);
+
+      for (const entry of dueEntries) {
+        await this.send(entry);
+      }
+    } finally {
+      this.isFlushing = false;
+      this.schedule();
+    }
+  },
+
+  /**
+   * Send a single queued entry and record the outcome
+   * @param {Object} entry - Queued entry
+   * @returns {Promise<void>}
+   */
+  async send(entry) {
+    const messageContainer = document.getElementById('form-message');
+
+    try {
+      await submitFormData(entry.data, entry.options);
+      this.update(entry.id, null);
+
+      console.log('[Contact] Queued submission sent', {
+        id: entry.id,
+        attempts: entry.attempts + 1,
+      });
+
+      showSuccessMessage(messageContainer);
+      trackFunnelStep('form_success');
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+
+      if (!isRetryableSubmissionError(error) || attempts >= CONTACT_CONFIG.QUEUE_MAX_ATTEMPTS) {
+        this.update(entry.id, null);
+
+        console.error('[Contact] Queued submission discarded', {
+          id: entry.id,
+          attempts,
+          type: error.type,
+        });
+
+        showErrorMessage(messageContainer, ERROR_MESSAGES.SUBMISSION_FAILED);
+        return;
+      }
+
+      this.update(entry.id, {
+        attempts,
+        nextAttemptAt: Date.now() + this.getRetryDelay(attempts),
+      });
+
+      console.warn('[Contact] Queued submission retry failed', {
+        id: entry.id,
+        attempts,
+        type: error.type,
+      });
+    }
+  },
+
+  /**
+   * Resume sending queued entries on page load and when connectivity returns
+   */
+  resume() {
+    window.addEventListener('online', () => {
+      console.log('[Contact] Connection restored, sending queued submissions');
+      this.flush({ force: true });
+    });
+
+    const pending = this.load().length;
+
+    if (pending > 0) {
+      console.log('[Contact] Resuming queued submissions', { pending });
+      this.flush({ force: true });
+    }
+  },
+};
+
+/**
+ * Reset form fields and validation state
+ * @param {HTMLFormElement} form - Form element
+ */
+function resetForm(form) {
+  form.reset();
+  studentGroups.reset(form);
+  formState.validationErrors.clear();
+  formState.touchedFields.clear();
+}
+
+/**
+ * Handle form submission
+ * @param {Event} event - Submit event
+ */
+async function handleFormSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const messageContainer = document.getElementById('form-message');
+
+  if (formState.isSubmitting) {
+    console.warn('[Contact] Form submission already in progress');
+    return;
+  }
+
+  console.log('[Contact] Form submission initiated');
+
+  if (!checkHoneypot(form)) {
+    console.warn('[Contact] Form submission blocked: spam detected');
+    return;
+  }
+
+  if (!validateForm(form)) {
+    console.warn('[Contact] Form submission blocked: validation failed');
+    return;
+  }
+
+  formState.isSubmitting = true;
+  trackFunnelStep('form_submit');
+
+  const submitButton = form.querySelector('button[type="submit"]');
+  const originalButtonText = submitButton ? submitButton.textContent : '';
+
+  if (submitButton) {
+    submitButton.disabled = true;
+    submitButton.textContent = 'Sending...';
+    submitButton.setAttribute('aria-busy', 'true');
+  }
+
+  let formData = null;
+  let submissionOptions = null;
+
+  try {
+    formData = collectFormData(form);
+    submissionOptions = getSubmissionOptions(form);
+
+    trackContactEvent('contact_form_submit', {
+      student_count: Array.isArray(formData.students) ? formData.students.length : undefined,
+    });
+    fieldMetrics.report(form, 'submit');
+
+    if (navigator.onLine === false) {
+      throw createSubmissionError(SUBMISSION_ERROR_TYPES.NETWORK, ERROR_MESSAGES.NETWORK_ERROR);
+    }
+
+    const result = await submitFormData(formData, submissionOptions);
+
+    if (result.success) {
+      resetForm(form);
+      draftManager.clear(form);
+      
+      showSuccessMessage(messageContainer);
+      dispatchFormEvent(form, 'submitted', { data: formData, result, queued: false });
+      trackContactEvent('contact_form_success', { queued: false });
+      trackFunnelStep('form_success');
+    } else {
+      throw new Error(result.message || ERROR_MESSAGES.SUBMISSION_FAILED);
+    }
+  } catch (error) {
+    console.error('[Contact] Form submission failed', {
+      error: error.message,
+      type: error.type,
+      status: error.status,
+      stack: error.stack,
+    });
+
+    if (formData && isRetryableSubmissionError(error) && submissionQueue.enqueue(formData, submissionOptions)) {
+      resetForm(form);
+      draftManager.clear(form);
+      showQueuedMessage(messageContainer);
+      dispatchFormEvent(form, 'submitted', { data: formData, queued: true });
+      trackContactEvent('contact_form_success', { queued: true });
+      return;
+    }
+
+    trackContactEvent('contact_form_error', {
+      error_type: error.type || SUBMISSION_ERROR_TYPES.SERVER,
+      status: error.status,
+    });
+
+    if (error.type === SUBMISSION_ERROR_TYPES.VALIDATION) {
+      showServerFieldErrors(form, error.fieldErrors);
+      dispatchFormEvent(form, 'rejected', { status: error.status, fieldErrors: error.fieldErrors });
+    }
+
+    const errorMessage = error.message || ERROR_MESSAGES.NETWORK_ERROR;
+    showErrorMessage(messageContainer, errorMessage);
+  } finally {
+    formState.isSubmitting = false;
+
+    if (submitButton) {
+      submitButton.disabled = false;
+      submitButton.textContent = originalButtonText;
+      submitButton.removeAttribute('aria-busy');
+    }
+  }
+}
+
+/**
+ * Debounce function execution
+ * @param {Function} func - Function to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(func, delay) {
+  let timeoutId = null;
+
+  return function debounced(...args) {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      func.apply(this, args);
+    }, delay);
+  };
+}
+
+/**
+ * Handle field input with debounced validation
+ * @param {Event} event - Input event
+ */
+const handleFieldInput = debounce(function(event) {
+  const field = event.target;
+  
+  if (formState.touchedFields.has(field.name)) {
+    validateField(field);
+  }
+}, CONTACT_CONFIG.VALIDATION_DELAY);
+
+/**
+ * Handle field blur
+ * @param {Event} event - Blur event
+ */
+function handleFieldBlur(event) {
+  const field = event.target;
+  
+  formState.touchedFields.add(field.name);
+  fieldMetrics.endFocus(field);
+  validateField(field);
+}
+
+/**
+ * Handle field focus
+ * @param {Event} event - Focus event
+ */
+function handleFieldFocus(event) {
+  fieldMetrics.startFocus(event.target);
+}
+
+/**
+ * Form draft autosave and restore.
+ * Drafts are keyed per form and never include the honeypot field.
+ */
+const draftManager = {
+  /**
+   * Build the storage key for a form's draft
+   * @param {HTMLFormElement} form - Form element
+   * @returns {string} Storage key
+   */
+  getKey(form) {
+    return `${CONTACT_CONFIG.DRAFT_STORAGE_PREFIX}${form.id || form.getAttribute('name') || 'form'}`;
+  },
+
+  /**
+   * Get the fields whose values belong in a draft
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement[]} Draftable fields
+   */
+  getFields(form) {
+    return Array.from(form.elements).filter((field) => (
+      field.name &&
+      field.name !== CONTACT_CONFIG.HONEYPOT_FIELD &&
+      !['submit', 'button', 'reset', 'file', 'password', 'hidden'].includes(field.type)
+    ));
+  },
+
+  /**
+   * Save the current field values
+   * @param {HTMLFormElement} form - Form element
+   */
+  save(form) {
+    if (!form || formState.draftPromptPending) {
+      return;
+    }
+
+    const values = {};
+
+    this.getFields(form).forEach((field) => {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        values[field.name] = values[field.name] || [];
+
+        if (field.checked) {
+          values[field.name].push(field.value);
+        }
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+
+    const hasContent = Object.values(values).some((value) => (
+      Array.isArray(value) ? value.length > 0 : value.trim() !== ''
+    ));
+
+    if (!hasContent) {
+      this.clear(form);
+      return;
+    }
+
+    safeStorage.write(this.getKey(form), {
+      savedAt: Date.now(),
+      studentCount: studentGroups.getGroups(form).length,
+      values,
+      touchedFields: Array.from(formState.touchedFields),
+    });
+  },
+
+  /**
+   * Load an unexpired draft for a form
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Object|null} Draft or null
+   */
+  load(form) {
+    const draft = safeStorage.read(this.getKey(form));
+
+    if (!draft || !draft.values) {
+      return null;
+    }
+
+    if (Date.now() - draft.savedAt > CONTACT_CONFIG.DRAFT_EXPIRY) {
+      console.log('[Contact] Discarding expired draft', {
+        savedAt: new Date(draft.savedAt).toISOString(),
+      });
+      this.clear(form);
+      return null;
+    }
+
+    return draft;
+  },
+
+  /**
+   * Restore draft values into the form
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} draft - Draft to restore
+   */
+  restore(form, draft) {
+    studentGroups.ensureCount(form, draft.studentCount || 1);
+
+    this.getFields(form).forEach((field) => {
+      const value = draft.values[field.name];
+
+      if (value === undefined) {
+        return;
+      }
+
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = Array.isArray(value) && value.includes(field.value);
+      } else {
+        field.value = value;
+      }
+    });
+
+    (draft.touchedFields || []).forEach((fieldName) => {
+      const field = form.elements.namedItem(fieldName);
+
+      if (field && typeof field.focus === 'function') {
+        formState.touchedFields.add(fieldName);
+        validateField(field);
+      }
+    });
+
+    trackContactEvent('contact_draft_restore');
+  },
+
+  /**
+   * Remove a form's draft
+   * @param {HTMLFormElement} form - Form element
+   */
+  clear(form) {
+    if (form) {
+      safeStorage.remove(this.getKey(form));
+    }
+  },
+};
+
+/**
+ * Offer to restore a previously saved draft
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} draft - Saved draft
+ */
+function showDraftPrompt(form, draft) {
+  const savedAt = new Date(draft.savedAt).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+
+  const prompt = document.createElement('div');
+  prompt.className = 'draft-prompt';
+  prompt.setAttribute('role', 'region');
+  prompt.setAttribute('aria-labelledby', 'draft-prompt-title');
+  prompt.innerHTML = `
+    <p id="draft-prompt-title" class="draft-prompt__text">
+      You have an unfinished inquiry from <time datetime="${new Date(draft.savedAt).toISOString()}">${savedAt}</time>. Would you like to restore it?
+    </p>
+    <div class="draft-prompt__actions">
+      <button type="button" class="draft-prompt__button draft-prompt__button--primary" data-draft-restore>Restore draft</button>
+      <button type="button" class="draft-prompt__button" data-draft-discard>Start over</button>
+    </div>
+  `;
+
+  formState.draftPromptPending = true;
+
+  const closePrompt = () => {
+    formState.draftPromptPending = false;
+    prompt.remove();
+
+    const firstField = draftManager.getFields(form)[0];
+    if (firstField) {
+      firstField.focus();
+    }
+  };
+
+  prompt.querySelector('[data-draft-restore]').addEventListener('click', () => {
+    draftManager.restore(form, draft);
+    closePrompt();
+    announceToScreenReader('Your previous draft has been restored.');
+  });
+
+  prompt.querySelector('[data-draft-discard]').addEventListener('click', () => {
+    draftManager.clear(form);
+    closePrompt();
+    draftManager.save(form);
+    announceToScreenReader('Previous draft discarded.');
+  });
+
+  form.parentNode.insertBefore(prompt, form);
+
+  console.log('[Contact] Draft restore offered', { savedAt: draft.savedAt });
+}
+
+/**
+ * Save a draft shortly after the user stops typing
+ * @param {Event} event - Input, change or blur event
+ */
+const handleDraftSave = debounce(function(event) {
+  draftManager.save(event.target.form);
+}, CONTACT_CONFIG.DRAFT_SAVE_DELAY);
+
+/**
+ * Format phone number as user types
  * @param {Event} event - Input event
  */
 function handlePhoneInput(event) {
@@ -597,6 +1512,273 @@ function handlePhoneInput(event) {
   field.value = formatted;
 }
 
+/**
+ * Attach validation, draft and formatting listeners to a form field
+ * @param {HTMLElement} field - Form field
+ */
+function attachFieldListeners(field) {
+  if (field.name === CONTACT_CONFIG.HONEYPOT_FIELD) {
+    return;
+  }
+
+  field.addEventListener('focus', handleFieldFocus);
+  field.addEventListener('input', handleFieldInput);
+  field.addEventListener('blur', handleFieldBlur);
+  field.addEventListener('input', handleDraftSave);
+  field.addEventListener('change', handleDraftSave);
+  field.addEventListener('blur', handleDraftSave);
+
+  if (field.type === 'tel') {
+    field.addEventListener('input', handlePhoneInput);
+  }
+}
+
+/**
+ * Move validation state from one field name to another
+ * @param {string} oldName - Previous field name
+ * @param {string} newName - New field name
+ */
+function renameFieldState(oldName, newName) {
+  if (formState.touchedFields.delete(oldName)) {
+    formState.touchedFields.add(newName);
+  }
+
+  if (formState.validationErrors.has(oldName)) {
+    formState.validationErrors.set(newName, formState.validationErrors.get(oldName));
+    formState.validationErrors.delete(oldName);
+  }
+}
+
+/**
+ * Repeatable student groups. Controls inside a group carry `data-student-field`
+ * and are renamed `students[i].<field>` whenever groups are added or removed.
+ */
+const studentGroups = {
+  /**
+   * Get the student group elements in order
+   * @param {HTMLFormElement} form - Form element
+   * @returns {HTMLElement[]} Group elements
+   */
+  getGroups(form) {
+    return Array.from(form.querySelectorAll('[data-student-list] [data-student-group]'));
+  },
+
+  /**
+   * Maximum number of groups allowed by the schema
+   * @returns {number} Maximum group count
+   */
+  getMaxGroups() {
+    const schema = FormSchema.CONTACT_SCHEMA[CONTACT_CONFIG.STUDENT_GROUP];
+    return (schema && schema.maxItems) || 1;
+  },
+
+  /**
+   * Apply an index to a group's names, ids, labels and headings
+   * @param {HTMLElement} group - Group element
+   * @param {number} index - Zero-based group index
+   */
+  applyIndex(group, index) {
+    const isRenumber = group.dataset.studentIndex !== undefined;
+
+    group.dataset.studentIndex = String(index);
+
+    group.querySelectorAll('[data-student-field]').forEach((field) => {
+      const fieldKey = field.dataset.studentField;
+      const fieldId = `student-${index}-${fieldKey}`;
+      const newName = `${CONTACT_CONFIG.STUDENT_GROUP}[${index}].${fieldKey}`;
+
+      if (isRenumber && field.name !== newName) {
+        renameFieldState(field.name, newName);
+      }
+
+      field.name = newName;
+      field.id = fieldId;
+      field.setAttribute('aria-describedby', `${fieldId}-error`);
+    });
+
+    group.querySelectorAll('[data-student-label]').forEach((label) => {
+      label.htmlFor = `student-${index}-${label.dataset.studentLabel}`;
+    });
+
+    group.querySelectorAll('[data-student-error]').forEach((errorElement) => {
+      errorElement.id = `student-${index}-${errorElement.dataset.studentError}-error`;
+    });
+
+    const title = group.querySelector('[data-student-title]');
+    if (title) {
+      title.textContent = `Student ${index + 1}`;
+    }
+
+    const removeButton = group.querySelector('[data-student-remove]');
+    if (removeButton) {
+      removeButton.setAttribute('aria-label', `Remove student ${index + 1}`);
+    }
+  },
+
+  /**
+   * Re-index every group and refresh the add/remove controls
+   * @param {HTMLFormElement} form - Form element
+   */
+  renumber(form) {
+    const groups = this.getGroups(form);
+
+    groups.forEach((group, index) => this.applyIndex(group, index));
+
+    groups.forEach((group) => {
+      const removeButton = group.querySelector('[data-student-remove]');
+      if (removeButton) {
+        removeButton.hidden = groups.length <= 1;
+      }
+    });
+
+    const addButton = form.querySelector('[data-student-add]');
+    if (addButton) {
+      addButton.hidden = false;
+      addButton.disabled = groups.length >= this.getMaxGroups();
+    }
+  },
+
+  /**
+   * Add an empty student group
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} [options={}] - Add options
+   * @param {boolean} [options.silent=false] - Skip focus and announcement
+   * @returns {HTMLElement|null} New group or null if the limit is reached
+   */
+  add(form, options = {}) {
+    const { silent = false } = options;
+    const groups = this.getGroups(form);
+    const maxGroups = this.getMaxGroups();
+
+    if (groups.length === 0) {
+      console.error('[Contact] Cannot add student: no student group template found');
+      return null;
+    }
+
+    if (groups.length >= maxGroups) {
+      announceToScreenReader(`You can add up to ${maxGroups} students.`);
+      return null;
+    }
+
+    const group = groups[0].cloneNode(true);
+    delete group.dataset.studentIndex;
+
+    group.querySelectorAll('[data-student-field]').forEach((field) => {
+      field.value = '';
+      field.classList.remove('error');
+      field.removeAttribute('aria-invalid');
+    });
+
+    group.querySelectorAll('[data-student-error]').forEach((errorElement) => {
+      errorElement.textContent = '';
+      errorElement.classList.remove('visible');
+    });
+
+    groups[groups.length - 1].after(group);
+    this.renumber(form);
+    group.querySelectorAll('[data-student-field]').forEach(attachFieldListeners);
+
+    if (!silent) {
+      const count = groups.length + 1;
+      group.querySelector('[data-student-field]').focus();
+      announceToScreenReader(`Student ${count} added. ${count} students total.`);
+    }
+
+    console.log('[Contact] Student group added', { count: groups.length + 1 });
+    return group;
+  },
+
+  /**
+   * Remove a student group, keeping at least one
+   * @param {HTMLFormElement} form - Form element
+   * @param {HTMLElement} group - Group to remove
+   * @param {Object} [options={}] - Remove options
+   * @param {boolean} [options.silent=false] - Skip focus and announcement
+   */
+  remove(form, group, options = {}) {
+    const { silent = false } = options;
+    const groups = this.getGroups(form);
+    const index = groups.indexOf(group);
+
+    if (index === -1 || groups.length <= 1) {
+      return;
+    }
+
+    group.querySelectorAll('[data-student-field]').forEach((field) => {
+      formState.touchedFields.delete(field.name);
+      formState.validationErrors.delete(field.name);
+    });
+
+    group.remove();
+    this.renumber(form);
+
+    if (!silent) {
+      const remaining = this.getGroups(form);
+      const nextGroup = remaining[Math.min(index, remaining.length - 1)];
+
+      nextGroup.querySelector('[data-student-field]').focus();
+      announceToScreenReader(`Student ${index + 1} removed. ${remaining.length} ${remaining.length === 1 ? 'student' : 'students'} remaining.`);
+    }
+
+    console.log('[Contact] Student group removed', { index });
+  },
+
+  /**
+   * Add or remove groups until the form has the given count
+   * @param {HTMLFormElement} form - Form element
+   * @param {number} count - Desired group count
+   */
+  ensureCount(form, count) {
+    const target = Math.max(1, Math.min(count, this.getMaxGroups()));
+
+    let groupCount = this.getGroups(form).length;
+
+    while (groupCount < target && this.add(form, { silent: true })) {
+      groupCount += 1;
+    }
+
+    while (this.getGroups(form).length > target) {
+      const groups = this.getGroups(form);
+      this.remove(form, groups[groups.length - 1], { silent: true });
+    }
+  },
+
+  /**
+   * Return to a single empty group
+   * @param {HTMLFormElement} form - Form element
+   */
+  reset(form) {
+    this.ensureCount(form, 1);
+  },
+
+  /**
+   * Wire up add/remove controls
+   * @param {HTMLFormElement} form - Form element
+   */
+  init(form) {
+    const container = form.querySelector('[data-student-groups]');
+
+    if (!container) {
+      return;
+    }
+
+    container.addEventListener('click', (event) => {
+      if (event.target.closest('[data-student-add]')) {
+        this.add(form);
+        return;
+      }
+
+      const removeButton = event.target.closest('[data-student-remove]');
+      if (removeButton) {
+        this.remove(form, removeButton.closest('[data-student-group]'));
+        draftManager.save(form);
+      }
+    });
+
+    this.renumber(form);
+  },
+};
+
 /**
  * Initialize contact form
  */
@@ -611,27 +1793,29 @@ function initContactForm() {
   console.log('[Contact] Initializing contact form');
 
   form.addEventListener('submit', handleFormSubmit);
+  form.addEventListener('focusin', handleFunnelInteraction);
+  form.addEventListener('input', handleFunnelInteraction);
 
   const fields = form.querySelectorAll('input, textarea, select');
   
-  fields.forEach((field) => {
-    if (field.name === CONTACT_CONFIG.HONEYPOT_FIELD) {
-      return;
-    }
+  fields.forEach(attachFieldListeners);
 
-    field.addEventListener('input', handleFieldInput);
-    field.addEventListener('blur', handleFieldBlur);
-
-    if (field.type === 'tel') {
-      field.addEventListener('input', handlePhoneInput);
-    }
-  });
+  studentGroups.init(form);
 
   const messageContainer = document.getElementById('form-message');
   if (!messageContainer) {
     console.warn('[Contact] Form message container not found');
   }
 
+  window.addEventListener('pagehide', () => fieldMetrics.report(form, 'abandon'));
+
+  submissionQueue.resume();
+
+  const draft = draftManager.load(form);
+  if (draft) {
+    showDraftPrompt(form, draft);
+  }
+
   console.log('[Contact] Contact form initialized successfully', {
     fieldCount: fields.length,
     hasMessageContainer: !!messageContainer,
@@ -642,4 +1826,17 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initContactForm);
 } else {
   initContactForm();
-}
\ No newline at end of file
+}
+
+const ContactForm = {
+  validateField,
+  validateForm,
+  collectFormData,
+  registerSubmissionTransport,
+};
+
+if (typeof window !== 'undefined') {
+  window.ContactForm = ContactForm;
+}
+
+export { ContactForm, initContactForm };
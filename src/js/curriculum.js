@@ -4,16 +4,21 @@
  * Manages interactive curriculum content expansion, smooth animations,
  * keyboard navigation, and engagement analytics tracking.
  * 
+ * Grade level cards and the program overview are rendered from
+ * src/data/curriculum.json. The hand-written cards in index.html stay in
+ * place as the no-JS fallback and are only replaced once the data loads.
+ * 
  * @module curriculum
  * @version 1.0.0
  */
 
-'use strict';
+import { Analytics } from './analytics.js';
 
 /**
  * Curriculum section configuration
  */
 const CURRICULUM_CONFIG = Object.freeze({
+  DATA_URL: 'data/curriculum.json',
   ANIMATION_DURATION: 300,
   SCROLL_OFFSET: 100,
   DEBOUNCE_DELAY: 150,
@@ -93,23 +98,6 @@ const CurriculumDOM = {
   },
 };
 
-/**
- * Debounce utility for performance optimization
- * @param {Function} func - Function to debounce
- * @param {number} delay - Delay in milliseconds
- * @returns {Function} Debounced function
- */
-function debounce(func, delay) {
-  let timeoutId = null;
-
-  return function debounced(...args) {
-    clearTimeout(timeoutId);
-    timeoutId = setTimeout(() => {
-      func.apply(this, args);
-    }, delay);
-  };
-}
-
 /**
  * Throttle utility for rate limiting
  * @param {Function} func - Function to throttle
@@ -130,6 +118,15 @@ function throttle(func, limit) {
   };
 }
 
+/**
+ * Send a curriculum event through the shared analytics bus
+ * @param {string} eventName - Event name
+ * @param {Object} eventData - Event properties
+ */
+function trackCurriculumEvent(eventName, eventData) {
+  Analytics.track(eventName, eventData);
+}
+
 /**
  * Track curriculum item expansion for analytics
  * @param {string} itemId - Unique identifier for curriculum item
@@ -141,10 +138,9 @@ function trackItemExpansion(itemId, isExpanded) {
       analyticsState.expandedItems.add(itemId);
       analyticsState.interactionTimestamps.set(itemId, Date.now());
       
-      console.log('[Curriculum] Item expanded', {
-        itemId,
-        timestamp: new Date().toISOString(),
-        totalExpanded: analyticsState.expandedItems.size,
+      trackCurriculumEvent('curriculum_item_expand', {
+        item_id: itemId,
+        total_expanded: analyticsState.expandedItems.size,
       });
     } else {
       const expandTime = analyticsState.interactionTimestamps.get(itemId);
@@ -153,10 +149,9 @@ function trackItemExpansion(itemId, isExpanded) {
       analyticsState.expandedItems.delete(itemId);
       analyticsState.interactionTimestamps.delete(itemId);
       
-      console.log('[Curriculum] Item collapsed', {
-        itemId,
-        viewDuration,
-        timestamp: new Date().toISOString(),
+      trackCurriculumEvent('curriculum_item_collapse', {
+        item_id: itemId,
+        view_duration_ms: viewDuration,
       });
     }
   } catch (error) {
@@ -172,10 +167,9 @@ function trackSectionView() {
     if (analyticsState.sectionViewStart) {
       analyticsState.sectionViewTime = Date.now() - analyticsState.sectionViewStart;
       
-      console.log('[Curriculum] Section view time', {
-        duration: analyticsState.sectionViewTime,
-        expandedItems: analyticsState.expandedItems.size,
-        timestamp: new Date().toISOString(),
+      trackCurriculumEvent('curriculum_section_view', {
+        duration_ms: analyticsState.sectionViewTime,
+        expanded_items: analyticsState.expandedItems.size,
       });
     }
   } catch (error) {
@@ -211,10 +205,14 @@ function getContentHeight(content) {
  * @param {Element} item - Curriculum item element
  * @param {Element} content - Content element to expand
  * @param {Element} trigger - Trigger button element
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.track=true] - Report the change as a curriculum event
  */
-function expandItem(item, content, trigger) {
+function expandItem(item, content, trigger, options = {}) {
   if (!item || !content || !trigger) return;
 
+  const { track = true } = options;
+
   try {
     const itemId = CurriculumDOM.getAttribute(item, 'data-curriculum-id') || 
                    CurriculumDOM.getAttribute(trigger, 'id') || 
@@ -222,6 +220,7 @@ function expandItem(item, content, trigger) {
 
     CurriculumDOM.addClass(item, 'expanded');
     CurriculumDOM.setAttribute(trigger, 'aria-expanded', 'true');
+    CurriculumDOM.setAttribute(content, 'aria-hidden', 'false');
     
     const height = getContentHeight(content);
     content.style.height = '0px';
@@ -237,7 +236,9 @@ function expandItem(item, content, trigger) {
       }, CURRICULUM_CONFIG.ANIMATION_DURATION);
     });
 
-    trackItemExpansion(itemId, true);
+    if (track) {
+      trackItemExpansion(itemId, true);
+    }
     
     console.log('[Curriculum] Item expanded successfully', { itemId });
   } catch (error) {
@@ -252,10 +253,14 @@ function expandItem(item, content, trigger) {
  * @param {Element} item - Curriculum item element
  * @param {Element} content - Content element to collapse
  * @param {Element} trigger - Trigger button element
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.track=true] - Report the change as a curriculum event
  */
-function collapseItem(item, content, trigger) {
+function collapseItem(item, content, trigger, options = {}) {
   if (!item || !content || !trigger) return;
 
+  const { track = true } = options;
+
   try {
     const itemId = CurriculumDOM.getAttribute(item, 'data-curriculum-id') || 
                    CurriculumDOM.getAttribute(trigger, 'id') || 
@@ -263,6 +268,7 @@ function collapseItem(item, content, trigger) {
 
     CurriculumDOM.removeClass(item, 'expanded');
     CurriculumDOM.setAttribute(trigger, 'aria-expanded', 'false');
+    CurriculumDOM.setAttribute(content, 'aria-hidden', 'true');
     
     const height = content.scrollHeight;
     content.style.height = `${height}px`;
@@ -278,7 +284,9 @@ function collapseItem(item, content, trigger) {
       }, CURRICULUM_CONFIG.ANIMATION_DURATION);
     });
 
-    trackItemExpansion(itemId, false);
+    if (track) {
+      trackItemExpansion(itemId, false);
+    }
     
     console.log('[Curriculum] Item collapsed successfully', { itemId });
   } catch (error) {
@@ -311,8 +319,15 @@ function toggleItem(item, content, trigger) {
  * @param {KeyboardEvent} event - Keyboard event
  * @param {Element} trigger - Current trigger element
  * @param {Element[]} allTriggers - All trigger elements
+ * @param {Object} [selectors] - Item and content selectors used for Escape
+ * @param {string} [selectors.item='[data-curriculum-item]'] - Item selector
+ * @param {string} [selectors.content='[data-curriculum-content]'] - Content selector
  */
-function handleKeyboardNavigation(event, trigger, allTriggers) {
+function handleKeyboardNavigation(event, trigger, allTriggers, selectors = {}) {
+  const {
+    item: itemSelector = '[data-curriculum-item]',
+    content: contentSelector = '[data-curriculum-content]',
+  } = selectors;
   const { key } = event;
   const currentIndex = allTriggers.indexOf(trigger);
 
@@ -332,15 +347,16 @@ function handleKeyboardNavigation(event, trigger, allTriggers) {
         }
         break;
 
-      case CURRICULUM_CONFIG.KEYBOARD_KEYS.ESCAPE:
+      case CURRICULUM_CONFIG.KEYBOARD_KEYS.ESCAPE: {
         event.preventDefault();
-        const item = trigger.closest('[data-curriculum-item]');
-        const content = item ? CurriculumDOM.query('[data-curriculum-content]', item) : null;
+        const item = trigger.closest(itemSelector);
+        const content = item ? CurriculumDOM.query(contentSelector, item) : null;
         
         if (item && content && CurriculumDOM.hasClass(item, 'expanded')) {
           collapseItem(item, content, trigger);
         }
         break;
+      }
 
       default:
         break;
@@ -490,10 +506,270 @@ function initBulkActions(section, items) {
   }
 }
 
+/**
+ * Create an element with an optional class name and text content
+ * @param {string} tagName - Element tag name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {Element} Created element
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+
+  if (className) {
+    element.className = className;
+  }
+
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+
+  return element;
+}
+
+/**
+ * Create a list element from an array of strings
+ * @param {string[]} items - List item text
+ * @param {string} [className] - List class name
+ * @param {string} [itemClassName] - List item class name
+ * @returns {Element} List element
+ */
+function createList(items, className, itemClassName) {
+  const list = createElement('ul', className);
+  list.setAttribute('role', 'list');
+
+  items.forEach((text) => {
+    list.appendChild(createElement('li', itemClassName, text));
+  });
+
+  return list;
+}
+
+/**
+ * Fetch curriculum data
+ * @returns {Promise<Object>} Curriculum data
+ */
+async function fetchCurriculumData() {
+  const response = await fetch(CURRICULUM_CONFIG.DATA_URL, {
+    headers: { Accept: 'application/json' },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to load curriculum data (HTTP ${response.status})`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Split a grade level name such as "Elementary (K-5)" into title and grade band
+ * @param {string} name - Grade level name
+ * @returns {{title: string, grade: string}} Card title and grade band
+ */
+function parseGradeLevelName(name) {
+  const match = /^(.*?)\s*\(([^)]+)\)\s*$/.exec(name || '');
+
+  if (!match) {
+    return { title: name || '', grade: '' };
+  }
+
+  return { title: `${match[1]} Program`, grade: match[2] };
+}
+
+/**
+ * Render a grade level card
+ * @param {Object} level - Grade level from curriculum.json
+ * @returns {Element} Curriculum card element
+ */
+function renderCurriculumCard(level) {
+  const { title, grade } = parseGradeLevelName(level.name);
+  const subjects = Array.isArray(level.subjects) ? level.subjects : [];
+  const weeklyHours = subjects.reduce((total, subject) => total + (Number(subject.weeklyHours) || 0), 0);
+  const detailsId = `${level.id}-details`;
+
+  const card = createElement('article', 'curriculum-card');
+  card.setAttribute('data-curriculum-item', '');
+  card.setAttribute('data-curriculum-id', level.id);
+
+  const header = createElement('div', 'curriculum-card__header');
+  if (grade) {
+    header.appendChild(createElement('span', 'curriculum-card__grade', grade));
+  }
+  header.appendChild(createElement('h3', 'curriculum-card__title', title));
+
+  const body = createElement('div', 'curriculum-card__body');
+  const description = level.ageRange
+    ? `${level.description}. Ages ${level.ageRange}.`
+    : level.description;
+  body.appendChild(createElement('p', 'curriculum-card__description', description));
+  body.appendChild(createList(
+    subjects.map((subject) => `${subject.name} - ${subject.weeklyHours} hrs/week`),
+    'curriculum-card__subjects',
+    'curriculum-card__subject'
+  ));
+
+  const details = createElement('div', 'curriculum-card__details');
+  details.id = detailsId;
+  details.setAttribute('data-curriculum-content', '');
+  details.setAttribute('aria-hidden', 'true');
+
+  const detailsContent = createElement('div', 'curriculum-card__details-content');
+
+  if (Array.isArray(level.highlights) && level.highlights.length > 0) {
+    detailsContent.appendChild(createElement('h4', null, 'Program Highlights:'));
+    detailsContent.appendChild(createList(level.highlights));
+  }
+
+  if (subjects.length > 0) {
+    detailsContent.appendChild(createElement('h4', null, 'Subjects & Topics:'));
+
+    const topics = createElement('dl', 'curriculum-card__topics');
+    subjects.forEach((subject) => {
+      topics.appendChild(createElement('dt', null, `${subject.name} (${subject.weeklyHours} hrs/week)`));
+      topics.appendChild(createElement('dd', null, (subject.topics || []).join(', ')));
+    });
+    detailsContent.appendChild(topics);
+  }
+
+  const hours = createElement('p');
+  hours.appendChild(createElement('strong', null, 'Weekly Hours:'));
+  hours.appendChild(document.createTextNode(` ${weeklyHours} hours of structured learning`));
+  detailsContent.appendChild(hours);
+
+  details.appendChild(detailsContent);
+  body.appendChild(details);
+
+  const footer = createElement('div', 'curriculum-card__footer');
+  const trigger = createElement('button', 'curriculum-card__expand-btn');
+  trigger.type = 'button';
+  trigger.id = `${level.id}-trigger`;
+  trigger.setAttribute('data-curriculum-trigger', '');
+  trigger.setAttribute('aria-expanded', 'false');
+  trigger.setAttribute('aria-controls', detailsId);
+  trigger.innerHTML = `
+    <span>View Details</span>
+    <svg class="curriculum-card__expand-icon" aria-hidden="true" viewBox="0 0 16 16" fill="currentColor">
+      <path d="M8 11L3 6h10l-5 5z"/>
+    </svg>
+  `;
+  footer.appendChild(trigger);
+
+  card.append(header, body, footer);
+
+  return card;
+}
+
+/**
+ * Render a titled program overview column
+ * @param {string} title - Column title
+ * @param {Element[]} children - Column content
+ * @returns {Element} Column element
+ */
+function renderProgramColumn(title, children) {
+  const column = createElement('div', 'curriculum-program__column');
+  column.appendChild(createElement('h4', 'curriculum-program__column-title', title));
+  children.forEach((child) => column.appendChild(child));
+  return column;
+}
+
+/**
+ * Render assessment, support services and accreditation
+ * @param {Element} container - Program overview container
+ * @param {Object} data - Curriculum data
+ */
+function renderProgramOverview(container, data) {
+  const { assessmentApproach, supportServices, accreditation } = data;
+  const grid = createElement('div', 'curriculum-program__grid');
+
+  if (assessmentApproach && Array.isArray(assessmentApproach.methods)) {
+    const methods = createElement('dl', 'curriculum-program__list');
+    assessmentApproach.methods.forEach((method) => {
+      methods.appendChild(createElement('dt', null, method.type));
+      methods.appendChild(createElement('dd', null, method.description));
+    });
+    grid.appendChild(renderProgramColumn('Assessment', [methods]));
+  }
+
+  if (supportServices) {
+    const groups = [
+      ['For Parents', supportServices.parentSupport],
+      ['For Students', supportServices.studentSupport],
+      ['Resources', supportServices.resources],
+    ].filter(([, items]) => Array.isArray(items) && items.length > 0);
+
+    const children = [];
+    groups.forEach(([label, items]) => {
+      children.push(createElement('h5', 'curriculum-program__group-title', label));
+      children.push(createList(items, 'curriculum-program__list'));
+    });
+
+    if (children.length > 0) {
+      grid.appendChild(renderProgramColumn('Support Services', children));
+    }
+  }
+
+  if (accreditation) {
+    const children = [createElement('p', 'curriculum-program__status', accreditation.status)];
+    if (Array.isArray(accreditation.recognition)) {
+      children.push(createList(accreditation.recognition, 'curriculum-program__list'));
+    }
+    grid.appendChild(renderProgramColumn('Accreditation', children));
+  }
+
+  container.textContent = '';
+  container.appendChild(createElement('h3', 'curriculum-program__title', 'Assessment, Support & Accreditation'));
+  container.appendChild(grid);
+  container.hidden = grid.children.length === 0;
+}
+
+/**
+ * Replace the static curriculum cards with cards rendered from curriculum.json.
+ * Leaves the static markup untouched if the data cannot be loaded.
+ * @param {Element} section - Curriculum section element
+ * @returns {Promise<boolean>} True if the cards were rendered from data
+ */
+async function renderCurriculum(section) {
+  const grid = CurriculumDOM.query('.curriculum-grid', section);
+
+  if (!grid) {
+    return false;
+  }
+
+  try {
+    const data = await fetchCurriculumData();
+    const levels = Array.isArray(data.gradeLevels) ? data.gradeLevels : [];
+
+    if (levels.length === 0) {
+      console.warn('[Curriculum] No grade levels in curriculum data; keeping static cards');
+      return false;
+    }
+
+    const fragment = document.createDocumentFragment();
+    levels.forEach((level) => fragment.appendChild(renderCurriculumCard(level)));
+    grid.textContent = '';
+    grid.appendChild(fragment);
+
+    const program = CurriculumDOM.query('[data-curriculum-program]', section);
+    if (program) {
+      renderProgramOverview(program, data);
+    }
+
+    console.log('[Curriculum] Rendered from data', {
+      gradeLevels: levels.length,
+      version: data.metadata && data.metadata.version,
+    });
+
+    return true;
+  } catch (error) {
+    console.error('[Curriculum] Failed to render from data; keeping static cards', error);
+    return false;
+  }
+}
+
 /**
  * Initialize curriculum section functionality
  */
-function initCurriculum() {
+async function initCurriculum() {
   try {
     const section = CurriculumDOM.query('.curriculum-section, [data-curriculum-section]');
     
@@ -502,6 +778,8 @@ function initCurriculum() {
       return;
     }
 
+    await renderCurriculum(section);
+
     const items = CurriculumDOM.queryAll('[data-curriculum-item]', section);
     
     if (items.length === 0) {
@@ -550,4 +828,17 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initCurriculum);
 } else {
   initCurriculum();
-}
\ No newline at end of file
+}
+
+const CurriculumAccordion = {
+  expandItem,
+  collapseItem,
+  toggleItem,
+  handleKeyboardNavigation,
+};
+
+if (typeof window !== 'undefined') {
+  window.CurriculumAccordion = CurriculumAccordion;
+}
+
+export { CurriculumAccordion };
@@ -0,0 +1,480 @@
+/**
+ * HomeschoolHub Enrollment Wizard Module
+ *
+ * Turns the contact form into a step-by-step enrollment wizard driven by the
+ * `steps` array in src/data/enrollment-process.json. Each step with a `wizard`
+ * entry maps to a `[data-wizard-panel]` in the form. Without JavaScript, or if
+ * the step data cannot be loaded, the form stays a single flat page.
+ *
+ * Relies on contact.js (`ContactForm`) for validation and submission.
+ *
+ * @module enrollment-wizard
+ * @version 1.0.0
+ */
+
+import { Analytics } from './analytics.js';
+import { ContactForm } from './contact.js';
+
+/**
+ * Wizard configuration
+ */
+const WIZARD_CONFIG = Object.freeze({
+  DATA_URL: 'data/enrollment-process.json',
+  FORM_ID: 'contact-form',
+  EMPTY_VALUE_TEXT: 'Not provided',
+  SELECTORS: {
+    PANEL: '[data-wizard-panel]',
+    REVIEW: '[data-wizard-review]',
+    SUBMIT: 'button[type="submit"]',
+    STUDENT_GROUP: '[data-student-group]',
+    STUDENT_TITLE: '[data-student-title]',
+  },
+  CLASSES: {
+    ACTIVE: 'contact-form--wizard',
+    STEP_COMPLETE: 'wizard-progress__step--complete',
+    STEP_CURRENT: 'wizard-progress__step--current',
+  },
+});
+
+/**
+ * Wizard state
+ */
+const wizardState = {
+  form: null,
+  steps: [],
+  currentIndex: 0,
+  progress: null,
+  status: null,
+  backButton: null,
+  nextButton: null,
+  submitButton: null,
+};
+
+/**
+ * Enrollment wizard controller
+ */
+const EnrollmentWizard = {
+  /**
+   * Load wizard steps from the enrollment process data
+   * @param {HTMLFormElement} form - Contact form
+   * @returns {Promise<Object[]>} Steps that have a matching panel
+   */
+  async loadSteps(form) {
+    const response = await fetch(WIZARD_CONFIG.DATA_URL, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load enrollment steps (HTTP ${response.status})`);
+    }
+
+    const data = await response.json();
+    const steps = (data.enrollmentProcess && data.enrollmentProcess.steps) || [];
+
+    return steps
+      .filter((step) => step.wizard && step.wizard.panel)
+      .map((step) => ({
+        id: step.id,
+        title: step.wizard.title || step.title,
+        description: step.description,
+        panel: form.querySelector(`[data-wizard-panel="${step.wizard.panel}"]`),
+      }))
+      .filter((step) => {
+        if (!step.panel) {
+          console.warn('[Wizard] No panel found for step', { id: step.id });
+        }
+        return !!step.panel;
+      });
+  },
+
+  /**
+   * Render the progress indicator
+   * @returns {HTMLElement} Progress navigation element
+   */
+  renderProgress() {
+    const nav = document.createElement('nav');
+    nav.className = 'wizard-progress';
+    nav.setAttribute('aria-label', 'Enrollment progress');
+
+    const list = document.createElement('ol');
+    list.className = 'wizard-progress__list';
+
+    wizardState.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'wizard-progress__step';
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'wizard-progress__button';
+      button.dataset.wizardGoto = String(index);
+
+      const number = document.createElement('span');
+      number.className = 'wizard-progress__number';
+      number.setAttribute('aria-hidden', 'true');
+      number.textContent = String(index + 1);
+
+      const label = document.createElement('span');
+      label.className = 'wizard-progress__label';
+      label.textContent = step.title;
+
+      button.append(number, label);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    const status = document.createElement('p');
+    status.className = 'sr-only';
+    status.setAttribute('aria-live', 'polite');
+    status.setAttribute('aria-atomic', 'true');
+
+    nav.append(list, status);
+    wizardState.status = status;
+
+    return nav;
+  },
+
+  /**
+   * Render the back/next controls
+   * @returns {HTMLElement} Navigation controls container
+   */
+  renderNav() {
+    const nav = document.createElement('div');
+    nav.className = 'wizard-nav';
+
+    wizardState.backButton = document.createElement('button');
+    wizardState.backButton.type = 'button';
+    wizardState.backButton.className = 'wizard-nav__button wizard-nav__button--back';
+    wizardState.backButton.textContent = 'Back';
+
+    wizardState.nextButton = document.createElement('button');
+    wizardState.nextButton.type = 'button';
+    wizardState.nextButton.className = 'wizard-nav__button wizard-nav__button--next';
+    wizardState.nextButton.textContent = 'Continue';
+
+    nav.append(wizardState.backButton, wizardState.nextButton);
+
+    return nav;
+  },
+
+  /**
+   * Show a step
+   * @param {number} index - Step index
+   * @param {Object} [options={}] - Navigation options
+   * @param {boolean} [options.focus=true] - Move focus to the step heading
+   */
+  goTo(index, options = {}) {
+    const { focus = true } = options;
+    const { steps } = wizardState;
+
+    if (index < 0 || index >= steps.length) {
+      return;
+    }
+
+    wizardState.currentIndex = index;
+    const step = steps[index];
+    const isLast = index === steps.length - 1;
+
+    steps.forEach((candidate, candidateIndex) => {
+      candidate.panel.hidden = candidateIndex !== index;
+    });
+
+    if (step.panel.querySelector(WIZARD_CONFIG.SELECTORS.REVIEW)) {
+      this.renderReview(step.panel.querySelector(WIZARD_CONFIG.SELECTORS.REVIEW));
+    }
+
+    this.updateProgress();
+
+    wizardState.backButton.hidden = index === 0;
+    wizardState.nextButton.hidden = isLast;
+
+    if (wizardState.submitButton) {
+      wizardState.submitButton.hidden = !isLast;
+    }
+
+    wizardState.status.textContent = `Step ${index + 1} of ${steps.length}: ${step.title}`;
+
+    if (focus) {
+      const heading = step.panel.querySelector('h1, h2, h3, h4, h5, h6') || step.panel;
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    }
+
+    Analytics.track('enrollment_step_view', {
+      step: index + 1,
+      step_title: step.title,
+      step_count: steps.length,
+    });
+  },
+
+  /**
+   * Update progress indicator state
+   */
+  updateProgress() {
+    const items = wizardState.progress.querySelectorAll('.wizard-progress__step');
+
+    items.forEach((item, index) => {
+      const button = item.querySelector('.wizard-progress__button');
+      const isCurrent = index === wizardState.currentIndex;
+      const isComplete = index < wizardState.currentIndex;
+
+      item.classList.toggle(WIZARD_CONFIG.CLASSES.STEP_CURRENT, isCurrent);
+      item.classList.toggle(WIZARD_CONFIG.CLASSES.STEP_COMPLETE, isComplete);
+
+      if (isCurrent) {
+        button.setAttribute('aria-current', 'step');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+
+      // Only completed steps can be revisited; later steps need validation first
+      button.disabled = !isComplete;
+    });
+  },
+
+  /**
+   * Validate the fields in a step
+   * @param {number} index - Step index
+   * @returns {boolean} True if the step is valid
+   */
+  validateStep(index) {
+    const step = wizardState.steps[index];
+
+    return ContactForm.validateForm(step.panel);
+  },
+
+  /**
+   * Advance to the next step if the current one is valid
+   */
+  next() {
+    if (this.validateStep(wizardState.currentIndex)) {
+      this.goTo(wizardState.currentIndex + 1);
+    }
+  },
+
+  /**
+   * Return to the previous step. Field values are kept.
+   */
+  back() {
+    this.goTo(wizardState.currentIndex - 1);
+  },
+
+  /**
+   * Get a readable label for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Label text
+   */
+  getFieldLabel(field) {
+    if (field.type === 'radio') {
+      const legend = field.closest('fieldset') && field.closest('fieldset').querySelector('legend');
+      return legend ? legend.textContent.trim() : field.name;
+    }
+
+    const label = field.labels && field.labels[0] ? field.labels[0].textContent.trim() : field.name;
+    const group = field.closest(WIZARD_CONFIG.SELECTORS.STUDENT_GROUP);
+    const groupTitle = group ? group.querySelector(WIZARD_CONFIG.SELECTORS.STUDENT_TITLE) : null;
+
+    return groupTitle ? `${groupTitle.textContent.trim()} – ${label}` : label;
+  },
+
+  /**
+   * Get a readable value for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Display value
+   */
+  getFieldValue(field) {
+    if (field.type === 'radio') {
+      const group = field.form
+        ? field.form.querySelectorAll(`input[type="radio"][name="${field.name}"]`)
+        : [field];
+      const checked = Array.from(group).find((radio) => radio.checked);
+
+      if (!checked) {
+        return '';
+      }
+
+      return checked.dataset.reviewValue || (checked.labels[0] ? checked.labels[0].textContent.trim() : checked.value);
+    }
+
+    if (field.tagName === 'SELECT') {
+      return field.value && field.selectedOptions[0] ? field.selectedOptions[0].textContent.trim() : '';
+    }
+
+    return field.value.trim();
+  },
+
+  /**
+   * Render a summary of every previous step with edit links
+   * @param {HTMLElement} container - Review container
+   */
+  renderReview(container) {
+    container.textContent = '';
+
+    wizardState.steps.forEach((step, index) => {
+      const radioNames = new Set();
+      const fields = Array.from(step.panel.querySelectorAll('input[name], select[name], textarea[name]'))
+        .filter((field) => {
+          if (field.type === 'hidden') {
+            return false;
+          }
+
+          // One review row per radio group
+          if (field.type === 'radio') {
+            if (radioNames.has(field.name)) {
+              return false;
+            }
+            radioNames.add(field.name);
+          }
+
+          return true;
+        });
+
+      if (fields.length === 0) {
+        return;
+      }
+
+      const section = document.createElement('section');
+      section.className = 'wizard-review__section';
+
+      const header = document.createElement('div');
+      header.className = 'wizard-review__header';
+
+      const title = document.createElement('h5');
+      title.className = 'wizard-review__title';
+      title.textContent = step.title;
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'wizard-review__edit';
+      editButton.dataset.wizardGoto = String(index);
+      editButton.textContent = 'Edit';
+      editButton.setAttribute('aria-label', `Edit ${step.title}`);
+
+      header.append(title, editButton);
+
+      const list = document.createElement('dl');
+      list.className = 'wizard-review__list';
+
+      fields.forEach((field) => {
+        const term = document.createElement('dt');
+        term.textContent = this.getFieldLabel(field);
+
+        const value = this.getFieldValue(field);
+        const definition = document.createElement('dd');
+        definition.textContent = value || WIZARD_CONFIG.EMPTY_VALUE_TEXT;
+
+        list.append(term, definition);
+      });
+
+      section.append(header, list);
+      container.appendChild(section);
+    });
+  },
+
+  /**
+   * Intercept submission before the last step and advance instead.
+   * Registered in the capture phase so it runs before contact.js.
+   * @param {Event} event - Submit event
+   */
+  handleSubmitCapture(event) {
+    if (event.target !== wizardState.form) {
+      return;
+    }
+
+    if (wizardState.currentIndex < wizardState.steps.length - 1) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.next();
+    }
+  },
+
+  /**
+   * Show the step holding a field that failed validation
+   * @param {CustomEvent} event - `contactform:invalid` event
+   */
+  handleInvalid(event) {
+    const field = event.detail && event.detail.field;
+    const index = wizardState.steps.findIndex((step) => step.panel.contains(field));
+
+    if (index !== -1 && index !== wizardState.currentIndex) {
+      this.goTo(index, { focus: false });
+    }
+  },
+
+  /**
+   * Wire up events
+   */
+  attachEventListeners() {
+    const { form } = wizardState;
+
+    wizardState.backButton.addEventListener('click', () => this.back());
+    wizardState.nextButton.addEventListener('click', () => this.next());
+
+    form.addEventListener('click', (event) => {
+      const target = event.target.closest('[data-wizard-goto]');
+
+      if (target) {
+        this.goTo(Number(target.dataset.wizardGoto));
+      }
+    });
+
+    document.addEventListener('submit', (event) => this.handleSubmitCapture(event), true);
+    form.addEventListener('contactform:invalid', (event) => this.handleInvalid(event));
+    form.addEventListener('contactform:submitted', () => this.goTo(0, { focus: false }));
+  },
+
+  /**
+   * Build the wizard on the contact form
+   */
+  async init() {
+    const form = document.getElementById(WIZARD_CONFIG.FORM_ID);
+
+    if (!form || !form.querySelector(WIZARD_CONFIG.SELECTORS.PANEL)) {
+      console.warn('[Wizard] Wizard panels not found in DOM');
+      return;
+    }
+
+    try {
+      wizardState.form = form;
+      wizardState.steps = await this.loadSteps(form);
+
+      if (wizardState.steps.length < 2) {
+        console.warn('[Wizard] Not enough steps for a wizard; keeping single-page form');
+        return;
+      }
+
+      wizardState.submitButton = form.querySelector(WIZARD_CONFIG.SELECTORS.SUBMIT);
+      wizardState.progress = this.renderProgress();
+      form.insertBefore(wizardState.progress, wizardState.steps[0].panel);
+
+      const nav = this.renderNav();
+      if (wizardState.submitButton) {
+        wizardState.submitButton.before(nav);
+        nav.appendChild(wizardState.submitButton);
+      } else {
+        form.appendChild(nav);
+      }
+
+      form.classList.add(WIZARD_CONFIG.CLASSES.ACTIVE);
+      this.attachEventListeners();
+      this.goTo(0, { focus: false });
+
+      console.log('[Wizard] Enrollment wizard initialized', {
+        steps: wizardState.steps.length,
+      });
+    } catch (error) {
+      console.error('[Wizard] Failed to initialize enrollment wizard', error);
+    }
+  },
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => EnrollmentWizard.init());
+} else {
+  EnrollmentWizard.init();
+}
+
+if (typeof window !== 'undefined') {
+  window.EnrollmentWizard = EnrollmentWizard;
+}
+
+export { EnrollmentWizard };
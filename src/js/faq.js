@@ -0,0 +1,604 @@
+/**
+ * HomeschoolHub FAQ Module
+ *
+ * Renders `enrollmentProcess.faq.categories` from
+ * src/data/enrollment-process.json as a searchable accordion. Expand/collapse
+ * and arrow-key navigation come from curriculum.js (`CurriculumAccordion`).
+ * Each question has a stable `#faq-<slug>` anchor so it can be linked to
+ * directly, and the whole FAQ is published as `FAQPage` structured data
+ * through `SEO.injectStructuredData`.
+ *
+ * @module faq
+ * @version 1.0.0
+ */
+
+import { Analytics } from './analytics.js';
+import { CurriculumAccordion } from './curriculum.js';
+import { SEO } from './seo.js';
+
+/**
+ * FAQ configuration
+ */
+const FAQ_CONFIG = Object.freeze({
+  DATA_URL: 'data/enrollment-process.json',
+  HASH_PREFIX: 'faq-',
+  STRUCTURED_DATA_ID: 'faq-structured-data',
+  SEARCH_DEBOUNCE: 150,
+  SELECTORS: {
+    SECTION: '[data-faq-section]',
+    LIST: '[data-faq-list]',
+    SEARCH: '[data-faq-search]',
+    STATUS: '[data-faq-status]',
+    EMPTY: '[data-faq-empty]',
+    ITEM: '[data-faq-item]',
+    TRIGGER: '[data-faq-trigger]',
+    CONTENT: '[data-faq-content]',
+  },
+  CLASSES: {
+    HIGHLIGHT: 'faq-highlight',
+  },
+});
+
+/**
+ * FAQ state
+ */
+const faqState = {
+  section: null,
+  list: null,
+  search: null,
+  status: null,
+  empty: null,
+  categories: [],
+  items: [],
+  triggers: [],
+  query: '',
+  searchTimer: null,
+};
+
+/**
+ * FAQ controller
+ */
+const FAQ = {
+  /**
+   * Load FAQ categories from the enrollment process data
+   * @returns {Promise<Object[]>} FAQ categories
+   */
+  async loadCategories() {
+    const response = await fetch(FAQ_CONFIG.DATA_URL, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load FAQ (HTTP ${response.status})`);
+    }
+
+    const data = await response.json();
+    const faq = data.enrollmentProcess && data.enrollmentProcess.faq;
+
+    return (faq && Array.isArray(faq.categories) ? faq.categories : [])
+      .filter((category) => Array.isArray(category.questions) && category.questions.length > 0);
+  },
+
+  /**
+   * Build a URL-safe slug for a question
+   * @param {string} text - Question text
+   * @returns {string} Slug
+   */
+  slugify(text) {
+    if (typeof SEO.generateSlug === 'function') {
+      return SEO.generateSlug(text);
+    }
+
+    return String(text)
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, '')
+      .replace(/[\s_-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+
+  /**
+   * Build a unique anchor id for a question
+   * @param {string} question - Question text
+   * @param {Set<string>} usedIds - Ids already assigned
+   * @returns {string} Anchor id
+   */
+  buildAnchorId(question, usedIds) {
+    const base = `${FAQ_CONFIG.HASH_PREFIX}${this.slugify(question) || 'question'}`;
+    let id = base;
+    let suffix = 2;
+
+    while (usedIds.has(id) || document.getElementById(id)) {
+      id = `${base}-${suffix}`;
+      suffix += 1;
+    }
+
+    usedIds.add(id);
+    return id;
+  },
+
+  /**
+   * Render the FAQ categories and questions
+   * @param {Object[]} categories - FAQ categories
+   */
+  render(categories) {
+    const usedIds = new Set();
+
+    faqState.list.textContent = '';
+    faqState.items = [];
+
+    categories.forEach((category, categoryIndex) => {
+      const group = document.createElement('section');
+      group.className = 'faq-category';
+      group.setAttribute('aria-labelledby', `faq-category-${categoryIndex}`);
+
+      const heading = document.createElement('h3');
+      heading.className = 'faq-category__title';
+      heading.id = `faq-category-${categoryIndex}`;
+      heading.textContent = category.category;
+
+      const list = document.createElement('div');
+      list.className = 'faq-category__list';
+
+      category.questions.forEach((entry) => {
+        const id = this.buildAnchorId(entry.question, usedIds);
+
+        const item = document.createElement('div');
+        item.className = 'faq-item';
+        item.id = id;
+        item.dataset.faqItem = '';
+
+        const questionHeading = document.createElement('h4');
+        questionHeading.className = 'faq-item__heading';
+
+        const trigger = document.createElement('button');
+        trigger.type = 'button';
+        trigger.className = 'faq-item__trigger';
+        trigger.id = `${id}-trigger`;
+        trigger.dataset.faqTrigger = '';
+        trigger.setAttribute('aria-expanded', 'false');
+        trigger.setAttribute('aria-controls', `${id}-answer`);
+
+        const questionText = document.createElement('span');
+        questionText.className = 'faq-item__question';
+        questionText.textContent = entry.question;
+
+        const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        icon.setAttribute('class', 'faq-item__icon');
+        icon.setAttribute('aria-hidden', 'true');
+        icon.setAttribute('viewBox', '0 0 16 16');
+        icon.setAttribute('fill', 'currentColor');
+        icon.innerHTML = '<path d="M8 11L3 6h10l-5 5z"/>';
+
+        trigger.append(questionText, icon);
+        questionHeading.appendChild(trigger);
+
+        const content = document.createElement('div');
+        content.className = 'faq-item__answer';
+        content.id = `${id}-answer`;
+        content.dataset.faqContent = '';
+        content.setAttribute('role', 'region');
+        content.setAttribute('aria-labelledby', trigger.id);
+        content.style.display = 'none';
+        content.style.overflow = 'hidden';
+
+        const answerText = document.createElement('p');
+        answerText.className = 'faq-item__answer-text';
+        answerText.textContent = entry.answer;
+
+        content.appendChild(answerText);
+        item.append(questionHeading, content);
+        list.appendChild(item);
+
+        faqState.items.push({
+          id,
+          element: item,
+          group,
+          trigger,
+          content,
+          questionText,
+          answerText,
+          category: category.category,
+          question: entry.question,
+          answer: entry.answer,
+        });
+      });
+
+      group.append(heading, list);
+      faqState.list.appendChild(group);
+    });
+
+    faqState.triggers = faqState.items.map((item) => item.trigger);
+  },
+
+  /**
+   * Check whether an item is expanded
+   * @param {Object} item - FAQ item
+   * @returns {boolean} True if expanded
+   */
+  isExpanded(item) {
+    return item.element.classList.contains('expanded');
+  },
+
+  /**
+   * Expand an item
+   * @param {Object} item - FAQ item
+   */
+  expand(item) {
+    if (this.isExpanded(item)) {
+      return;
+    }
+
+    CurriculumAccordion.expandItem(item.element, item.content, item.trigger, { track: false });
+  },
+
+  /**
+   * Collapse an item
+   * @param {Object} item - FAQ item
+   */
+  collapse(item) {
+    if (!this.isExpanded(item)) {
+      return;
+    }
+
+    CurriculumAccordion.collapseItem(item.element, item.content, item.trigger, { track: false });
+  },
+
+  /**
+   * Collapse an item and clear the URL hash if it points at it
+   * @param {Object} item - FAQ item
+   */
+  close(item) {
+    this.collapse(item);
+
+    if (window.location.hash === `#${item.id}`) {
+      this.replaceHash('');
+    }
+  },
+
+  /**
+   * Toggle an item and keep the URL hash pointing at the open question
+   * @param {Object} item - FAQ item
+   */
+  toggle(item) {
+    if (this.isExpanded(item)) {
+      this.close(item);
+    } else {
+      this.expand(item);
+      this.replaceHash(`#${item.id}`);
+
+      this.track('faq_question_open', { question_id: item.id, category: item.category, source: 'click' });
+    }
+  },
+
+  /**
+   * Update the URL hash without adding a history entry or scrolling
+   * @param {string} hash - New hash, or an empty string to clear it
+   */
+  replaceHash(hash) {
+    if (!window.history || typeof window.history.replaceState !== 'function') {
+      return;
+    }
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    window.history.replaceState(window.history.state, '', url);
+  },
+
+  /**
+   * Split a query into lowercase search terms
+   * @param {string} query - Raw query
+   * @returns {string[]} Search terms
+   */
+  getTerms(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+  },
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+
+  /**
+   * Render text with every search term wrapped in <mark>
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Plain text
+   * @param {string[]} terms - Search terms
+   */
+  highlight(element, text, terms) {
+    element.textContent = '';
+
+    if (terms.length === 0) {
+      element.textContent = text;
+      return;
+    }
+
+    const pattern = new RegExp(`(${terms.map((term) => this.escapeRegExp(term)).join('|')})`, 'gi');
+
+    text.split(pattern).forEach((part, index) => {
+      if (!part) {
+        return;
+      }
+
+      // Captured matches land on odd indexes of the split result
+      if (index % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.className = FAQ_CONFIG.CLASSES.HIGHLIGHT;
+        mark.textContent = part;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(part));
+      }
+    });
+  },
+
+  /**
+   * Filter and highlight questions for a query
+   * @param {string} query - Search query
+   */
+  search(query) {
+    const terms = this.getTerms(query);
+    let matchCount = 0;
+
+    faqState.query = query.trim();
+
+    faqState.items.forEach((item) => {
+      const haystack = `${item.category} ${item.question} ${item.answer}`.toLowerCase();
+      const matches = terms.every((term) => haystack.includes(term));
+      const answerMatches = terms.length > 0 &&
+        terms.some((term) => item.answer.toLowerCase().includes(term));
+
+      item.element.hidden = !matches;
+      this.highlight(item.questionText, item.question, terms);
+      this.highlight(item.answerText, item.answer, terms);
+
+      if (matches) {
+        matchCount += 1;
+
+        // Open answers that hold a match so the highlight is visible
+        if (answerMatches) {
+          this.expand(item);
+        }
+      }
+    });
+
+    faqState.section.querySelectorAll('.faq-category').forEach((group) => {
+      group.hidden = !faqState.items.some((item) => item.group === group && !item.element.hidden);
+    });
+
+    if (faqState.empty) {
+      faqState.empty.hidden = matchCount > 0;
+    }
+
+    this.announce(terms.length === 0 ? '' : this.getResultMessage(matchCount));
+
+    if (terms.length > 0) {
+      // Free text can hold personal details, so only its shape is reported
+      this.track('faq_search', {
+        query_length: faqState.query.length,
+        term_count: terms.length,
+        result_count: matchCount,
+      });
+    }
+  },
+
+  /**
+   * Build the screen reader message for a search result
+   * @param {number} count - Number of matching questions
+   * @returns {string} Result message
+   */
+  getResultMessage(count) {
+    if (count === 0) {
+      return `No questions match "${faqState.query}".`;
+    }
+
+    return `${count} ${count === 1 ? 'question matches' : 'questions match'} "${faqState.query}".`;
+  },
+
+  /**
+   * Announce a message through the live region
+   * @param {string} message - Message text
+   */
+  announce(message) {
+    if (faqState.status) {
+      faqState.status.textContent = message;
+    }
+  },
+
+  /**
+   * Open the question named by the URL hash, if any
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.focus=true] - Move focus to the question
+   */
+  openFromHash(options = {}) {
+    const { focus = true } = options;
+    const id = decodeURIComponent(window.location.hash.slice(1));
+
+    if (!id.startsWith(FAQ_CONFIG.HASH_PREFIX)) {
+      return;
+    }
+
+    const item = faqState.items.find((candidate) => candidate.id === id);
+
+    if (!item) {
+      return;
+    }
+
+    // A linked question must be visible even if a search is filtering it out
+    if (item.element.hidden && faqState.search) {
+      faqState.search.value = '';
+      this.search('');
+    }
+
+    this.expand(item);
+    item.element.scrollIntoView({ block: 'start' });
+
+    if (focus) {
+      item.trigger.focus({ preventScroll: true });
+    }
+
+    this.track('faq_question_open', { question_id: item.id, category: item.category, source: 'link' });
+  },
+
+  /**
+   * Send an FAQ event through the shared analytics bus
+   * @param {string} eventName - Event name
+   * @param {Object} eventData - Event properties
+   */
+  track(eventName, eventData) {
+    Analytics.track(eventName, eventData);
+  },
+
+  /**
+   * Publish the FAQ as FAQPage structured data
+   * @param {Object[]} categories - FAQ categories
+   */
+  injectStructuredData(categories) {
+    if (typeof SEO.injectStructuredData !== 'function') {
+      console.warn('[FAQ] SEO module not loaded; skipping FAQPage structured data');
+      return;
+    }
+
+    const schema = {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: categories.flatMap((category) => category.questions.map((entry) => ({
+        '@type': 'Question',
+        name: entry.question,
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: entry.answer,
+        },
+      }))),
+    };
+
+    SEO.injectStructuredData(schema, FAQ_CONFIG.STRUCTURED_DATA_ID);
+  },
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    faqState.list.addEventListener('click', (event) => {
+      const trigger = event.target.closest(FAQ_CONFIG.SELECTORS.TRIGGER);
+      const item = trigger && faqState.items.find((candidate) => candidate.trigger === trigger);
+
+      if (item) {
+        event.preventDefault();
+        this.toggle(item);
+      }
+    });
+
+    faqState.list.addEventListener('keydown', (event) => {
+      const trigger = event.target.closest(FAQ_CONFIG.SELECTORS.TRIGGER);
+
+      if (!trigger) {
+        return;
+      }
+
+      // Escape closes through the FAQ so the hash is cleared and nothing is
+      // reported as a curriculum collapse
+      if (event.key === 'Escape') {
+        const item = faqState.items.find((candidate) => candidate.trigger === trigger);
+
+        if (item && this.isExpanded(item)) {
+          event.preventDefault();
+          this.close(item);
+        }
+        return;
+      }
+
+      // Hidden questions are skipped by arrow-key navigation
+      const visibleTriggers = faqState.items
+        .filter((item) => !item.element.hidden)
+        .map((item) => item.trigger);
+
+      CurriculumAccordion.handleKeyboardNavigation(event, trigger, visibleTriggers, {
+        item: FAQ_CONFIG.SELECTORS.ITEM,
+        content: FAQ_CONFIG.SELECTORS.CONTENT,
+      });
+    });
+
+    if (faqState.search) {
+      faqState.search.addEventListener('input', () => {
+        clearTimeout(faqState.searchTimer);
+        faqState.searchTimer = setTimeout(() => {
+          this.search(faqState.search.value);
+        }, FAQ_CONFIG.SEARCH_DEBOUNCE);
+      });
+
+      faqState.search.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && faqState.search.value) {
+          event.preventDefault();
+          faqState.search.value = '';
+          this.search('');
+        }
+      });
+    }
+
+    window.addEventListener('hashchange', () => this.openFromHash());
+  },
+
+  /**
+   * Initialize the FAQ
+   */
+  async init() {
+    const section = document.querySelector(FAQ_CONFIG.SELECTORS.SECTION);
+
+    if (!section) {
+      console.warn('[FAQ] FAQ section not found in DOM');
+      return;
+    }
+
+    const list = section.querySelector(FAQ_CONFIG.SELECTORS.LIST);
+
+    if (!list) {
+      console.warn('[FAQ] FAQ list container not found');
+      return;
+    }
+
+    faqState.section = section;
+    faqState.list = list;
+    faqState.search = section.querySelector(FAQ_CONFIG.SELECTORS.SEARCH);
+    faqState.status = section.querySelector(FAQ_CONFIG.SELECTORS.STATUS);
+    faqState.empty = section.querySelector(FAQ_CONFIG.SELECTORS.EMPTY);
+
+    try {
+      faqState.categories = await this.loadCategories();
+
+      if (faqState.categories.length === 0) {
+        console.warn('[FAQ] No FAQ questions found');
+        return;
+      }
+
+      this.render(faqState.categories);
+      this.attachEventListeners();
+      this.injectStructuredData(faqState.categories);
+
+      section.hidden = false;
+      this.openFromHash({ focus: false });
+
+      console.log('[FAQ] FAQ initialized', {
+        categories: faqState.categories.length,
+        questions: faqState.items.length,
+      });
+    } catch (error) {
+      console.error('[FAQ] Failed to initialize FAQ', error);
+    }
+  },
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => FAQ.init());
+} else {
+  FAQ.init();
+}
+
+if (typeof window !== 'undefined') {
+  window.FAQ = FAQ;
+}
+
+export { FAQ };
@@ -0,0 +1,607 @@
+/**
+ * HomeschoolHub Shared Form Schema Module
+ *
+ * Declarative field definitions (rules, messages and normalization) shared by
+ * contact.js and validation.js in the browser and by Node services that
+ * receive form submissions, so both sides accept exactly the same input.
+ *
+ * Browser: `import { FormSchema } from './form-schema.js'`; also exposed as
+ * `window.FormSchema`.
+ * Node: `import './src/js/form-schema.js'` and read `globalThis.FormSchema`.
+ *
+ * @module form-schema
+ * @version 1.0.0
+ */
+
+/**
+ * Field length and digit limits
+ */
+const SCHEMA_LIMITS = Object.freeze({
+  MIN_NAME_LENGTH: 2,
+  MAX_NAME_LENGTH: 100,
+  MIN_PHONE_DIGITS: 10,
+  MAX_PHONE_DIGITS: 15,
+  MIN_MESSAGE_LENGTH: 10,
+  MAX_MESSAGE_LENGTH: 1000,
+  MAX_NOTES_LENGTH: 500,
+  MAX_STUDENTS: 6,
+  MAX_EMAIL_LOCAL_LENGTH: 64,
+  MAX_EMAIL_DOMAIN_LENGTH: 255,
+});
+
+/**
+ * Validation error messages keyed by error code
+ */
+const SCHEMA_MESSAGES = Object.freeze({
+  REQUIRED: 'This field is required',
+  INVALID_EMAIL: 'Please enter a valid email address',
+  INVALID_PHONE: `Please enter a valid phone number (${SCHEMA_LIMITS.MIN_PHONE_DIGITS}-${SCHEMA_LIMITS.MAX_PHONE_DIGITS} digits)`,
+  PHONE_CHARACTERS: 'Phone can only contain numbers, spaces, hyphens, and parentheses',
+  NAME_TOO_SHORT: `Name must be at least ${SCHEMA_LIMITS.MIN_NAME_LENGTH} characters`,
+  NAME_TOO_LONG: `Name cannot exceed ${SCHEMA_LIMITS.MAX_NAME_LENGTH} characters`,
+  MESSAGE_TOO_SHORT: `Message must be at least ${SCHEMA_LIMITS.MIN_MESSAGE_LENGTH} characters`,
+  MESSAGE_TOO_LONG: `Message cannot exceed ${SCHEMA_LIMITS.MAX_MESSAGE_LENGTH} characters`,
+  INVALID_GRADE: 'Please select a valid grade level',
+  INVALID_OPTION: 'Please select a valid option',
+  INVALID_DATE: 'Please choose a valid date and time',
+  NOTES_TOO_LONG: `Notes cannot exceed ${SCHEMA_LIMITS.MAX_NOTES_LENGTH} characters`,
+  TOO_SHORT: 'This entry is too short',
+  TOO_LONG: 'This entry is too long',
+  TOO_FEW_ITEMS: 'Please add more entries',
+  TOO_MANY_ITEMS: 'Too many entries',
+  INVALID_ITEMS: 'Please correct the highlighted entries',
+});
+
+/**
+ * Grade level values accepted by the enrollment inquiry
+ */
+const GRADE_LEVELS = Object.freeze([
+  'pre-k',
+  'kindergarten',
+  'grade-1',
+  'grade-2',
+  'grade-3',
+  'grade-4',
+  'grade-5',
+  'grade-6',
+  'grade-7',
+  'grade-8',
+  'grade-9',
+  'grade-10',
+  'grade-11',
+  'grade-12',
+]);
+
+/**
+ * Consultation preference options
+ */
+const CONTACT_METHODS = Object.freeze(['email', 'phone', 'video']);
+const PREFERRED_TIMES = Object.freeze(['morning', 'afternoon', 'evening']);
+
+const EMAIL_PATTERN = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/;
+const PHONE_PATTERN = /^\+?[\d\s\-().]+$/;
+
+/**
+ * Normalize phone number by removing formatting characters
+ * @param {string} phone - Phone number to normalize
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+  if (typeof phone !== 'string') {
+    return '';
+  }
+  return phone.replace(/\D/g, '');
+}
+
+/**
+ * Format phone number for display (US format)
+ * @param {string} phone - Phone number to format
+ * @returns {string} Formatted phone number
+ */
+function formatPhone(phone) {
+  const digits = normalizePhone(phone);
+
+  if (digits.length === 10) {
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+
+  if (digits.length === 11 && digits[0] === '1') {
+    return `+1 (${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
+  }
+
+  return phone;
+}
+
+/**
+ * Normalization steps applied to raw values before rules run
+ */
+const NORMALIZERS = Object.freeze({
+  trim: (value) => value.trim(),
+  // Keeps tabs and line breaks so multi-line messages survive
+  stripControl: (value) => value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''),
+  collapseWhitespace: (value) => value.replace(/\s+/g, ' '),
+  lowercase: (value) => value.toLowerCase(),
+});
+
+/**
+ * Formatters applied to valid values
+ */
+const FORMATTERS = Object.freeze({
+  phone: formatPhone,
+});
+
+/**
+ * Rule checks. Each returns true when the value violates the rule.
+ */
+const RULES = Object.freeze({
+  minLength: (value, param) => value.length < param,
+  maxLength: (value, param) => value.length > param,
+  pattern: (value, param) => !param.test(value),
+  oneOf: (value, param) => !param.includes(value),
+  minDigits: (value, param) => normalizePhone(value).length < param,
+  maxDigits: (value, param) => normalizePhone(value).length > param,
+  isoDate: (value) => Number.isNaN(Date.parse(value)),
+  emailParts: (value) => {
+    const [localPart, domain, ...rest] = value.split('@');
+    return rest.length > 0 ||
+           !localPart ||
+           !domain ||
+           localPart.length > SCHEMA_LIMITS.MAX_EMAIL_LOCAL_LENGTH ||
+           domain.length > SCHEMA_LIMITS.MAX_EMAIL_DOMAIN_LENGTH;
+  },
+});
+
+/**
+ * Field type presets. A field schema names a type and may override
+ * `required`, `normalize`, `rules`, `format` or `messages`, and may add
+ * `minLength` / `maxLength` limits. `text` is the generic preset for fields
+ * without a more specific type: only the required and length checks apply.
+ */
+const FIELD_TYPES = Object.freeze({
+  text: {
+    normalize: ['stripControl', 'trim'],
+    rules: [],
+  },
+  name: {
+    normalize: ['stripControl', 'trim', 'collapseWhitespace'],
+    rules: [
+      { rule: 'minLength', param: SCHEMA_LIMITS.MIN_NAME_LENGTH, code: 'NAME_TOO_SHORT' },
+      { rule: 'maxLength', param: SCHEMA_LIMITS.MAX_NAME_LENGTH, code: 'NAME_TOO_LONG' },
+    ],
+  },
+  email: {
+    normalize: ['stripControl', 'trim'],
+    rules: [
+      { rule: 'pattern', param: EMAIL_PATTERN, code: 'INVALID_EMAIL' },
+      { rule: 'emailParts', code: 'INVALID_EMAIL' },
+    ],
+    postNormalize: ['lowercase'],
+  },
+  tel: {
+    normalize: ['stripControl', 'trim'],
+    rules: [
+      { rule: 'pattern', param: PHONE_PATTERN, code: 'PHONE_CHARACTERS' },
+      { rule: 'minDigits', param: SCHEMA_LIMITS.MIN_PHONE_DIGITS, code: 'INVALID_PHONE' },
+      { rule: 'maxDigits', param: SCHEMA_LIMITS.MAX_PHONE_DIGITS, code: 'INVALID_PHONE' },
+    ],
+    format: 'phone',
+  },
+  grade: {
+    normalize: ['stripControl', 'trim', 'lowercase'],
+    rules: [
+      { rule: 'oneOf', param: GRADE_LEVELS, code: 'INVALID_GRADE' },
+    ],
+  },
+  message: {
+    normalize: ['stripControl', 'trim'],
+    rules: [
+      { rule: 'minLength', param: SCHEMA_LIMITS.MIN_MESSAGE_LENGTH, code: 'MESSAGE_TOO_SHORT' },
+      { rule: 'maxLength', param: SCHEMA_LIMITS.MAX_MESSAGE_LENGTH, code: 'MESSAGE_TOO_LONG' },
+    ],
+  },
+  choice: {
+    normalize: ['stripControl', 'trim', 'lowercase'],
+    rules: [],
+  },
+  datetime: {
+    normalize: ['stripControl', 'trim'],
+    rules: [
+      { rule: 'isoDate', code: 'INVALID_DATE' },
+    ],
+  },
+  notes: {
+    normalize: ['stripControl', 'trim'],
+    rules: [
+      { rule: 'maxLength', param: SCHEMA_LIMITS.MAX_NOTES_LENGTH, code: 'NOTES_TOO_LONG' },
+    ],
+  },
+});
+
+/**
+ * Alternative type names used by older callers
+ */
+const TYPE_ALIASES = Object.freeze({
+  phone: 'tel',
+});
+
+/**
+ * Fields collected for each student in an enrollment inquiry
+ */
+const STUDENT_SCHEMA = Object.freeze({
+  name: { type: 'name', label: 'Student Name', required: true },
+  gradeLevel: { type: 'grade', label: 'Grade Level', required: true },
+  notes: { type: 'notes', label: 'Learning Notes', required: false },
+});
+
+/**
+ * Contact / enrollment inquiry form schema.
+ * `group` fields hold an array of items validated against `fields`.
+ */
+const CONTACT_SCHEMA = Object.freeze({
+  parentName: { type: 'name', label: 'Parent/Guardian Name', required: true },
+  email: { type: 'email', label: 'Email Address', required: true },
+  phone: { type: 'tel', label: 'Phone Number', required: false },
+  students: {
+    type: 'group',
+    label: 'Students',
+    required: true,
+    minItems: 1,
+    maxItems: SCHEMA_LIMITS.MAX_STUDENTS,
+    fields: STUDENT_SCHEMA,
+    messages: {
+      REQUIRED: 'Please tell us about at least one student',
+      TOO_MANY_ITEMS: `You can include up to ${SCHEMA_LIMITS.MAX_STUDENTS} students per inquiry`,
+    },
+  },
+  message: { type: 'message', label: 'Message', required: true },
+  contactMethod: {
+    type: 'choice',
+    label: 'Preferred Contact Method',
+    required: true,
+    rules: [{ rule: 'oneOf', param: CONTACT_METHODS }],
+    messages: { REQUIRED: 'Please choose how we should contact you' },
+  },
+  preferredTime: {
+    type: 'choice',
+    label: 'Best Time to Reach You',
+    required: false,
+    rules: [{ rule: 'oneOf', param: PREFERRED_TIMES }],
+  },
+  consultationSlot: { type: 'choice', label: 'Consultation Call Time', required: false },
+  consultationStart: { type: 'datetime', label: 'Consultation Start', required: false },
+  consultationEnd: { type: 'datetime', label: 'Consultation End', required: false },
+  consultationTimezone: { type: 'text', label: 'Timezone', required: false, maxLength: 64 },
+});
+
+const GROUP_FIELD_PATTERN = /^([A-Za-z_$][\w$]*)\[(\d+)\]\.([A-Za-z_$][\w$]*)$/;
+
+/**
+ * Validation result type
+ * @typedef {Object} ValidationResult
+ * @property {boolean} isValid - Whether the validation passed
+ * @property {string|null} error - Error message if validation failed
+ * @property {string|null} code - Error code (key of SCHEMA_MESSAGES) if validation failed
+ * @property {*} value - Sanitized/normalized value
+ * @property {Object<string, ValidationResult>[]} [items] - Per-item results for `group` fields
+ */
+
+/**
+ * Merge a field schema with its type preset
+ * @param {Object} fieldSchema - Field schema
+ * @returns {Object} Resolved field definition
+ */
+function resolveFieldSchema(fieldSchema) {
+  const type = TYPE_ALIASES[fieldSchema.type] || fieldSchema.type;
+  const preset = FIELD_TYPES[type] || FIELD_TYPES.text;
+  const lengthRules = [];
+
+  if (fieldSchema.minLength) {
+    lengthRules.push({ rule: 'minLength', param: fieldSchema.minLength, code: 'TOO_SHORT' });
+  }
+
+  if (fieldSchema.maxLength) {
+    lengthRules.push({ rule: 'maxLength', param: fieldSchema.maxLength, code: 'TOO_LONG' });
+  }
+
+  return {
+    ...preset,
+    ...fieldSchema,
+    normalize: fieldSchema.normalize || preset.normalize,
+    rules: [...(fieldSchema.rules || preset.rules), ...lengthRules],
+  };
+}
+
+/**
+ * Apply normalization steps to a raw value
+ * @param {*} value - Raw value
+ * @param {string[]} [steps=[]] - Normalizer names
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value, steps = []) {
+  let normalized = typeof value === 'number' ? String(value) : value;
+
+  if (typeof normalized !== 'string') {
+    return '';
+  }
+
+  steps.forEach((step) => {
+    const normalizer = NORMALIZERS[step];
+
+    if (normalizer) {
+      normalized = normalizer(normalized);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Build a validation result
+ * @param {Object} definition - Resolved field definition
+ * @param {string|null} code - Error code or null when valid
+ * @param {*} value - Normalized value
+ * @returns {ValidationResult} Validation result
+ */
+function createResult(definition, code, value) {
+  if (!code) {
+    return { isValid: true, error: null, code: null, value };
+  }
+
+  const messages = definition.messages || {};
+
+  return {
+    isValid: false,
+    error: messages[code] || SCHEMA_MESSAGES[code] || SCHEMA_MESSAGES.REQUIRED,
+    code,
+    value,
+  };
+}
+
+/**
+ * Validate a single value against a field schema
+ * @param {*} value - Raw field value
+ * @param {Object} [fieldSchema={}] - Field schema (`type`, `required`, overrides)
+ * @returns {ValidationResult} Validation result
+ */
+function validateValue(value, fieldSchema = {}) {
+  const definition = resolveFieldSchema(fieldSchema);
+
+  if (definition.type === 'group') {
+    return validateGroup(value, definition);
+  }
+
+  const normalized = normalizeValue(value, definition.normalize);
+
+  if (!normalized) {
+    return createResult(definition, definition.required === false ? null : 'REQUIRED', normalized);
+  }
+
+  for (const { rule, param, code } of definition.rules) {
+    const check = RULES[rule];
+
+    if (!check) {
+      console.warn('[FormSchema] Unknown rule', rule);
+      continue;
+    }
+
+    if (check(normalized, param)) {
+      return createResult(definition, code || 'INVALID_OPTION', normalized);
+    }
+  }
+
+  let finalValue = normalizeValue(normalized, definition.postNormalize);
+
+  if (definition.format && FORMATTERS[definition.format]) {
+    finalValue = FORMATTERS[definition.format](finalValue);
+  }
+
+  return createResult(definition, null, finalValue);
+}
+
+/**
+ * Validate a repeatable group of items (e.g. one entry per student)
+ * @param {*} value - Array of item objects
+ * @param {Object} definition - Resolved group definition
+ * @returns {ValidationResult} Group result with per-item results in `items`
+ */
+function validateGroup(value, definition) {
+  const entries = Array.isArray(value) ? value : [];
+  const items = entries.map((entry) => validateFields(entry, definition.fields));
+  const values = items.map((results) => Object.fromEntries(
+    Object.entries(results).map(([fieldName, result]) => [fieldName, result.value])
+  ));
+  const minItems = definition.minItems ?? (definition.required === false ? 0 : 1);
+
+  let code = null;
+
+  if (entries.length < minItems) {
+    code = entries.length === 0 ? 'REQUIRED' : 'TOO_FEW_ITEMS';
+  } else if (definition.maxItems && entries.length > definition.maxItems) {
+    code = 'TOO_MANY_ITEMS';
+  } else if (!items.every(allFieldsValid)) {
+    code = 'INVALID_ITEMS';
+  }
+
+  return { ...createResult(definition, code, values), items };
+}
+
+/**
+ * Parse a group item field name such as `students[1].gradeLevel`
+ * @param {string} name - Field name
+ * @returns {{group: string, index: number, field: string}|null} Parts or null for plain names
+ */
+function parseFieldName(name) {
+  const match = GROUP_FIELD_PATTERN.exec(name);
+
+  if (!match) {
+    return null;
+  }
+
+  return { group: match[1], index: Number(match[2]), field: match[3] };
+}
+
+/**
+ * Look up the schema for a plain or group item field name
+ * @param {Object} schema - Form schema
+ * @param {string} name - Field name
+ * @returns {Object|null} Field schema or null
+ */
+function findFieldSchema(schema, name) {
+  const parts = parseFieldName(name);
+
+  if (!parts) {
+    return schema[name] || null;
+  }
+
+  const groupSchema = schema[parts.group];
+  return (groupSchema && groupSchema.fields && groupSchema.fields[parts.field]) || null;
+}
+
+/**
+ * Expand flat form fields (`students[0].name`) into group arrays
+ * @param {Object} flatFields - Field values keyed by field name
+ * @returns {Object} Fields with group items collected into arrays
+ */
+function expandFields(flatFields) {
+  const fields = {};
+  const groups = {};
+
+  Object.entries(flatFields || {}).forEach(([name, value]) => {
+    const parts = parseFieldName(name);
+
+    if (!parts) {
+      fields[name] = value;
+      return;
+    }
+
+    groups[parts.group] = groups[parts.group] || [];
+    groups[parts.group][parts.index] = groups[parts.group][parts.index] || {};
+    groups[parts.group][parts.index][parts.field] = value;
+  });
+
+  Object.entries(groups).forEach(([group, items]) => {
+    fields[group] = items.filter(Boolean);
+  });
+
+  return fields;
+}
+
+/**
+ * Flatten group arrays back into form field names (inverse of expandFields)
+ * @param {Object} fields - Fields that may contain group arrays
+ * @returns {Object} Field values keyed by flat field name
+ */
+function flattenFields(fields) {
+  const flatFields = {};
+
+  Object.entries(fields || {}).forEach(([name, value]) => {
+    const isGroup = Array.isArray(value) && value.every((item) => item && typeof item === 'object');
+
+    if (!isGroup) {
+      flatFields[name] = value;
+      return;
+    }
+
+    value.forEach((item, index) => {
+      Object.entries(item).forEach(([field, itemValue]) => {
+        flatFields[`${name}[${index}].${field}`] = itemValue;
+      });
+    });
+  });
+
+  return flatFields;
+}
+
+/**
+ * Collect error messages from validation results, keyed by flat field name
+ * so group item errors map back to fields like `students[0].name`
+ * @param {Object<string, ValidationResult>} results - Validation results
+ * @returns {Object<string, string>} Error messages keyed by field name
+ */
+function collectErrors(results) {
+  const errors = {};
+
+  Object.entries(results).forEach(([fieldName, result]) => {
+    if (result.isValid) {
+      return;
+    }
+
+    if (result.code !== 'INVALID_ITEMS') {
+      errors[fieldName] = result.error;
+      return;
+    }
+
+    result.items.forEach((itemResults, index) => {
+      Object.entries(collectErrors(itemResults)).forEach(([field, error]) => {
+        errors[`${fieldName}[${index}].${field}`] = error;
+      });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate multiple fields against a schema
+ * @param {Object} fields - Field values keyed by field name
+ * @param {Object} [schema=CONTACT_SCHEMA] - Field schemas keyed by field name
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Only validate the fields provided
+ * @returns {Object<string, ValidationResult>} Validation results keyed by field name
+ */
+function validateFields(fields, schema = CONTACT_SCHEMA, options = {}) {
+  const { partial = false } = options;
+  const values = fields || {};
+  const results = {};
+
+  Object.keys(values).forEach((fieldName) => {
+    if (!schema[fieldName]) {
+      console.warn('[FormSchema] No schema found for field', fieldName);
+    }
+  });
+
+  const fieldNames = partial
+    ? Object.keys(values).filter((fieldName) => schema[fieldName])
+    : Object.keys(schema);
+
+  fieldNames.forEach((fieldName) => {
+    results[fieldName] = validateValue(values[fieldName], schema[fieldName]);
+  });
+
+  return results;
+}
+
+/**
+ * Check if all validation results are valid
+ * @param {Object<string, ValidationResult>} results - Validation results
+ * @returns {boolean} True if all valid
+ */
+function allFieldsValid(results) {
+  return Object.values(results).every((result) => result.isValid);
+}
+
+const FormSchema = Object.freeze({
+  CONTACT_SCHEMA,
+  STUDENT_SCHEMA,
+  FIELD_TYPES,
+  GRADE_LEVELS,
+  CONTACT_METHODS,
+  PREFERRED_TIMES,
+  LIMITS: SCHEMA_LIMITS,
+  MESSAGES: SCHEMA_MESSAGES,
+  validateValue,
+  validateFields,
+  isValid: allFieldsValid,
+  collectErrors,
+  getFieldSchema: findFieldSchema,
+  parseFieldName,
+  expandFields,
+  flattenFields,
+  normalizeValue,
+  normalizePhone,
+  formatPhone,
+});
+
+globalThis.FormSchema = FormSchema;
+
+export { FormSchema };
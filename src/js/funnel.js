@@ -0,0 +1,266 @@
+/**
+ * HomeschoolHub Conversion Funnel Module
+ *
+ * Correlates the path from a hero CTA click to a submitted inquiry under one
+ * session ID kept in sessionStorage. Each step is reported once per session
+ * as `funnel_step`, per-field validation failures as
+ * `funnel_validation_failure`, and a form that was started but not submitted
+ * is reported as `funnel_abandon` on pagehide.
+ *
+ * Steps are only recorded with analytics consent. Exported as `Funnel` and
+ * exposed as `window.Funnel`.
+ *
+ * @module funnel
+ * @version 1.0.0
+ */
+
+import { Analytics } from './analytics.js';
+
+/**
+ * Funnel configuration
+ */
+const FUNNEL_CONFIG = Object.freeze({
+  STORAGE_KEY: 'homeschoolhub:funnel',
+  STEPS: Object.freeze(['cta_click', 'form_start', 'form_submit', 'form_success']),
+});
+
+/**
+ * Funnel state
+ */
+const funnelState = {
+  session: null,
+  abandonReported: false,
+  initialized: false,
+};
+
+/**
+ * Funnel tracker
+ */
+const Funnel = {
+  STEPS: FUNNEL_CONFIG.STEPS,
+
+  /**
+   * Steps are analytics data, so nothing is stored or sent without consent
+   * @returns {boolean} True if the funnel may record
+   */
+  isEnabled() {
+    return Analytics.hasConsent();
+  },
+
+  /**
+   * Create a session ID
+   * @returns {string} Session ID
+   */
+  createSessionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  },
+
+  /**
+   * Get the current session, restoring it from sessionStorage or starting one
+   * @returns {Object} Session
+   */
+  getSession() {
+    if (funnelState.session) {
+      return funnelState.session;
+    }
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(FUNNEL_CONFIG.STORAGE_KEY));
+
+      if (stored && stored.id && stored.steps) {
+        funnelState.session = stored;
+        return stored;
+      }
+    } catch (error) {
+      console.warn('[Funnel] Could not read stored session', error);
+    }
+
+    funnelState.session = {
+      id: this.createSessionId(),
+      startedAt: Date.now(),
+      steps: {},
+      touchedFields: [],
+      failedFields: {},
+      lastField: null,
+    };
+
+    return funnelState.session;
+  },
+
+  /**
+   * Persist the current session
+   */
+  saveSession() {
+    try {
+      sessionStorage.setItem(FUNNEL_CONFIG.STORAGE_KEY, JSON.stringify(funnelState.session));
+    } catch (error) {
+      console.warn('[Funnel] Could not store session', error);
+    }
+  },
+
+  /**
+   * Get the furthest step reached in this session
+   * @returns {string|null} Step name or null
+   */
+  getLastStep() {
+    const session = this.getSession();
+    const reached = FUNNEL_CONFIG.STEPS.filter((step) => session.steps[step]);
+
+    return reached.length > 0 ? reached[reached.length - 1] : null;
+  },
+
+  /**
+   * Record a funnel step. Each step is reported once per session.
+   * @param {string} step - Step name from `FUNNEL_CONFIG.STEPS`
+   * @param {Object} [data={}] - Extra step properties (`cta_id`, `field`)
+   */
+  step(step, data = {}) {
+    const stepIndex = FUNNEL_CONFIG.STEPS.indexOf(step);
+
+    if (stepIndex === -1) {
+      console.warn('[Funnel] Unknown step', { step });
+      return;
+    }
+
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const session = this.getSession();
+
+    if (session.steps[step]) {
+      return;
+    }
+
+    session.steps[step] = Date.now();
+    this.saveSession();
+
+    Analytics.track('funnel_step', {
+      session_id: session.id,
+      step,
+      step_index: stepIndex,
+      elapsed_ms: session.steps[step] - session.startedAt,
+      ...data,
+    });
+  },
+
+  /**
+   * Record a form field interaction; the first one starts the form step
+   * @param {string} fieldName - Field name
+   */
+  fieldInteraction(fieldName) {
+    if (!fieldName || !this.isEnabled()) {
+      return;
+    }
+
+    const session = this.getSession();
+
+    if (!session.touchedFields.includes(fieldName)) {
+      session.touchedFields.push(fieldName);
+    }
+    session.lastField = fieldName;
+    this.saveSession();
+
+    this.step('form_start', { field: fieldName });
+  },
+
+  /**
+   * Record the fields that failed a full form validation
+   * @param {string[]} fieldNames - Invalid field names
+   */
+  validationFailed(fieldNames) {
+    if (!Array.isArray(fieldNames) || fieldNames.length === 0 || !this.isEnabled()) {
+      return;
+    }
+
+    const session = this.getSession();
+
+    fieldNames.forEach((field) => {
+      session.failedFields[field] = (session.failedFields[field] || 0) + 1;
+
+      Analytics.track('funnel_validation_failure', {
+        session_id: session.id,
+        field,
+        failure_count: session.failedFields[field],
+      });
+    });
+
+    this.saveSession();
+  },
+
+  /**
+   * Report a started but unfinished form when the page goes away
+   */
+  reportAbandonment() {
+    if (funnelState.abandonReported || !this.isEnabled()) {
+      return;
+    }
+
+    const session = this.getSession();
+
+    if (!session.steps.form_start || session.steps.form_success) {
+      return;
+    }
+
+    funnelState.abandonReported = true;
+
+    const lastStep = this.getLastStep();
+    const failedFields = Object.keys(session.failedFields);
+
+    Analytics.track('funnel_abandon', {
+      session_id: session.id,
+      last_step: lastStep,
+      last_step_index: FUNNEL_CONFIG.STEPS.indexOf(lastStep),
+      elapsed_ms: Date.now() - session.startedAt,
+      last_field: session.lastField || undefined,
+      fields_touched: session.touchedFields.length,
+      failed_fields: failedFields.length > 0 ? failedFields.join(',') : undefined,
+    });
+
+    // The bus flushes on its own pagehide listener, which has already run
+    Analytics.flush({ beacon: true });
+  },
+
+  /**
+   * Register the abandonment listener
+   */
+  init() {
+    if (funnelState.initialized) {
+      return;
+    }
+
+    funnelState.initialized = true;
+
+    window.addEventListener('pagehide', () => this.reportAbandonment());
+
+    // A page restored from the back/forward cache can be abandoned again
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) {
+        funnelState.abandonReported = false;
+      }
+    });
+
+    document.addEventListener('consent:change', (event) => {
+      if (!event.detail.choices.analytics) {
+        funnelState.session = null;
+        try {
+          sessionStorage.removeItem(FUNNEL_CONFIG.STORAGE_KEY);
+        } catch (error) {
+          console.warn('[Funnel] Could not clear session', error);
+        }
+      }
+    });
+  },
+};
+
+Funnel.init();
+
+if (typeof window !== 'undefined') {
+  window.Funnel = Funnel;
+}
+
+export { Funnel };
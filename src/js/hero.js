@@ -9,7 +9,9 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { Analytics } from './analytics.js';
+import { Funnel } from './funnel.js';
+import { LazyLoader } from './performance.js';
 
 /**
  * Hero section configuration
@@ -46,28 +48,12 @@ const heroState = {
 };
 
 /**
- * Log analytics event with structured data
+ * Send an analytics event through the shared event bus
  * @param {string} eventName - Event name
  * @param {Object} eventData - Event metadata
  */
 function logAnalyticsEvent(eventName, eventData = {}) {
-  const timestamp = new Date().toISOString();
-  const event = {
-    event: eventName,
-    timestamp,
-    section: 'hero',
-    ...eventData,
-  };
-
-  console.log('[Hero Analytics]', JSON.stringify(event));
-
-  if (window.dataLayer) {
-    window.dataLayer.push(event);
-  }
-
-  if (typeof window.gtag === 'function') {
-    window.gtag('event', eventName, eventData);
-  }
+  Analytics.track(eventName, eventData);
 }
 
 /**
@@ -93,13 +79,14 @@ function trackCTAClick(event, button) {
     button_id: buttonId,
     button_href: buttonHref,
     click_count: clickCount,
-    timestamp: Date.now(),
     viewport_width: window.innerWidth,
     viewport_height: window.innerHeight,
   };
 
   logAnalyticsEvent(ANALYTICS_EVENTS.CTA_CLICK, eventData);
 
+  Funnel.step('cta_click', { cta_id: buttonId });
+
   console.log(`[Hero] CTA clicked: ${buttonText} (${clickCount} times)`);
 }
 
@@ -214,8 +201,10 @@ function lazyLoadHeroImage(imageElement) {
     const loadTime = performance.now() - loadStartTime;
 
     heroState.imageLoaded = true;
-    imageElement.classList.add('loaded');
-    imageElement.classList.remove('loading');
+    LazyLoader.whenDecoded(imageElement).then(() => {
+      imageElement.classList.add('loaded');
+      imageElement.classList.remove('loading');
+    });
 
     logAnalyticsEvent(ANALYTICS_EVENTS.IMAGE_LOADED, {
       load_time_ms: Math.round(loadTime),
@@ -252,6 +241,8 @@ function lazyLoadHeroImage(imageElement) {
 
   imageElement.classList.add('loading');
 
+  LazyLoader.loadPictureSources(imageElement);
+
   if (dataSrcset) {
     imageElement.srcset = dataSrcset;
   }
@@ -1,14 +1,27 @@
 /**
  * HomeschoolHub Landing Page - Main JavaScript Module
  * 
- * Provides core utilities for DOM manipulation, event handling, and form validation.
+ * Provides core utilities for DOM manipulation and event handling. Form
+ * validation and submission belong to contact.js.
  * Implements progressive enhancement with graceful degradation for older browsers.
  * 
+ * This is the single entry point of the page's module graph. Modules needed on
+ * first paint are imported statically; the testimonials, contact form and FAQ
+ * sections are imported only when they approach the viewport, so the build
+ * splits them into their own chunks. Section stylesheets (`data-stylesheet`)
+ * load the same way instead of blocking first render.
+ * 
  * @module main
  * @version 1.0.0
  */
 
-'use strict';
+import './consent.js';
+import './performance.js';
+import './analytics.js';
+import './attribution.js';
+import './seo.js';
+import './hero.js';
+import './curriculum.js';
 
 /**
  * Application state and configuration
@@ -17,9 +30,47 @@ const APP_CONFIG = Object.freeze({
   DEBOUNCE_DELAY: 300,
   SCROLL_THRESHOLD: 100,
   ANIMATION_DURATION: 300,
-  FORM_VALIDATION_DELAY: 500,
+  LAZY_SECTION_MARGIN: '600px 0px',
 });
 
+/**
+ * Sections whose modules and stylesheets load on approach. `hashPrefix` loads
+ * a section at once when the page opens on one of its anchors. Sections
+ * without `load` only have stylesheets to load.
+ */
+const LAZY_SECTIONS = Object.freeze([
+  {
+    name: 'curriculum',
+    selector: '#curriculum',
+    hashPrefix: '#curriculum',
+  },
+  {
+    name: 'testimonials',
+    selector: '#testimonials',
+    hashPrefix: '#testimonials',
+    load: () => import('./testimonials.js'),
+  },
+  {
+    name: 'contact',
+    selector: '#contact',
+    hashPrefix: '#contact',
+    // form-schema.js is imported on its own so the build keeps it in a
+    // separate chunk instead of folding it into contact.js
+    load: () => Promise.all([
+      import('./form-schema.js'),
+      import('./contact.js'),
+      import('./enrollment-wizard.js'),
+      import('./consultation-scheduler.js'),
+    ]),
+  },
+  {
+    name: 'faq',
+    selector: '#faq',
+    hashPrefix: '#faq',
+    load: () => import('./faq.js'),
+  },
+]);
+
 /**
  * DOM utility functions for safe element selection and manipulation
  */
@@ -315,177 +366,6 @@ const Utils = {
   },
 };
 
-/**
- * Form validation utilities
- */
-const Validation = {
-  /**
-   * Email validation regex
-   */
-  EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-
-  /**
-   * Phone validation regex (US format)
-   */
-  PHONE_REGEX: /^[\d\s\-\(\)]+$/,
-
-  /**
-   * Validate email address
-   * @param {string} email - Email to validate
-   * @returns {boolean} True if valid
-   */
-  isValidEmail(email) {
-    return typeof email === 'string' && this.EMAIL_REGEX.test(email.trim());
-  },
-
-  /**
-   * Validate phone number
-   * @param {string} phone - Phone to validate
-   * @returns {boolean} True if valid
-   */
-  isValidPhone(phone) {
-    if (!phone) return true;
-    const cleaned = phone.replace(/\D/g, '');
-    return cleaned.length >= 10 && this.PHONE_REGEX.test(phone);
-  },
-
-  /**
-   * Validate required field
-   * @param {string} value - Value to validate
-   * @returns {boolean} True if valid
-   */
-  isRequired(value) {
-    return typeof value === 'string' && value.trim().length > 0;
-  },
-
-  /**
-   * Show error message for field
-   * @param {Element} field - Form field
-   * @param {string} message - Error message
-   */
-  showError(field, message) {
-    if (!field) return;
-
-    const errorId = field.getAttribute('aria-describedby');
-    const errorElement = errorId ? DOM.query(`#${errorId}`) : null;
-
-    DOM.addClass(field, 'error');
-    DOM.setAttribute(field, 'aria-invalid', 'true');
-
-    if (errorElement) {
-      errorElement.textContent = message;
-      DOM.addClass(errorElement, 'visible');
-    }
-  },
-
-  /**
-   * Clear error message for field
-   * @param {Element} field - Form field
-   */
-  clearError(field) {
-    if (!field) return;
-
-    const errorId = field.getAttribute('aria-describedby');
-    const errorElement = errorId ? DOM.query(`#${errorId}`) : null;
-
-    DOM.removeClass(field, 'error');
-    DOM.removeAttribute(field, 'aria-invalid');
-
-    if (errorElement) {
-      errorElement.textContent = '';
-      DOM.removeClass(errorElement, 'visible');
-    }
-  },
-
-  /**
-   * Validate form field
-   * @param {Element} field - Form field to validate
-   * @returns {boolean} True if valid
-   */
-  validateField(field) {
-    if (!field) return false;
-
-    const value = field.value;
-    const type = field.type;
-    const required = field.hasAttribute('required');
-
-    this.clearError(field);
-
-    if (required && !this.isRequired(value)) {
-      this.showError(field, 'This field is required');
-      return false;
-    }
-
-    if (value && type === 'email' && !this.isValidEmail(value)) {
-      this.showError(field, 'Please enter a valid email address');
-      return false;
-    }
-
-    if (value && type === 'tel' && !this.isValidPhone(value)) {
-      this.showError(field, 'Please enter a valid phone number');
-      return false;
-    }
-
-    return true;
-  },
-
-  /**
-   * Validate entire form
-   * @param {HTMLFormElement} form - Form to validate
-   * @returns {boolean} True if all fields valid
-   */
-  validateForm(form) {
-    if (!form) return false;
-
-    const fields = DOM.queryAll('input[required], textarea[required], select[required]', form);
-    let isValid = true;
-
-    fields.forEach((field) => {
-      if (!this.validateField(field)) {
-        isValid = false;
-      }
-    });
-
-    return isValid;
-  },
-};
-
-/**
- * Initialize SEO optimization module
- */
-function initSEO() {
-  try {
-    if (typeof window.SEO !== 'undefined' && typeof window.SEO.initializeDefaultSEO === 'function') {
-      console.log('[Main] SEO module initialized successfully');
-    } else {
-      console.warn('[Main] SEO module not loaded');
-    }
-  } catch (error) {
-    console.error('[Main] SEO initialization failed', error);
-  }
-}
-
-/**
- * Initialize performance optimization module
- */
-function initPerformance() {
-  try {
-    if (typeof window.LazyLoader !== 'undefined') {
-      console.log('[Main] Performance module initialized successfully');
-    } else {
-      console.warn('[Main] Performance module not loaded');
-    }
-
-    if (typeof window.WebVitals !== 'undefined') {
-      console.log('[Main] Web Vitals tracking initialized');
-    } else {
-      console.warn('[Main] Web Vitals module not loaded');
-    }
-  } catch (error) {
-    console.error('[Main] Performance initialization failed', error);
-  }
-}
-
 /**
  * Initialize hero section functionality with error handling
  */
@@ -549,63 +429,106 @@ function initCurriculumSection() {
 }
 
 /**
- * Initialize testimonials section functionality
+ * Import a section's modules and load its stylesheets once. The modules
+ * initialize themselves on import. A failed load clears `loading` so the
+ * next call tries again.
+ * @param {Object} section - Entry from LAZY_SECTIONS
+ * @returns {Promise<void>}
  */
-function initTestimonialsSection() {
-  try {
-    const testimonialsSection = DOM.query('.testimonials-section, [data-testimonials-section]');
-    
-    if (!testimonialsSection) {
-      console.warn('[Main] Testimonials section not found in DOM');
-      return;
-    }
+function loadSection(section) {
+  if (!section.loading) {
+    const stylesheets = [section.element, ...DOM.queryAll('[data-stylesheet]', section.element)]
+      .map((element) => element.getAttribute('data-stylesheet'))
+      .filter(Boolean);
+
+    section.loading = Promise.all([
+      section.load ? section.load() : null,
+      ...stylesheets.map(loadStylesheet),
+    ])
+      .then(() => {
+        console.log(`[Main] ${section.name} section loaded`);
+      })
+      .catch((error) => {
+        section.loading = null;
+        console.error(`[Main] Failed to load ${section.name} section`, error);
+      });
+  }
 
-    const carouselContainer = DOM.query('[data-testimonials-carousel]', testimonialsSection);
-    
-    if (!carouselContainer) {
-      console.warn('[Main] Testimonials carousel container not found');
-      return;
-    }
+  return section.loading;
+}
 
-    if (typeof window.initTestimonialsCarousel === 'function') {
-      const carousel = window.initTestimonialsCarousel();
-      
-      if (carousel) {
-        console.log('[Main] Testimonials carousel initialized successfully');
-      } else {
-        console.warn('[Main] Testimonials carousel initialization returned null');
-      }
-    } else {
-      console.warn('[Main] Testimonials carousel module not loaded');
-    }
+/**
+ * Load a stylesheet once
+ * @param {string} href - Stylesheet URL
+ * @returns {Promise<void>} Resolves when the stylesheet has loaded
+ */
+function loadStylesheet(href) {
+  const existing = DOM.queryAll('link[rel="stylesheet"]').find((link) => link.getAttribute('href') === href);
 
-    console.log('[Main] Testimonials section functionality initialized');
-  } catch (error) {
-    console.error('[Main] Testimonials section initialization failed', error);
+  if (existing) {
+    return Promise.resolve();
   }
+
+  return new Promise((resolve, reject) => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.addEventListener('load', () => resolve(), { once: true });
+    link.addEventListener('error', () => {
+      link.remove();
+      reject(new Error(`Failed to load stylesheet ${href}`));
+    }, { once: true });
+    document.head.appendChild(link);
+  });
 }
 
 /**
- * Initialize contact form functionality
+ * Load section modules as their sections approach the viewport, or at once
+ * when the page opens on one of their anchors
  */
-function initContactForm() {
-  try {
-    const contactForm = DOM.query('#contact-form');
-    
-    if (!contactForm) {
-      console.warn('[Main] Contact form not found in DOM');
-      return;
-    }
+function initLazySections() {
+  const sections = LAZY_SECTIONS
+    .map((config) => ({ ...config, element: DOM.query(config.selector), loading: null }))
+    .filter((section) => {
+      if (!section.element) {
+        console.warn(`[Main] ${section.name} section not found in DOM`);
+      }
+      return !!section.element;
+    });
 
-    if (typeof window.initContactForm === 'function') {
-      window.initContactForm();
-      console.log('[Main] Contact form initialized successfully');
-    } else {
-      console.warn('[Main] Contact form module not loaded');
-    }
-  } catch (error) {
-    console.error('[Main] Contact form initialization failed', error);
+  const hash = window.location.hash;
+  sections
+    .filter((section) => hash && hash.startsWith(section.hashPrefix))
+    .forEach(loadSection);
+
+  if (!('IntersectionObserver' in window)) {
+    sections.forEach(loadSection);
+    return;
   }
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+
+      const targetSections = sections.filter((section) => section.target === entry.target);
+
+      Promise.all(targetSections.map(loadSection)).then(() => {
+        // A failed load clears `loading`; keep watching so the next approach retries it
+        if (targetSections.every((section) => section.loading)) {
+          observer.unobserve(entry.target);
+        }
+      });
+    });
+  }, { rootMargin: APP_CONFIG.LAZY_SECTION_MARGIN });
+
+  // Sections opened from an anchor are watched too, so a failed load is retried
+  sections.forEach((section) => {
+    // A hidden section has no box to intersect, so watch the element before it
+    section.target = section.element.hidden
+      ? section.element.previousElementSibling || section.element.parentElement
+      : section.element;
+    observer.observe(section.target);
+  });
 }
 
 /**
@@ -624,44 +547,6 @@ function initSmoothScroll() {
   });
 }
 
-/**
- * Form submission handler
- */
-function initFormHandling() {
-  const form = DOM.query('.contact-form');
-  
-  if (!form) return;
-
-  const fields = DOM.queryAll('input, textarea, select', form);
-  
-  fields.forEach((field) => {
-    const validateDebounced = Utils.debounce(() => {
-      Validation.validateField(field);
-    }, APP_CONFIG.FORM_VALIDATION_DELAY);
-
-    Events.on(field, 'blur', () => {
-      Validation.validateField(field);
-    });
-
-    Events.on(field, 'input', validateDebounced);
-  });
-
-  Events.on(form, 'submit', (e) => {
-    e.preventDefault();
-
-    if (!Validation.validateForm(form)) {
-      const firstError = DOM.query('.error', form);
-      if (firstError) {
-        firstError.focus();
-      }
-      return;
-    }
-
-    console.log('Form validation passed - ready for submission');
-    Events.trigger(form, 'formValidated', { form });
-  });
-}
-
 /**
  * Scroll-based header behavior
  */
@@ -670,8 +555,6 @@ function initHeaderBehavior() {
   
   if (!header) return;
 
-  let lastScroll = 0;
-
   const handleScroll = Utils.throttle(() => {
     const currentScroll = window.pageYOffset;
 
@@ -680,8 +563,6 @@ function initHeaderBehavior() {
     } else {
       DOM.removeClass(header, 'scrolled');
     }
-
-    lastScroll = currentScroll;
   }, 100);
 
   Events.on(window, 'scroll', handleScroll, { passive: true });
@@ -715,13 +596,9 @@ function init() {
     initSkipLink();
     initSmoothScroll();
     initHeaderBehavior();
-    initFormHandling();
     initHeroSection();
     initCurriculumSection();
-    initTestimonialsSection();
-    initContactForm();
-    initSEO();
-    initPerformance();
+    initLazySections();
 
     console.log('HomeschoolHub application initialized successfully');
   } catch (error) {
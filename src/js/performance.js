@@ -4,7 +4,8 @@
  * Implements comprehensive performance optimization utilities including:
  * - Intersection Observer-based lazy loading for images and iframes
  * - Critical CSS loading and resource prioritization
- * - Web Vitals tracking (LCP, FID, CLS, FCP, TTFB)
+ * - Web Vitals tracking (LCP, FID, INP, CLS, FCP, TTFB) with sampled real-user reporting
+ * - Long Animation Frame attribution for slow interactions
  * - Resource preloading and prefetching utilities
  * - Performance monitoring and reporting
  * 
@@ -12,7 +13,7 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { Consent } from './consent.js';
 
 /**
  * Performance configuration constants
@@ -24,6 +25,13 @@ const PERFORMANCE_CONFIG = Object.freeze({
   PRELOAD_DELAY: 100,
   METRICS_BUFFER_SIZE: 100,
   VITALS_REPORT_INTERVAL: 30000,
+  VITALS_ENDPOINT_META: 'vitals-endpoint',
+  VITALS_SAMPLE_RATE_META: 'vitals-sample-rate',
+  VITALS_DEFAULT_SAMPLE_RATE: 0.1,
+  VITALS_SESSION_KEY: 'homeschoolhub:vitals-session',
+  INP_DURATION_THRESHOLD: 40,
+  INP_MAX_INTERACTIONS: 50,
+  LOAF_MAX_ENTRIES: 10,
   IMAGE_QUALITY_THRESHOLD: 0.8,
   OBSERVER_DISCONNECT_DELAY: 100,
 });
@@ -39,10 +47,15 @@ const performanceMetrics = {
   vitals: {
     lcp: null,
     fid: null,
+    inp: null,
     cls: null,
     fcp: null,
     ttfb: null,
   },
+  interactions: new Map(),
+  interactionCount: 0,
+  inpAttribution: null,
+  longAnimationFrames: [],
   customMetrics: new Map(),
 };
 
@@ -84,6 +97,7 @@ const LazyLoader = {
 
       this.observeImages();
       this.observeIframes();
+      this.revealLoadingPlaceholders();
 
       console.log('[Performance] Lazy loading initialized', {
         imageCount: document.querySelectorAll('img[data-src], img[data-srcset]').length,
@@ -125,11 +139,48 @@ const LazyLoader = {
   observeImages() {
     const images = document.querySelectorAll('img[data-src], img[data-srcset]');
     
-    images.forEach((img) => {
-      if (this.observer && !this.observedElements.has(img)) {
-        this.observer.observe(img);
-        this.observedElements.add(img);
+    images.forEach((img) => this.observe(img));
+  },
+
+  /**
+   * Observe an image added after initialization, e.g. one rendered from data.
+   * Loads it at once when there is no observer.
+   * @param {HTMLImageElement} img - Image with data-src or data-srcset
+   */
+  observe(img) {
+    if (!this.observer) {
+      this.loadImage(img);
+      return;
+    }
+
+    if (!this.observedElements.has(img)) {
+      this.observer.observe(img);
+      this.observedElements.add(img);
+    }
+  },
+
+  /**
+   * Blur up eagerly loaded images that have a build-generated placeholder:
+   * an image still loading is marked `loading` (blurred over its placeholder
+   * background) until it has decoded. Images that already finished are left
+   * alone so nothing flashes.
+   */
+  revealLoadingPlaceholders() {
+    document.querySelectorAll('img[data-placeholder]:not([data-src]):not([data-srcset])').forEach((img) => {
+      if (img.complete) {
+        return;
       }
+
+      const reveal = () => {
+        this.whenDecoded(img).then(() => {
+          img.classList.remove('loading');
+          img.classList.add('loaded');
+        });
+      };
+
+      img.classList.add('loading');
+      img.addEventListener('load', reveal, { once: true });
+      img.addEventListener('error', () => img.classList.remove('loading'), { once: true });
     });
   },
 
@@ -161,14 +212,17 @@ const LazyLoader = {
     }
 
     const handleLoad = () => {
-      img.classList.add('loaded');
-      img.removeAttribute('data-src');
-      img.removeAttribute('data-srcset');
-      performanceMetrics.lazyLoadedImages++;
-      
-      console.log('[Performance] Image loaded successfully', {
-        src: img.src,
-        totalLoaded: performanceMetrics.lazyLoadedImages,
+      // Swap out the blurred placeholder only once the image can paint at once
+      this.whenDecoded(img).then(() => {
+        img.classList.add('loaded');
+        img.removeAttribute('data-src');
+        img.removeAttribute('data-srcset');
+        performanceMetrics.lazyLoadedImages++;
+
+        console.log('[Performance] Image loaded successfully', {
+          src: img.src,
+          totalLoaded: performanceMetrics.lazyLoadedImages,
+        });
       });
     };
 
@@ -183,6 +237,8 @@ const LazyLoader = {
     img.addEventListener('load', handleLoad, { once: true });
     img.addEventListener('error', handleError, { once: true });
 
+    this.loadPictureSources(img);
+
     if (dataSrcset) {
       img.srcset = dataSrcset;
     }
@@ -192,6 +248,38 @@ const LazyLoader = {
     }
   },
 
+  /**
+   * Wait until an image is decoded. Resolves (never rejects) right away where
+   * `decode()` is unsupported, and when decoding fails.
+   * @param {HTMLImageElement} img - Loaded image
+   * @returns {Promise<void>}
+   */
+  whenDecoded(img) {
+    if (typeof img.decode !== 'function') {
+      return Promise.resolve();
+    }
+
+    return img.decode().catch(() => {});
+  },
+
+  /**
+   * Promote `data-srcset` on the `<source>` elements of an image's `<picture>`,
+   * so the AVIF/WebP candidates are only fetched along with the image
+   * @param {HTMLImageElement} img - Image element being loaded
+   */
+  loadPictureSources(img) {
+    const picture = img.parentElement;
+
+    if (!picture || picture.tagName !== 'PICTURE') {
+      return;
+    }
+
+    picture.querySelectorAll('source[data-srcset]').forEach((source) => {
+      source.srcset = source.getAttribute('data-srcset');
+      source.removeAttribute('data-srcset');
+    });
+  },
+
   /**
    * Load iframe with proper error handling
    * @param {HTMLIFrameElement} iframe - Iframe element to load
@@ -419,15 +507,22 @@ const ResourcePreloader = {
   },
 
   /**
-   * DNS prefetch for external domains
+   * DNS prefetch for external domains. Lookups reveal the visitor to a third
+   * party, so they wait for consent in the given category.
    * @param {string[]} domains - Domains to prefetch
+   * @param {string} [category='analytics'] - Consent category the domains belong to
    */
-  dnsPrefetch(domains) {
+  dnsPrefetch(domains, category = 'analytics') {
     if (!Array.isArray(domains) || domains.length === 0) {
       console.warn('[Performance] No domains provided for DNS prefetch');
       return;
     }
 
+    if (!Consent.has(category)) {
+      Consent.whenGranted(category, () => this.dnsPrefetch(domains, category));
+      return;
+    }
+
     domains.forEach((domain) => {
       try {
         const link = document.createElement('link');
@@ -443,6 +538,189 @@ const ResourcePreloader = {
   },
 };
 
+/**
+ * Real-user Web Vitals reporting.
+ * Enabled by `<meta name="vitals-endpoint" content="...">`; the share of
+ * sessions reported comes from `<meta name="vitals-sample-rate" content="0.1">`.
+ * Metrics are buffered (latest value per metric) and sent with
+ * `navigator.sendBeacon` when the page is hidden. Needs analytics consent.
+ */
+const VitalsReporter = {
+  endpoint: null,
+  session: null,
+  buffer: [],
+  flushTimer: null,
+  initialized: false,
+
+  /**
+   * Read the sample rate, clamped to 0-1
+   * @returns {number} Sample rate
+   */
+  getSampleRate() {
+    const meta = document.querySelector(`meta[name="${PERFORMANCE_CONFIG.VITALS_SAMPLE_RATE_META}"]`);
+    const rate = meta ? Number(meta.content) : NaN;
+
+    if (!Number.isFinite(rate)) {
+      return PERFORMANCE_CONFIG.VITALS_DEFAULT_SAMPLE_RATE;
+    }
+
+    return Math.min(1, Math.max(0, rate));
+  },
+
+  /**
+   * Decide once per session whether it is reported
+   * @returns {{id: string, sampled: boolean}} Session
+   */
+  getSession() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(PERFORMANCE_CONFIG.VITALS_SESSION_KEY));
+
+      if (stored && stored.id && typeof stored.sampled === 'boolean') {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('[Performance] Could not read vitals session', error);
+    }
+
+    const session = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+      sampled: Math.random() < this.getSampleRate(),
+    };
+
+    try {
+      sessionStorage.setItem(PERFORMANCE_CONFIG.VITALS_SESSION_KEY, JSON.stringify(session));
+    } catch (error) {
+      console.warn('[Performance] Could not store vitals session', error);
+    }
+
+    return session;
+  },
+
+  /**
+   * Check whether this page reports vitals
+   * @returns {boolean} True if reporting
+   */
+  isActive() {
+    return !!this.endpoint && !!this.session && this.session.sampled
+      && Consent.has('analytics');
+  },
+
+  /**
+   * Classify the device by viewport width
+   * @returns {string} mobile, tablet or desktop
+   */
+  getDeviceClass() {
+    const width = window.innerWidth;
+
+    if (width < 768) {
+      return 'mobile';
+    }
+
+    return width < 1024 ? 'tablet' : 'desktop';
+  },
+
+  /**
+   * Get the effective connection type
+   * @returns {string} Connection type or `unknown`
+   */
+  getConnectionType() {
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    return (connection && connection.effectiveType) || 'unknown';
+  },
+
+  /**
+   * Buffer a metric value, replacing an unsent value for the same metric
+   * @param {string} name - Metric name
+   * @param {number} value - Metric value
+   */
+  record(name, value) {
+    if (!this.isActive() || typeof value !== 'number' || !Number.isFinite(value)) {
+      return;
+    }
+
+    this.buffer = this.buffer.filter((metric) => metric.name !== name);
+    this.buffer.push({ name, value: Math.round(value * 1000) / 1000, recordedAt: Date.now() });
+
+    if (this.buffer.length > PERFORMANCE_CONFIG.METRICS_BUFFER_SIZE) {
+      this.buffer.splice(0, this.buffer.length - PERFORMANCE_CONFIG.METRICS_BUFFER_SIZE);
+    }
+  },
+
+  /**
+   * Send buffered metrics
+   * @param {Object} [options={}] - Flush options
+   * @param {boolean} [options.beacon=false] - Use `navigator.sendBeacon` (page is going away)
+   */
+  flush(options = {}) {
+    if (!this.isActive() || this.buffer.length === 0) {
+      return;
+    }
+
+    const metrics = this.buffer.splice(0);
+    const body = JSON.stringify({
+      sessionId: this.session.id,
+      page: window.location.pathname,
+      connection: this.getConnectionType(),
+      deviceClass: this.getDeviceClass(),
+      metrics,
+      sentAt: new Date().toISOString(),
+    });
+
+    // text/plain keeps the beacon a simple request, so a cross-origin collector needs no preflight
+    if (options.beacon && navigator.sendBeacon) {
+      const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+      if (navigator.sendBeacon(this.endpoint, blob)) {
+        return;
+      }
+    }
+
+    fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+      body,
+      keepalive: true,
+    }).catch((error) => {
+      console.warn('[Performance] Vitals report failed', error);
+    });
+  },
+
+  /**
+   * Read the endpoint, make the sampling decision and register flush listeners
+   */
+  init() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.initialized = true;
+
+    const endpointMeta = document.querySelector(`meta[name="${PERFORMANCE_CONFIG.VITALS_ENDPOINT_META}"]`);
+
+    if (!endpointMeta || !endpointMeta.content) {
+      return;
+    }
+
+    this.endpoint = endpointMeta.content;
+    this.session = this.getSession();
+
+    if (!this.session.sampled) {
+      console.log('[Performance] Session not sampled for vitals reporting');
+      return;
+    }
+
+    this.flushTimer = setInterval(() => this.flush(), PERFORMANCE_CONFIG.VITALS_REPORT_INTERVAL);
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush({ beacon: true });
+      }
+    });
+    window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+
+    console.log('[Performance] Vitals reporting enabled', { endpoint: this.endpoint });
+  },
+};
+
 /**
  * Web Vitals tracking implementation
  */
@@ -457,6 +735,7 @@ const WebVitals = {
         const lastEntry = entries[entries.length - 1];
         
         performanceMetrics.vitals.lcp = lastEntry.renderTime || lastEntry.loadTime;
+        VitalsReporter.record('lcp', performanceMetrics.vitals.lcp);
         
         console.log('[Performance] LCP measured', {
           value: performanceMetrics.vitals.lcp,
@@ -471,7 +750,7 @@ const WebVitals = {
   },
 
   /**
-   * Track First Input Delay (FID)
+   * Track First Input Delay (FID). Kept for comparison; INP supersedes it.
    */
   trackFID() {
     try {
@@ -479,6 +758,7 @@ const WebVitals = {
         const entries = list.getEntries();
         entries.forEach((entry) => {
           performanceMetrics.vitals.fid = entry.processingStart - entry.startTime;
+          VitalsReporter.record('fid', performanceMetrics.vitals.fid);
           
           console.log('[Performance] FID measured', {
             value: performanceMetrics.vitals.fid,
@@ -493,6 +773,162 @@ const WebVitals = {
     }
   },
 
+  /**
+   * Track Interaction to Next Paint (INP): the 98th percentile of the
+   * slowest interactions, which is the slowest one below 50 interactions
+   */
+  trackINP() {
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (!entry.interactionId) {
+            return;
+          }
+
+          // Keydown/keyup or pointerdown/click of one interaction share an ID
+          const existing = performanceMetrics.interactions.get(entry.interactionId);
+
+          if (!existing) {
+            performanceMetrics.interactionCount++;
+          }
+
+          if (!existing || entry.duration > existing.duration) {
+            performanceMetrics.interactions.set(entry.interactionId, {
+              duration: entry.duration,
+              name: entry.name,
+              startTime: entry.startTime,
+              target: this.describeTarget(entry.target),
+            });
+          }
+        });
+
+        this.updateINP();
+      });
+
+      observer.observe({
+        type: 'event',
+        buffered: true,
+        durationThreshold: PERFORMANCE_CONFIG.INP_DURATION_THRESHOLD,
+      });
+      observer.observe({ type: 'first-input', buffered: true });
+    } catch (error) {
+      console.error('[Performance] Failed to track INP', error);
+    }
+  },
+
+  /**
+   * Recalculate INP from the recorded interactions
+   */
+  updateINP() {
+    const interactions = Array.from(performanceMetrics.interactions.values())
+      .sort((a, b) => b.duration - a.duration);
+
+    if (interactions.length === 0) {
+      return;
+    }
+
+    // Only the slowest interactions can ever be the p98, so keep memory bounded
+    if (performanceMetrics.interactions.size > PERFORMANCE_CONFIG.INP_MAX_INTERACTIONS) {
+      const keep = new Set(interactions.slice(0, PERFORMANCE_CONFIG.INP_MAX_INTERACTIONS));
+      performanceMetrics.interactions.forEach((interaction, id) => {
+        if (!keep.has(interaction)) {
+          performanceMetrics.interactions.delete(id);
+        }
+      });
+    }
+
+    const index = Math.min(interactions.length - 1, Math.floor(performanceMetrics.interactionCount / 50));
+    const inp = interactions[index];
+
+    if (performanceMetrics.vitals.inp === inp.duration) {
+      return;
+    }
+
+    performanceMetrics.vitals.inp = inp.duration;
+    performanceMetrics.inpAttribution = {
+      ...inp,
+      longAnimationFrame: this.findLongAnimationFrame(inp.startTime),
+    };
+    VitalsReporter.record('inp', inp.duration);
+
+    console.log('[Performance] INP measured', {
+      value: inp.duration,
+      event: inp.name,
+      target: inp.target,
+    });
+  },
+
+  /**
+   * Track Long Animation Frames with the scripts responsible for them
+   */
+  trackLongAnimationFrames() {
+    if (!PerformanceObserver.supportedEntryTypes
+      || !PerformanceObserver.supportedEntryTypes.includes('long-animation-frame')) {
+      return;
+    }
+
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          performanceMetrics.longAnimationFrames.push({
+            startTime: entry.startTime,
+            duration: entry.duration,
+            blockingDuration: entry.blockingDuration,
+            scripts: (entry.scripts || []).map((script) => ({
+              invoker: script.invoker,
+              invokerType: script.invokerType,
+              sourceFunctionName: script.sourceFunctionName || null,
+              sourceURL: script.sourceURL ? script.sourceURL.split('/').pop() : null,
+              duration: script.duration,
+            })),
+          });
+        });
+
+        // Keep the slowest frames
+        performanceMetrics.longAnimationFrames.sort((a, b) => b.duration - a.duration);
+        performanceMetrics.longAnimationFrames.splice(PERFORMANCE_CONFIG.LOAF_MAX_ENTRIES);
+
+        if (performanceMetrics.inpAttribution && !performanceMetrics.inpAttribution.longAnimationFrame) {
+          performanceMetrics.inpAttribution.longAnimationFrame =
+            this.findLongAnimationFrame(performanceMetrics.inpAttribution.startTime);
+        }
+      });
+
+      observer.observe({ type: 'long-animation-frame', buffered: true });
+    } catch (error) {
+      console.error('[Performance] Failed to track long animation frames', error);
+    }
+  },
+
+  /**
+   * Find the long animation frame that contains a point in time
+   * @param {number} startTime - Interaction start time
+   * @returns {Object|null} Long animation frame or null
+   */
+  findLongAnimationFrame(startTime) {
+    return performanceMetrics.longAnimationFrames.find((frame) => (
+      startTime >= frame.startTime && startTime <= frame.startTime + frame.duration
+    )) || null;
+  },
+
+  /**
+   * Describe an event target without keeping a reference to it
+   * @param {Element|null} target - Event target
+   * @returns {string|null} Selector-like description
+   */
+  describeTarget(target) {
+    if (!target || !target.tagName) {
+      return null;
+    }
+
+    const id = target.id ? `#${target.id}` : '';
+    const className = typeof target.className === 'string' && target.className
+      ? `.${target.className.trim().split(/\s+/)[0]}`
+      : '';
+
+    return `${target.tagName.toLowerCase()}${id}${className}`;
+  },
+
   /**
    * Track Cumulative Layout Shift (CLS)
    */
@@ -505,6 +941,7 @@ const WebVitals = {
           if (!entry.hadRecentInput) {
             clsValue += entry.value;
             performanceMetrics.vitals.cls = clsValue;
+            VitalsReporter.record('cls', clsValue);
           }
         });
 
@@ -529,6 +966,7 @@ const WebVitals = {
         entries.forEach((entry) => {
           if (entry.name === 'first-contentful-paint') {
             performanceMetrics.vitals.fcp = entry.startTime;
+            VitalsReporter.record('fcp', entry.startTime);
             
             console.log('[Performance] FCP measured', {
               value: performanceMetrics.vitals.fcp,
@@ -552,6 +990,7 @@ const WebVitals = {
       
       if (navigationEntry) {
         performanceMetrics.vitals.ttfb = navigationEntry.responseStart - navigationEntry.requestStart;
+        VitalsReporter.record('ttfb', performanceMetrics.vitals.ttfb);
         
         console.log('[Performance] TTFB measured', {
           value: performanceMetrics.vitals.ttfb,
@@ -573,6 +1012,8 @@ const WebVitals = {
 
     this.trackLCP();
     this.trackFID();
+    this.trackINP();
+    this.trackLongAnimationFrames();
     this.trackCLS();
     this.trackFCP();
     this.trackTTFB();
@@ -581,11 +1022,16 @@ const WebVitals = {
   },
 
   /**
-   * Get current Web Vitals metrics
+   * Get current Web Vitals metrics, with INP attribution and the slowest
+   * long animation frames
    * @returns {Object} Current vitals metrics
    */
   getMetrics() {
-    return { ...performanceMetrics.vitals };
+    return {
+      ...performanceMetrics.vitals,
+      inpAttribution: performanceMetrics.inpAttribution,
+      longAnimationFrames: performanceMetrics.longAnimationFrames.slice(),
+    };
   },
 };
 
@@ -650,10 +1096,13 @@ const PerformanceMonitor = {
    * @returns {Object} All performance metrics
    */
   getAllMetrics() {
-    return {
+    const metrics = {
       ...performanceMetrics,
       customMetrics: Object.fromEntries(performanceMetrics.customMetrics),
     };
+
+    delete metrics.interactions;
+    return metrics;
   },
 
   /**
@@ -672,6 +1121,12 @@ const PerformanceMonitor = {
         criticalCSS: metrics.criticalCSSLoaded,
       },
       webVitals: metrics.vitals,
+      inpAttribution: metrics.inpAttribution,
+      longAnimationFrames: metrics.longAnimationFrames.map((frame) => ({
+        duration: Math.round(frame.duration),
+        blockingDuration: Math.round(frame.blockingDuration),
+        scripts: frame.scripts.map((script) => script.sourceFunctionName || script.invoker),
+      })),
       customMetrics: metrics.customMetrics,
     });
   },
@@ -685,6 +1140,7 @@ function initPerformance() {
     console.log('[Performance] Initializing performance optimizations');
 
     LazyLoader.init();
+    VitalsReporter.init();
     WebVitals.init();
 
     setInterval(() => {
@@ -708,5 +1164,15 @@ if (typeof window !== 'undefined') {
   window.CriticalCSS = CriticalCSS;
   window.ResourcePreloader = ResourcePreloader;
   window.WebVitals = WebVitals;
+  window.VitalsReporter = VitalsReporter;
   window.PerformanceMonitor = PerformanceMonitor;
-}
\ No newline at end of file
+}
+
+export {
+  LazyLoader,
+  CriticalCSS,
+  ResourcePreloader,
+  WebVitals,
+  VitalsReporter,
+  PerformanceMonitor,
+};
@@ -9,8 +9,6 @@
  * @version 1.0.0
  */
 
-'use strict';
-
 /**
  * SEO configuration and constants
  */
@@ -493,26 +491,30 @@ function initializeDefaultSEO() {
   }
 }
 
+const SEO = {
+  updateTitle,
+  updateDescription,
+  updateCanonical,
+  updateOpenGraph,
+  updateTwitterCard,
+  updatePageSEO,
+  generateOrganizationSchema,
+  generateLocalBusinessSchema,
+  generateEducationalOrganizationSchema,
+  generateCourseSchema,
+  injectStructuredData,
+  generateSlug,
+  initializeDefaultSEO,
+};
+
 if (typeof window !== 'undefined') {
-  window.SEO = {
-    updateTitle,
-    updateDescription,
-    updateCanonical,
-    updateOpenGraph,
-    updateTwitterCard,
-    updatePageSEO,
-    generateOrganizationSchema,
-    generateLocalBusinessSchema,
-    generateEducationalOrganizationSchema,
-    generateCourseSchema,
-    injectStructuredData,
-    generateSlug,
-    initializeDefaultSEO,
-  };
+  window.SEO = SEO;
 }
 
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeDefaultSEO);
 } else {
   initializeDefaultSEO();
-}
\ No newline at end of file
+}
+
+export { SEO };
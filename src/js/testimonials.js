@@ -5,16 +5,32 @@
  * keyboard navigation, and responsive behavior. Follows progressive enhancement
  * principles with graceful degradation for older browsers.
  * 
+ * Slides are built from src/data/testimonials.json when it loads; the
+ * hand-written slides in index.html remain as the fallback. Filter chips
+ * narrow the slides by tag, grade band or state, and the active filter is
+ * kept in the `?stories=` query parameter so it can be linked to. Family
+ * photos load through LazyLoader as their slide comes into view, blurring up
+ * from the placeholder the build writes into testimonials.json.
+ * 
+ * Entries with a `videoUrl` get a video slide: a poster frame with a play
+ * button, swapped for the player only when clicked. YouTube and Vimeo links
+ * become iframes loaded through `LazyLoader.loadIframe`; direct .mp4/.webm
+ * files play in a <video> element with an optional `captionsUrl` (WebVTT)
+ * track. Auto-play stops while a video plays and restarts when it ends.
+ * 
  * @module testimonials
  * @version 1.0.0
  */
 
-'use strict';
+import { Analytics } from './analytics.js';
+import { LazyLoader } from './performance.js';
 
 /**
  * Carousel configuration and state
  */
 const CAROUSEL_CONFIG = Object.freeze({
+  DATA_URL: 'data/testimonials.json',
+  MAX_SLIDES: 8,
   AUTO_PLAY_INTERVAL: 5000,
   TRANSITION_DURATION: 500,
   SWIPE_THRESHOLD: 50,
@@ -22,6 +38,27 @@ const CAROUSEL_CONFIG = Object.freeze({
   PRELOAD_ADJACENT: true,
   PAUSE_ON_HOVER: true,
   PAUSE_ON_FOCUS: true,
+  FILTER_PARAM: 'stories',
+  FILTER_TAGS: [
+    'curriculum',
+    'special-needs',
+    'support',
+    'engagement',
+    'multiple-children',
+    'single-parent',
+    'beginners',
+    'stem',
+  ],
+  TAG_LABELS: {
+    stem: 'STEM',
+  },
+  VIDEO_FILE_PATTERN: /\.(mp4|webm|ogv|ogg)(\?.*)?$/i,
+  DEFAULT_CAPTIONS_LANGUAGE: 'en',
+  GRADE_BANDS: [
+    { id: 'elementary', label: 'Elementary', min: 0, max: 5 },
+    { id: 'middle', label: 'Middle school', min: 6, max: 8 },
+    { id: 'high', label: 'High school', min: 9, max: 12 },
+  ],
 });
 
 /**
@@ -32,13 +69,24 @@ class TestimonialsCarousel {
   /**
    * Initialize carousel with DOM element
    * @param {Element} container - Carousel container element
+   * @param {Object} [options={}] - Carousel options
+   * @param {string} [options.dataUrl] - Testimonials JSON URL (defaults to `data-testimonials-url`)
+   * @param {number} [options.maxSlides] - Maximum slides to build (defaults to `data-max-slides`)
+   * @param {Element} [options.filterContainer] - Container for the filter chips
    */
-  constructor(container) {
+  constructor(container, options = {}) {
     if (!container) {
       throw new Error('[Testimonials] Carousel container is required');
     }
 
     this.container = container;
+    this.dataUrl = options.dataUrl || container.dataset.testimonialsUrl || CAROUSEL_CONFIG.DATA_URL;
+    this.maxSlides = Number(options.maxSlides || container.dataset.maxSlides) || CAROUSEL_CONFIG.MAX_SLIDES;
+    this.testimonials = [];
+    this.filterContainer = options.filterContainer || null;
+    this.activeFilter = null;
+    this.activeVideo = null;
+    this.videoPlaying = false;
     this.track = container.querySelector('[data-carousel-track]');
     this.slides = Array.from(container.querySelectorAll('[data-carousel-slide]'));
     this.prevButton = container.querySelector('[data-carousel-prev]');
@@ -128,15 +176,13 @@ class TestimonialsCarousel {
       this.nextButton.addEventListener('click', () => this.navigate('next'));
     }
 
-    this.indicators.forEach((indicator, index) => {
-      indicator.addEventListener('click', () => this.goToSlide(index));
-    });
+    this.bindIndicators();
 
     this.container.addEventListener('keydown', (e) => this.handleKeyboard(e));
 
     this.track.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
     this.track.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
-    this.track.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
+    this.track.addEventListener('touchend', () => this.handleTouchEnd(), { passive: true });
 
     if (CAROUSEL_CONFIG.PAUSE_ON_HOVER) {
       this.container.addEventListener('mouseenter', () => this.pause());
@@ -150,9 +196,733 @@ class TestimonialsCarousel {
 
     window.addEventListener('visibilitychange', () => this.handleVisibilityChange());
 
+    window.addEventListener('message', (e) => this.handleVideoMessage(e));
+
     window.addEventListener('resize', this.debounce(() => this.handleResize(), 250));
   }
 
+  /**
+   * Attach click listeners to the current indicators
+   */
+  bindIndicators() {
+    this.indicators.forEach((indicator, index) => {
+      indicator.addEventListener('click', () => this.goToSlide(index));
+    });
+  }
+
+  /**
+   * Load testimonials from JSON and rebuild the slides.
+   * Keeps the existing markup if the data cannot be loaded.
+   * @returns {Promise<boolean>} True if slides were built from data
+   */
+  async loadTestimonials() {
+    try {
+      const response = await fetch(this.dataUrl, {
+        headers: { Accept: 'application/json' },
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const testimonials = Array.isArray(data.testimonials) ? data.testimonials : [];
+
+      if (testimonials.length === 0) {
+        console.warn('[Testimonials] No testimonials in data; keeping static slides');
+        return false;
+      }
+
+      this.testimonials = this.sortTestimonials(testimonials);
+      this.renderFilters();
+
+      const requested = this.getFilterFromUrl();
+      if (requested && this.getFilteredTestimonials(requested).length > 0) {
+        this.setFilter(requested, { updateUrl: false });
+      } else {
+        this.renderSlides(this.testimonials.slice(0, this.maxSlides));
+      }
+
+      console.log('[Testimonials] Slides built from data', {
+        available: testimonials.length,
+        shown: this.slides.length,
+      });
+
+      return true;
+    } catch (error) {
+      console.error('[Testimonials] Failed to load testimonials; keeping static slides', error);
+      return false;
+    }
+  }
+
+  /**
+   * Order testimonials featured first, then newest first
+   * @param {Object[]} testimonials - Testimonial entries
+   * @returns {Object[]} Sorted copy
+   */
+  sortTestimonials(testimonials) {
+    return testimonials.slice().sort((a, b) => {
+      if (Boolean(a.featured) !== Boolean(b.featured)) {
+        return a.featured ? -1 : 1;
+      }
+
+      return String(b.dateAdded || '').localeCompare(String(a.dateAdded || ''));
+    });
+  }
+
+  /**
+   * Build a slide element for a testimonial
+   * @param {Object} testimonial - Testimonial entry
+   * @returns {Element} Slide element
+   */
+  createSlide(testimonial) {
+    const slide = document.createElement('article');
+    slide.className = 'testimonial-card';
+    slide.setAttribute('data-carousel-slide', '');
+    slide.dataset.testimonialId = testimonial.id;
+
+    slide.innerHTML = `
+      <div class="testimonial-card__content">
+        <blockquote class="testimonial-card__quote"></blockquote>
+        <div class="testimonial-card__family">
+          <div class="testimonial-card__image-wrapper">
+            <img class="testimonial-card__image" decoding="async" width="80" height="80">
+          </div>
+          <div class="testimonial-card__info">
+            <cite class="testimonial-card__name"></cite>
+            <span class="testimonial-card__grade"></span>
+          </div>
+        </div>
+      </div>
+    `;
+
+    slide.querySelector('.testimonial-card__quote').textContent = testimonial.quote;
+    slide.querySelector('.testimonial-card__name').textContent = testimonial.parentNames || testimonial.familyName;
+    slide.querySelector('.testimonial-card__grade').textContent = [testimonial.studentGrades, testimonial.location]
+      .filter(Boolean)
+      .join(' • ');
+
+    if (testimonial.videoUrl) {
+      slide.classList.add('testimonial-card--video');
+      slide.querySelector('.testimonial-card__content').prepend(this.createVideoPoster(testimonial));
+    }
+
+    const image = slide.querySelector('.testimonial-card__image');
+    if (testimonial.photoUrl) {
+      image.alt = testimonial.photoAlt || '';
+      this.setPhotoSources(image, testimonial.photoUrl, testimonial.photoImage);
+    } else {
+      image.closest('.testimonial-card__image-wrapper').remove();
+    }
+
+    return slide;
+  }
+
+  /**
+   * Prepare a photo for LazyLoader: `data-src` and, when the build has
+   * described the photo (`photoImage` in the built testimonials.json), a
+   * `data-srcset`, a `<picture>` with AVIF and WebP sources and the blurred
+   * placeholder shown until the photo has loaded
+   * @param {HTMLImageElement} image - Photo element inside its wrapper
+   * @param {string} photoUrl - Photo URL
+   * @param {Object} [photoImage] - Image details written by the build
+   */
+  setPhotoSources(image, photoUrl, photoImage) {
+    image.setAttribute('data-src', photoUrl);
+
+    if (!photoImage) {
+      return;
+    }
+
+    if (photoImage.placeholder) {
+      image.setAttribute('data-placeholder', '');
+      image.style.backgroundColor = photoImage.placeholder.color;
+      image.style.backgroundImage = `url(${photoImage.placeholder.image})`;
+      image.src = photoImage.placeholder.image;
+    }
+
+    if (!Array.isArray(photoImage.candidates) || photoImage.candidates.length === 0) {
+      return;
+    }
+
+    const toSrcset = (candidates) => candidates.map((candidate) => `${candidate.url} ${candidate.width}w`).join(', ');
+    const sizes = `${image.getAttribute('width')}px`;
+    const picture = document.createElement('picture');
+
+    (photoImage.sources || []).forEach((source) => {
+      const element = document.createElement('source');
+      element.type = source.type;
+      element.setAttribute('data-srcset', toSrcset(source.candidates));
+      element.sizes = sizes;
+      picture.append(element);
+    });
+
+    image.setAttribute('data-srcset', toSrcset(photoImage.candidates));
+    image.sizes = sizes;
+    image.replaceWith(picture);
+    picture.append(image);
+  }
+
+  /**
+   * Build an indicator button
+   * @param {number} index - Slide index
+   * @returns {Element} Indicator button
+   */
+  createIndicator(index) {
+    const indicator = document.createElement('button');
+    indicator.type = 'button';
+    indicator.className = 'testimonials__dot';
+    indicator.setAttribute('data-carousel-indicator', '');
+    indicator.setAttribute('aria-label', `Go to testimonial ${index + 1}`);
+    return indicator;
+  }
+
+  /**
+   * Replace the slides and indicators with ones built from testimonial entries
+   * @param {Object[]} testimonials - Testimonial entries to show
+   */
+  renderSlides(testimonials) {
+    this.stopVideo();
+    this.slides.forEach((slide) => slide.remove());
+    this.slides = testimonials.map((testimonial) => this.createSlide(testimonial));
+    this.track.append(...this.slides);
+    this.slides.forEach((slide) => {
+      slide.querySelectorAll('img[data-src]').forEach((image) => LazyLoader.observe(image));
+    });
+
+    const indicatorContainer = this.indicators.length > 0
+      ? this.indicators[0].parentElement
+      : this.container.querySelector('.testimonials__dots');
+
+    this.indicators.forEach((indicator) => indicator.remove());
+    this.indicators = [];
+
+    if (indicatorContainer) {
+      this.indicators = this.slides.map((slide, index) => this.createIndicator(index));
+      indicatorContainer.append(...this.indicators);
+      this.bindIndicators();
+    }
+
+    this.currentIndex = 0;
+    this.isTransitioning = false;
+    this.setupAccessibility();
+    this.updateCarousel(0, false);
+    this.updateButtonStates();
+  }
+
+  /**
+   * Get the grade numbers in a "studentGrades" string (Kindergarten is 0)
+   * @param {string} studentGrades - e.g. "Kindergarten & 3rd Grade"
+   * @returns {number[]} Grade numbers
+   */
+  parseGrades(studentGrades) {
+    const text = String(studentGrades || '');
+    const grades = Array.from(text.matchAll(/(\d+)(?:st|nd|rd|th)/gi), (match) => Number(match[1]));
+
+    if (/kindergarten|\bK\b/i.test(text)) {
+      grades.push(0);
+    }
+
+    return grades;
+  }
+
+  /**
+   * Get the state or region from a "City, ST" location
+   * @param {string} location - Location string
+   * @returns {string} State code, or the whole location if it has no comma
+   */
+  parseRegion(location) {
+    const parts = String(location || '').split(',');
+    return parts[parts.length - 1].trim();
+  }
+
+  /**
+   * Check whether a testimonial matches a filter
+   * @param {Object} testimonial - Testimonial entry
+   * @param {{type: string, value: string}} filter - Filter
+   * @returns {boolean} True if it matches
+   */
+  matchesFilter(testimonial, filter) {
+    switch (filter.type) {
+      case 'tag':
+        return Array.isArray(testimonial.tags) && testimonial.tags.includes(filter.value);
+      case 'grade': {
+        const band = CAROUSEL_CONFIG.GRADE_BANDS.find((candidate) => candidate.id === filter.value);
+        return !!band && this.parseGrades(testimonial.studentGrades)
+          .some((grade) => grade >= band.min && grade <= band.max);
+      }
+      case 'location':
+        return this.parseRegion(testimonial.location).toLowerCase() === filter.value;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get testimonials matching a filter
+   * @param {{type: string, value: string}|null} filter - Filter, or null for all
+   * @returns {Object[]} Matching testimonials
+   */
+  getFilteredTestimonials(filter) {
+    if (!filter) {
+      return this.testimonials;
+    }
+
+    return this.testimonials.filter((testimonial) => this.matchesFilter(testimonial, filter));
+  }
+
+  /**
+   * Build the filter options that have at least one testimonial
+   * @returns {Object[]} Filter groups with their options
+   */
+  getFilterGroups() {
+    const withMatches = (options) => options.filter((option) => this.getFilteredTestimonials(option).length > 0);
+
+    const tagOptions = CAROUSEL_CONFIG.FILTER_TAGS.map((tag) => ({
+      type: 'tag',
+      value: tag,
+      label: CAROUSEL_CONFIG.TAG_LABELS[tag] || tag.charAt(0).toUpperCase() + tag.slice(1).replace(/-/g, ' '),
+    }));
+
+    const gradeOptions = CAROUSEL_CONFIG.GRADE_BANDS.map((band) => ({
+      type: 'grade',
+      value: band.id,
+      label: band.label,
+    }));
+
+    const regions = Array.from(new Set(this.testimonials
+      .map((testimonial) => this.parseRegion(testimonial.location))
+      .filter(Boolean)))
+      .sort();
+    const locationOptions = regions.map((region) => ({
+      type: 'location',
+      value: region.toLowerCase(),
+      label: region,
+    }));
+
+    return [
+      { label: 'Topic', options: withMatches(tagOptions) },
+      { label: 'Grade', options: withMatches(gradeOptions) },
+      { label: 'Location', options: withMatches(locationOptions) },
+    ].filter((group) => group.options.length > 0);
+  }
+
+  /**
+   * Serialize a filter for the URL and chip data attributes
+   * @param {{type: string, value: string}|null} filter - Filter
+   * @returns {string} Serialized filter, empty for "all"
+   */
+  serializeFilter(filter) {
+    return filter ? `${filter.type}:${filter.value}` : '';
+  }
+
+  /**
+   * Parse a serialized filter
+   * @param {string} value - Serialized filter
+   * @returns {{type: string, value: string}|null} Filter, or null for "all"
+   */
+  parseFilter(value) {
+    const match = /^(tag|grade|location):(.+)$/.exec(String(value || '').trim().toLowerCase());
+    return match ? { type: match[1], value: match[2] } : null;
+  }
+
+  /**
+   * Read the active filter from the URL
+   * @returns {{type: string, value: string}|null} Filter, or null
+   */
+  getFilterFromUrl() {
+    try {
+      return this.parseFilter(new URLSearchParams(window.location.search).get(CAROUSEL_CONFIG.FILTER_PARAM));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Reflect the active filter in the URL without adding a history entry
+   * @param {{type: string, value: string}|null} filter - Filter
+   */
+  updateFilterUrl(filter) {
+    if (!window.history || typeof window.history.replaceState !== 'function') {
+      return;
+    }
+
+    const url = new URL(window.location.href);
+
+    if (filter) {
+      url.searchParams.set(CAROUSEL_CONFIG.FILTER_PARAM, this.serializeFilter(filter));
+    } else {
+      url.searchParams.delete(CAROUSEL_CONFIG.FILTER_PARAM);
+    }
+
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  /**
+   * Render the filter chips
+   */
+  renderFilters() {
+    if (!this.filterContainer) {
+      return;
+    }
+
+    const groups = this.getFilterGroups();
+    this.filterContainer.textContent = '';
+
+    if (groups.length === 0) {
+      this.filterContainer.hidden = true;
+      return;
+    }
+
+    const createChip = (filter, label) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'testimonials__filter-chip';
+      chip.dataset.testimonialsFilter = this.serializeFilter(filter);
+      chip.setAttribute('aria-pressed', 'false');
+      chip.textContent = label;
+      return chip;
+    };
+
+    const allGroup = document.createElement('div');
+    allGroup.className = 'testimonials__filter-group';
+    allGroup.appendChild(createChip(null, 'All stories'));
+    this.filterContainer.appendChild(allGroup);
+
+    groups.forEach((group) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'testimonials__filter-group';
+      wrapper.setAttribute('role', 'group');
+      wrapper.setAttribute('aria-label', group.label);
+
+      const label = document.createElement('span');
+      label.className = 'testimonials__filter-label';
+      label.setAttribute('aria-hidden', 'true');
+      label.textContent = group.label;
+      wrapper.appendChild(label);
+
+      group.options.forEach((option) => {
+        wrapper.appendChild(createChip(option, option.label));
+      });
+
+      this.filterContainer.appendChild(wrapper);
+    });
+
+    this.filterContainer.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-testimonials-filter]');
+
+      if (chip) {
+        this.setFilter(this.parseFilter(chip.dataset.testimonialsFilter));
+      }
+    });
+
+    this.filterContainer.hidden = false;
+    this.updateFilterChips();
+  }
+
+  /**
+   * Sync chip pressed state with the active filter
+   */
+  updateFilterChips() {
+    if (!this.filterContainer) {
+      return;
+    }
+
+    const active = this.serializeFilter(this.activeFilter);
+
+    this.filterContainer.querySelectorAll('[data-testimonials-filter]').forEach((chip) => {
+      chip.setAttribute('aria-pressed', chip.dataset.testimonialsFilter === active ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Build the poster frame and play button for a video testimonial
+   * @param {Object} testimonial - Testimonial entry with a `videoUrl`
+   * @returns {Element} Video container
+   */
+  createVideoPoster(testimonial) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'testimonial-card__video';
+    wrapper.setAttribute('data-testimonial-video', '');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'testimonial-card__play';
+    button.setAttribute('aria-label', `Play video testimonial from ${testimonial.parentNames || testimonial.familyName}`);
+
+    const posterUrl = testimonial.videoPoster || testimonial.photoUrl;
+    if (posterUrl) {
+      const poster = document.createElement('img');
+      poster.className = 'testimonial-card__poster';
+      poster.src = posterUrl;
+      poster.alt = '';
+      poster.loading = 'lazy';
+      poster.decoding = 'async';
+      button.appendChild(poster);
+    }
+
+    const icon = document.createElement('span');
+    icon.className = 'testimonial-card__play-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    button.appendChild(icon);
+
+    button.addEventListener('click', () => this.playVideo(wrapper, testimonial));
+    wrapper.appendChild(button);
+
+    return wrapper;
+  }
+
+  /**
+   * Work out how to embed a video URL
+   * @param {Object} testimonial - Testimonial entry
+   * @returns {{type: string, src: string}} Embed type ('youtube', 'vimeo', 'iframe' or 'file') and source
+   */
+  getVideoEmbed(testimonial) {
+    const url = testimonial.videoUrl;
+    const language = testimonial.captionsLanguage || CAROUSEL_CONFIG.DEFAULT_CAPTIONS_LANGUAGE;
+    const youtube = /(?:youtube(?:-nocookie)?\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([\w-]{11})/.exec(url);
+    const vimeo = /vimeo\.com\/(?:video\/)?(\d+)/.exec(url);
+
+    if (youtube) {
+      const params = new URLSearchParams({
+        autoplay: '1',
+        enablejsapi: '1',
+        cc_load_policy: '1',
+        cc_lang_pref: language,
+        rel: '0',
+        origin: window.location.origin,
+      });
+      return { type: 'youtube', src: `https://www.youtube-nocookie.com/embed/${youtube[1]}?${params}` };
+    }
+
+    if (vimeo) {
+      const params = new URLSearchParams({ autoplay: '1', texttrack: language });
+      return { type: 'vimeo', src: `https://player.vimeo.com/video/${vimeo[1]}?${params}` };
+    }
+
+    if (CAROUSEL_CONFIG.VIDEO_FILE_PATTERN.test(url)) {
+      return { type: 'file', src: url };
+    }
+
+    return { type: 'iframe', src: url };
+  }
+
+  /**
+   * Replace a poster frame with the video player and start playback
+   * @param {Element} wrapper - Video container
+   * @param {Object} testimonial - Testimonial entry
+   */
+  playVideo(wrapper, testimonial) {
+    this.stopVideo();
+
+    const embed = this.getVideoEmbed(testimonial);
+    const title = `Video testimonial from ${testimonial.parentNames || testimonial.familyName}`;
+    const poster = wrapper.querySelector('.testimonial-card__play');
+    let player;
+
+    if (embed.type === 'file') {
+      player = document.createElement('video');
+      player.className = 'testimonial-card__player';
+      player.controls = true;
+      player.autoplay = true;
+      player.playsInline = true;
+      player.setAttribute('aria-label', title);
+
+      const posterUrl = testimonial.videoPoster || testimonial.photoUrl;
+      if (posterUrl) {
+        player.poster = posterUrl;
+      }
+
+      const source = document.createElement('source');
+      source.src = embed.src;
+      player.appendChild(source);
+
+      if (testimonial.captionsUrl) {
+        const track = document.createElement('track');
+        track.kind = 'captions';
+        track.src = testimonial.captionsUrl;
+        track.srclang = testimonial.captionsLanguage || CAROUSEL_CONFIG.DEFAULT_CAPTIONS_LANGUAGE;
+        track.label = 'Captions';
+        track.default = true;
+        player.appendChild(track);
+      }
+
+      player.addEventListener('play', () => this.handleVideoPlay());
+      player.addEventListener('ended', () => this.handleVideoEnded());
+    } else {
+      player = document.createElement('iframe');
+      player.className = 'testimonial-card__player';
+      player.title = title;
+      player.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+      player.allowFullscreen = true;
+      player.setAttribute('data-src', embed.src);
+
+      // Ask the player to report its state so we know when the video ends
+      player.addEventListener('load', () => {
+        if (embed.type === 'youtube') {
+          player.contentWindow.postMessage(JSON.stringify({ event: 'listening' }), '*');
+        } else if (embed.type === 'vimeo') {
+          player.contentWindow.postMessage(JSON.stringify({ method: 'addEventListener', value: 'ended' }), '*');
+        }
+      }, { once: true });
+    }
+
+    poster.hidden = true;
+    wrapper.appendChild(player);
+    this.activeVideo = { wrapper, player, type: embed.type, testimonialId: testimonial.id };
+
+    if (embed.type !== 'file') {
+      if (typeof LazyLoader.loadIframe === 'function') {
+        LazyLoader.loadIframe(player);
+      } else {
+        player.src = embed.src;
+      }
+
+      // Embeds are requested with autoplay, so treat them as playing right away
+      this.handleVideoPlay();
+    }
+
+    player.focus();
+
+    this.trackEvent('testimonial_video_play', { testimonial_id: testimonial.id, video_type: embed.type });
+  }
+
+  /**
+   * Remove the active player and show its poster frame again
+   */
+  stopVideo() {
+    if (!this.activeVideo) {
+      return;
+    }
+
+    const { wrapper, player } = this.activeVideo;
+    const poster = wrapper.querySelector('.testimonial-card__play');
+
+    if (typeof player.pause === 'function') {
+      player.pause();
+    }
+
+    player.remove();
+
+    if (poster) {
+      poster.hidden = false;
+    }
+
+    this.activeVideo = null;
+    this.videoPlaying = false;
+  }
+
+  /**
+   * Stop auto-play while a video is playing
+   */
+  handleVideoPlay() {
+    this.videoPlaying = true;
+    this.stopAutoPlay();
+  }
+
+  /**
+   * Restart auto-play once the video ends
+   */
+  handleVideoEnded() {
+    this.videoPlaying = false;
+    this.startAutoPlay();
+
+    if (this.activeVideo) {
+      this.trackEvent('testimonial_video_complete', { testimonial_id: this.activeVideo.testimonialId });
+    }
+  }
+
+  /**
+   * Send a testimonials event through the shared analytics bus
+   * @param {string} eventName - Event name
+   * @param {Object} eventData - Event properties
+   */
+  trackEvent(eventName, eventData) {
+    Analytics.track(eventName, eventData);
+  }
+
+  /**
+   * Handle state messages from YouTube and Vimeo embeds
+   * @param {MessageEvent} e - Message event
+   */
+  handleVideoMessage(e) {
+    if (!this.activeVideo || this.activeVideo.type === 'file' ||
+        e.source !== this.activeVideo.player.contentWindow) {
+      return;
+    }
+
+    let data = e.data;
+
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch {
+        return;
+      }
+    }
+
+    if (!data || typeof data !== 'object') {
+      return;
+    }
+
+    const youtubeEnded = (data.event === 'onStateChange' && data.info === 0) ||
+      (data.event === 'infoDelivery' && data.info && data.info.playerState === 0);
+    const vimeoEnded = data.event === 'ended';
+
+    if (youtubeEnded || vimeoEnded) {
+      this.handleVideoEnded();
+    }
+  }
+
+  /**
+   * Get a readable description of a filter
+   * @param {{type: string, value: string}} filter - Filter
+   * @returns {string} Description
+   */
+  describeFilter(filter) {
+    const chip = this.filterContainer
+      ? this.filterContainer.querySelector(`[data-testimonials-filter="${this.serializeFilter(filter)}"]`)
+      : null;
+
+    return chip ? chip.textContent : filter.value;
+  }
+
+  /**
+   * Show only testimonials matching a filter
+   * @param {{type: string, value: string}|null} filter - Filter, or null for all
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.updateUrl=true] - Reflect the filter in the URL
+   */
+  setFilter(filter, options = {}) {
+    const { updateUrl = true } = options;
+    const matches = this.getFilteredTestimonials(filter);
+
+    if (matches.length === 0) {
+      console.warn('[Testimonials] Filter has no matches', { filter: this.serializeFilter(filter) });
+      return;
+    }
+
+    this.activeFilter = filter;
+    this.renderSlides(matches.slice(0, this.maxSlides));
+    this.updateFilterChips();
+    this.resetAutoPlay();
+
+    if (updateUrl) {
+      this.updateFilterUrl(filter);
+    }
+
+    const count = this.slides.length;
+    const noun = count === 1 ? 'testimonial' : 'testimonials';
+    this.announce(filter
+      ? `Showing ${count} ${noun} for ${this.describeFilter(filter)}`
+      : `Showing all ${count} ${noun}`);
+
+    this.trackEvent('testimonial_filter_apply', {
+      filter: this.serializeFilter(filter) || 'all',
+      result_count: count,
+    });
+  }
+
   /**
    * Navigate to previous or next slide
    * @param {string} direction - 'prev' or 'next'
@@ -195,6 +965,10 @@ class TestimonialsCarousel {
     const previousIndex = this.currentIndex;
     this.currentIndex = index;
 
+    if (previousIndex !== index) {
+      this.stopVideo();
+    }
+
     this.slides.forEach((slide, i) => {
       const isActive = i === index;
       const isPrevious = i === previousIndex;
@@ -234,6 +1008,11 @@ class TestimonialsCarousel {
       setTimeout(() => {
         this.isTransitioning = false;
         this.announceSlideChange(index);
+        this.trackEvent('testimonial_slide_view', {
+          slide_index: index,
+          slide_count: this.slides.length,
+          testimonial_id: this.slides[index].dataset.testimonialId,
+        });
       }, CAROUSEL_CONFIG.TRANSITION_DURATION);
     }
   }
@@ -277,10 +1056,18 @@ class TestimonialsCarousel {
    * @param {number} index - Current slide index
    */
   announceSlideChange(index) {
+    this.announce(`Showing testimonial ${index + 1} of ${this.slides.length}`);
+  }
+
+  /**
+   * Announce a message through the carousel live region
+   * @param {string} message - Message text
+   */
+  announce(message) {
     const liveRegion = this.container.querySelector('[aria-live]');
     
     if (liveRegion) {
-      liveRegion.textContent = `Showing testimonial ${index + 1} of ${this.slides.length}`;
+      liveRegion.textContent = message;
     }
   }
 
@@ -291,6 +1078,11 @@ class TestimonialsCarousel {
   handleKeyboard(e) {
     const key = e.key;
 
+    // Leave arrow and Home/End keys to the video controls
+    if (e.target.closest && e.target.closest('video')) {
+      return;
+    }
+
     switch (key) {
       case 'ArrowLeft':
       case 'Left':
@@ -344,9 +1136,8 @@ class TestimonialsCarousel {
 
   /**
    * Handle touch end event
-   * @param {TouchEvent} _e - Touch event
    */
-  handleTouchEnd(_e) {
+  handleTouchEnd() {
     const deltaX = this.touchEndX - this.touchStartX;
     const deltaY = this.touchEndY - this.touchStartY;
 
@@ -374,7 +1165,7 @@ class TestimonialsCarousel {
    * Start auto-play functionality
    */
   startAutoPlay() {
-    if (this.autoPlayTimer) {
+    if (this.autoPlayTimer || this.videoPlaying) {
       return;
     }
 
@@ -462,6 +1253,7 @@ class TestimonialsCarousel {
    * Destroy carousel and cleanup
    */
   destroy() {
+    this.stopVideo();
     this.stopAutoPlay();
     
     this.slides.forEach((slide) => {
@@ -474,6 +1266,11 @@ class TestimonialsCarousel {
   }
 }
 
+/**
+ * Carousel instances by container, so repeated init calls reuse one carousel
+ */
+const carouselInstances = new WeakMap();
+
 /**
  * Initialize testimonials carousel
  */
@@ -486,7 +1283,18 @@ function initTestimonialsCarousel() {
       return null;
     }
 
-    const carousel = new TestimonialsCarousel(carouselContainer);
+    if (carouselInstances.has(carouselContainer)) {
+      return carouselInstances.get(carouselContainer);
+    }
+
+    const carousel = new TestimonialsCarousel(carouselContainer, {
+      filterContainer: document.querySelector('[data-testimonials-filters]'),
+    });
+    carouselInstances.set(carouselContainer, carousel);
+
+    if (carousel.track) {
+      carousel.loadTestimonials();
+    }
 
     console.log('[Testimonials] Carousel module initialized successfully');
 
@@ -506,6 +1314,8 @@ if (document.readyState === 'loading') {
   initTestimonialsCarousel();
 }
 
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TestimonialsCarousel, initTestimonialsCarousel };
-}
\ No newline at end of file
+if (typeof window !== 'undefined') {
+  window.initTestimonialsCarousel = initTestimonialsCarousel;
+}
+
+export { TestimonialsCarousel, initTestimonialsCarousel };
\ No newline at end of file
@@ -9,44 +9,22 @@
  * @version 1.0.0
  */
 
-'use strict';
+import { FormSchema } from './form-schema.js';
 
 /**
- * Validation configuration and constants
+ * Get the shared form schema (src/js/form-schema.js)
+ * @returns {Object} FormSchema API
  */
-const VALIDATION_CONFIG = Object.freeze({
-  EMAIL_REGEX: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
-  PHONE_REGEX: /^[\d\s\-\(\)]+$/,
-  MIN_PHONE_DIGITS: 10,
-  MAX_PHONE_DIGITS: 15,
-  MIN_MESSAGE_LENGTH: 10,
-  MAX_MESSAGE_LENGTH: 1000,
-  MIN_NAME_LENGTH: 2,
-  MAX_NAME_LENGTH: 100,
-});
-
-/**
- * Validation error messages
- */
-const ERROR_MESSAGES = Object.freeze({
-  REQUIRED: 'This field is required',
-  EMAIL_INVALID: 'Please enter a valid email address',
-  EMAIL_FORMAT: 'Email must be in format: name@domain.com',
-  PHONE_INVALID: 'Please enter a valid phone number',
-  PHONE_FORMAT: 'Phone must contain 10-15 digits',
-  PHONE_CHARACTERS: 'Phone can only contain numbers, spaces, hyphens, and parentheses',
-  NAME_TOO_SHORT: 'Name must be at least 2 characters',
-  NAME_TOO_LONG: 'Name cannot exceed 100 characters',
-  MESSAGE_TOO_SHORT: 'Message must be at least 10 characters',
-  MESSAGE_TOO_LONG: 'Message cannot exceed 1000 characters',
-  GRADE_INVALID: 'Please select a valid grade level',
-});
+function getFormSchema() {
+  return FormSchema;
+}
 
 /**
  * Validation result type
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - Whether the validation passed
  * @property {string|null} error - Error message if validation failed
+ * @property {string|null} code - Error code (key of FormSchema.MESSAGES) if validation failed
  * @property {*} value - Sanitized/normalized value
  */
 
@@ -77,25 +55,10 @@ function sanitizeString(value) {
 /**
  * Validate required field
  * @param {string} value - Field value to validate
- * @param {string} [fieldName='Field'] - Field name for error messages
  * @returns {ValidationResult} Validation result
  */
-function validateRequired(value, fieldName = 'Field') {
-  const sanitized = sanitizeString(value);
-  
-  if (sanitized.length === 0) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.REQUIRED,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: sanitized,
-  };
+function validateRequired(value) {
+  return getFormSchema().validateValue(value, { type: 'text', required: true });
 }
 
 /**
@@ -105,85 +68,7 @@ function validateRequired(value, fieldName = 'Field') {
  * @returns {ValidationResult} Validation result
  */
 function validateEmail(email, required = true) {
-  const sanitized = sanitizeString(email);
-  
-  if (!sanitized) {
-    if (required) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.REQUIRED,
-        value: sanitized,
-      };
-    }
-    return {
-      isValid: true,
-      error: null,
-      value: sanitized,
-    };
-  }
-  
-  if (!VALIDATION_CONFIG.EMAIL_REGEX.test(sanitized)) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.EMAIL_INVALID,
-      value: sanitized,
-    };
-  }
-  
-  const parts = sanitized.split('@');
-  if (parts.length !== 2 || !parts[0] || !parts[1]) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.EMAIL_FORMAT,
-      value: sanitized,
-    };
-  }
-  
-  const [localPart, domain] = parts;
-  if (localPart.length > 64 || domain.length > 255) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.EMAIL_INVALID,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: sanitized.toLowerCase(),
-  };
-}
-
-/**
- * Normalize phone number by removing formatting characters
- * @param {string} phone - Phone number to normalize
- * @returns {string} Normalized phone number (digits only)
- */
-function normalizePhone(phone) {
-  if (typeof phone !== 'string') {
-    return '';
-  }
-  return phone.replace(/\D/g, '');
-}
-
-/**
- * Format phone number for display (US format)
- * @param {string} phone - Phone number to format
- * @returns {string} Formatted phone number
- */
-function formatPhone(phone) {
-  const digits = normalizePhone(phone);
-  
-  if (digits.length === 10) {
-    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-  }
-  
-  if (digits.length === 11 && digits[0] === '1') {
-    return `+1 (${digits.slice(1, 4)}) ${digits.slice(4, 7)}-${digits.slice(7)}`;
-  }
-  
-  return phone;
+  return getFormSchema().validateValue(email, { type: 'email', required });
 }
 
 /**
@@ -193,54 +78,7 @@ function formatPhone(phone) {
  * @returns {ValidationResult} Validation result
  */
 function validatePhone(phone, required = false) {
-  const sanitized = sanitizeString(phone);
-  
-  if (!sanitized) {
-    if (required) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.REQUIRED,
-        value: sanitized,
-      };
-    }
-    return {
-      isValid: true,
-      error: null,
-      value: sanitized,
-    };
-  }
-  
-  if (!VALIDATION_CONFIG.PHONE_REGEX.test(sanitized)) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.PHONE_CHARACTERS,
-      value: sanitized,
-    };
-  }
-  
-  const digits = normalizePhone(sanitized);
-  
-  if (digits.length < VALIDATION_CONFIG.MIN_PHONE_DIGITS) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.PHONE_FORMAT,
-      value: sanitized,
-    };
-  }
-  
-  if (digits.length > VALIDATION_CONFIG.MAX_PHONE_DIGITS) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.PHONE_FORMAT,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: formatPhone(sanitized),
-  };
+  return getFormSchema().validateValue(phone, { type: 'tel', required });
 }
 
 /**
@@ -250,44 +88,7 @@ function validatePhone(phone, required = false) {
  * @returns {ValidationResult} Validation result
  */
 function validateName(name, required = true) {
-  const sanitized = sanitizeString(name);
-  
-  if (!sanitized) {
-    if (required) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.REQUIRED,
-        value: sanitized,
-      };
-    }
-    return {
-      isValid: true,
-      error: null,
-      value: sanitized,
-    };
-  }
-  
-  if (sanitized.length < VALIDATION_CONFIG.MIN_NAME_LENGTH) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.NAME_TOO_SHORT,
-      value: sanitized,
-    };
-  }
-  
-  if (sanitized.length > VALIDATION_CONFIG.MAX_NAME_LENGTH) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.NAME_TOO_LONG,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: sanitized,
-  };
+  return getFormSchema().validateValue(name, { type: 'name', required });
 }
 
 /**
@@ -297,44 +98,7 @@ function validateName(name, required = true) {
  * @returns {ValidationResult} Validation result
  */
 function validateMessage(message, required = true) {
-  const sanitized = sanitizeString(message);
-  
-  if (!sanitized) {
-    if (required) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.REQUIRED,
-        value: sanitized,
-      };
-    }
-    return {
-      isValid: true,
-      error: null,
-      value: sanitized,
-    };
-  }
-  
-  if (sanitized.length < VALIDATION_CONFIG.MIN_MESSAGE_LENGTH) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.MESSAGE_TOO_SHORT,
-      value: sanitized,
-    };
-  }
-  
-  if (sanitized.length > VALIDATION_CONFIG.MAX_MESSAGE_LENGTH) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.MESSAGE_TOO_LONG,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: sanitized,
-  };
+  return getFormSchema().validateValue(message, { type: 'message', required });
 }
 
 /**
@@ -344,44 +108,13 @@ function validateMessage(message, required = true) {
  * @returns {ValidationResult} Validation result
  */
 function validateGrade(grade, required = true) {
-  const sanitized = sanitizeString(grade);
-  
-  if (!sanitized || sanitized === '') {
-    if (required) {
-      return {
-        isValid: false,
-        error: ERROR_MESSAGES.REQUIRED,
-        value: sanitized,
-      };
-    }
-    return {
-      isValid: true,
-      error: null,
-      value: sanitized,
-    };
-  }
-  
-  const validGrades = ['k', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
-  
-  if (!validGrades.includes(sanitized.toLowerCase())) {
-    return {
-      isValid: false,
-      error: ERROR_MESSAGES.GRADE_INVALID,
-      value: sanitized,
-    };
-  }
-  
-  return {
-    isValid: true,
-    error: null,
-    value: sanitized,
-  };
+  return getFormSchema().validateValue(grade, { type: 'grade', required });
 }
 
 /**
  * Validate field based on type and constraints
  * @param {string} value - Field value
- * @param {string} type - Field type (email, phone, text, textarea, select)
+ * @param {string} type - FormSchema type (email, tel, name, message, grade, ...); other types get only the generic required check
  * @param {Object} [options={}] - Validation options
  * @param {boolean} [options.required=true] - Whether field is required
  * @param {string} [options.fieldName] - Field name for error messages
@@ -391,27 +124,7 @@ function validateField(value, type, options = {}) {
   const { required = true, fieldName = 'Field' } = options;
   
   try {
-    switch (type) {
-      case 'email':
-        return validateEmail(value, required);
-      
-      case 'tel':
-      case 'phone':
-        return validatePhone(value, required);
-      
-      case 'textarea':
-        return validateMessage(value, required);
-      
-      case 'select':
-        return validateGrade(value, required);
-      
-      case 'text':
-      case 'name':
-        return validateName(value, required);
-      
-      default:
-        return validateRequired(value, fieldName);
-    }
+    return getFormSchema().validateValue(value, { type, required });
   } catch (error) {
     console.error('[Validation] Field validation error', {
       type,
@@ -422,6 +135,7 @@ function validateField(value, type, options = {}) {
     return {
       isValid: false,
       error: 'Validation error occurred',
+      code: null,
       value: sanitizeString(value),
     };
   }
@@ -527,7 +241,8 @@ function createFieldState() {
  * @returns {string} Error message
  */
 function generateErrorMessage(fieldName, errorType, context = {}) {
-  const baseMessage = ERROR_MESSAGES[errorType] || ERROR_MESSAGES.REQUIRED;
+  const messages = getFormSchema().MESSAGES;
+  const baseMessage = messages[errorType] || messages.REQUIRED;
   
   if (context.customMessage) {
     return context.customMessage;
@@ -539,35 +254,16 @@ function generateErrorMessage(fieldName, errorType, context = {}) {
 /**
  * Validate multiple fields
  * @param {Object} fields - Object with field values keyed by field name
- * @param {Object} schema - Validation schema
+ * @param {Object} [schema] - Validation schema (defaults to FormSchema.CONTACT_SCHEMA)
  * @returns {Object} Validation results keyed by field name
  */
 function validateFields(fields, schema) {
-  const results = {};
-  
   try {
-    for (const [fieldName, value] of Object.entries(fields)) {
-      const fieldSchema = schema[fieldName];
-      
-      if (!fieldSchema) {
-        console.warn('[Validation] No schema found for field', fieldName);
-        continue;
-      }
-      
-      results[fieldName] = validateField(
-        value,
-        fieldSchema.type,
-        {
-          required: fieldSchema.required !== false,
-          fieldName,
-        }
-      );
-    }
+    return getFormSchema().validateFields(fields, schema, { partial: true });
   } catch (error) {
     console.error('[Validation] Multiple field validation error', error);
+    return {};
   }
-  
-  return results;
 }
 
 /**
@@ -592,10 +288,14 @@ if (typeof window !== 'undefined') {
     isFormValid,
     createFieldState,
     generateErrorMessage,
-    formatPhone,
-    normalizePhone,
+    formatPhone: (phone) => getFormSchema().formatPhone(phone),
+    normalizePhone: (phone) => getFormSchema().normalizePhone(phone),
     sanitizeString,
-    ERROR_MESSAGES,
-    VALIDATION_CONFIG,
+    get ERROR_MESSAGES() {
+      return getFormSchema().MESSAGES;
+    },
+    get VALIDATION_CONFIG() {
+      return getFormSchema().LIMITS;
+    },
   };
 }
\ No newline at end of file
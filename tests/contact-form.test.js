@@ -0,0 +1,206 @@
+/**
+ * Contact form validation and drafts against the mock contact server:
+ * client-side checks, field errors the server sends back, and draft
+ * autosave and restore.
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+  silenceConsole,
+  startMockServer,
+  openContactPage,
+  closeContactPage,
+  fillField,
+  fillValidInquiry,
+  waitFor,
+  submitAndSettle
+} from './support/contact-page.js';
+
+const DRAFT_STORAGE_KEY = 'homeschoolhub:contact-draft:contact-form';
+const DRAFT_SAVE_DELAY = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('contact form validation', () => {
+  let server;
+  let page;
+
+  before(async () => {
+    silenceConsole();
+    server = await startMockServer();
+  });
+
+  afterEach(async () => {
+    await closeContactPage(page);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Registers a JSON transport that rewrites the payload before sending it
+   * @param {Function} rewrite - Receives the collected data, returns the payload
+   */
+  function useRewritingTransport(rewrite) {
+    page.form.dataset.submitEncoding = 'rewritten-json';
+    page.ContactForm.registerSubmissionTransport('rewritten-json', {
+      encode(data) {
+        return {
+          body: JSON.stringify(rewrite(data)),
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+        };
+      }
+    });
+  }
+
+  /**
+   * Waits for the next `contactform:rejected` event
+   * @returns {Promise<Object>} Event detail
+   */
+  function nextRejection() {
+    return new Promise((resolve) => {
+      page.form.addEventListener('contactform:rejected', (event) => resolve(event.detail), { once: true });
+    });
+  }
+
+  it('blocks an invalid submission before it reaches the server', async () => {
+    page = await openContactPage({ serverUrl: server.url });
+    fillValidInquiry(page.form);
+    fillField(page.form, 'email', 'not-an-email');
+
+    const requests = server.logs.length;
+    page.form.requestSubmit();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const email = page.form.elements.namedItem('email');
+    assert.equal(email.getAttribute('aria-invalid'), 'true');
+    assert.notEqual(page.document.getElementById(email.getAttribute('aria-describedby')).textContent, '');
+    assert.equal(server.logs.length, requests);
+  });
+
+  it('shows field errors the server rejects with 422', async () => {
+    page = await openContactPage({ serverUrl: server.url });
+    useRewritingTransport((data) => ({ ...data, email: undefined }));
+    fillValidInquiry(page.form);
+
+    const rejected = nextRejection();
+    await submitAndSettle(page);
+    const detail = await rejected;
+
+    assert.equal(detail.status, 422);
+    assert.ok(detail.fieldErrors.email);
+    assert.equal(page.form.elements.namedItem('email').getAttribute('aria-invalid'), 'true');
+    assert.doesNotMatch(page.message.textContent, /queued/i);
+  });
+
+  it('rejects a consultation slot that is already booked with 409', async () => {
+    const feed = await (await fetch(`${server.url}/consultation-slots`)).json();
+    const { minimumNoticeHours, slots } = feed.consultationSlots;
+    const earliest = Date.now() + minimumNoticeHours * 60 * 60 * 1000;
+    const slot = slots.find((candidate) => candidate.available && Date.parse(candidate.start) > earliest);
+
+    page = await openContactPage({ serverUrl: server.url });
+    useRewritingTransport((data) => ({ ...data, consultationSlot: slot.id }));
+    fillValidInquiry(page.form);
+    await submitAndSettle(page);
+    assert.match(page.message.textContent, /thank you/i);
+
+    fillValidInquiry(page.form);
+    const rejected = nextRejection();
+    await submitAndSettle(page);
+    const detail = await rejected;
+
+    assert.equal(detail.status, 409);
+    assert.ok(detail.fieldErrors.consultationSlot);
+  });
+});
+
+describe('contact form drafts', () => {
+  let server;
+  let page;
+
+  before(async () => {
+    silenceConsole();
+    server = await startMockServer();
+  });
+
+  afterEach(async () => {
+    await closeContactPage(page);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Reads the saved draft
+   * @returns {Object|null} Draft or null
+   */
+  function readDraft() {
+    return JSON.parse(page.window.localStorage.getItem(DRAFT_STORAGE_KEY));
+  }
+
+  it('saves a draft without the honeypot field after typing stops', async () => {
+    page = await openContactPage({ serverUrl: server.url });
+    fillField(page.form, 'website', 'spam.example');
+    fillField(page.form, 'parentName', 'Jordan Rivera');
+
+    await waitFor(() => readDraft() !== null, DRAFT_SAVE_DELAY * 3);
+
+    const draft = readDraft();
+    assert.equal(draft.values.parentName, 'Jordan Rivera');
+    assert.equal('website' in draft.values, false);
+  });
+
+  it('offers to restore a saved draft', async () => {
+    page = await openContactPage({
+      serverUrl: server.url,
+      storage: {
+        [DRAFT_STORAGE_KEY]: {
+          savedAt: Date.now() - DAY,
+          studentCount: 1,
+          values: { parentName: 'Jordan Rivera', message: 'Saved earlier' },
+          touchedFields: []
+        }
+      }
+    });
+
+    const restore = page.document.querySelector('[data-draft-restore]');
+    assert.ok(restore);
+
+    restore.click();
+
+    assert.equal(page.form.elements.namedItem('parentName').value, 'Jordan Rivera');
+    assert.equal(page.form.elements.namedItem('message').value, 'Saved earlier');
+    assert.equal(page.document.querySelector('.draft-prompt'), null);
+  });
+
+  it('discards a draft older than a week', async () => {
+    page = await openContactPage({
+      serverUrl: server.url,
+      storage: {
+        [DRAFT_STORAGE_KEY]: {
+          savedAt: Date.now() - 8 * DAY,
+          studentCount: 1,
+          values: { parentName: 'Jordan Rivera' },
+          touchedFields: []
+        }
+      }
+    });
+
+    assert.equal(page.document.querySelector('.draft-prompt'), null);
+    assert.equal(readDraft(), null);
+  });
+
+  it('clears the draft once the inquiry is delivered', async () => {
+    page = await openContactPage({ serverUrl: server.url });
+    fillValidInquiry(page.form);
+
+    await waitFor(() => readDraft() !== null, DRAFT_SAVE_DELAY * 3);
+    await submitAndSettle(page);
+
+    assert.match(page.message.textContent, /thank you/i);
+    assert.equal(readDraft(), null);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Contact form submission against the mock contact server: the JSON and
+ * multipart transports, and which failures are queued for retry.
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+  silenceConsole,
+  startMockServer,
+  openContactPage,
+  closeContactPage,
+  fillValidInquiry,
+  waitFor,
+  submitAndSettle
+} from './support/contact-page.js';
+
+const QUEUE_STORAGE_KEY = 'homeschoolhub:contact-queue';
+
+describe('contact form submission', () => {
+  let server;
+  let page;
+
+  before(async () => {
+    silenceConsole();
+    server = await startMockServer();
+  });
+
+  afterEach(async () => {
+    await closeContactPage(page);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Reads the persisted retry queue
+   * @returns {Object[]} Queued entries
+   */
+  function readQueue() {
+    return JSON.parse(page.window.localStorage.getItem(QUEUE_STORAGE_KEY) || '[]');
+  }
+
+  for (const encoding of ['json', 'multipart']) {
+    it(`delivers an inquiry with the ${encoding} transport`, async () => {
+      page = await openContactPage({ serverUrl: server.url, encoding });
+      fillValidInquiry(page.form);
+
+      const submitted = new Promise((resolve) => {
+        page.form.addEventListener('contactform:submitted', (event) => resolve(event.detail));
+      });
+
+      await submitAndSettle(page);
+      const detail = await submitted;
+
+      assert.equal(detail.queued, false);
+      assert.equal(detail.result.status, 201);
+      assert.equal(detail.data.students[0].gradeLevel, 'grade-3');
+      assert.ok(server.logs.some((entry) => entry.message === 'Accepted submission'));
+      assert.match(page.message.textContent, /thank you/i);
+    });
+  }
+
+  it('uses a transport registered at runtime', async () => {
+    page = await openContactPage({ serverUrl: server.url, encoding: 'urlencoded' });
+    page.ContactForm.registerSubmissionTransport('urlencoded', {
+      encode(data) {
+        const body = new URLSearchParams({
+          parentName: data.parentName,
+          email: data.email,
+          message: data.message,
+          contactMethod: data.contactMethod,
+          'students[0].name': data.students[0].name,
+          'students[0].gradeLevel': data.students[0].gradeLevel
+        });
+
+        return { body, headers: { Accept: 'application/json' } };
+      }
+    });
+    fillValidInquiry(page.form);
+
+    await submitAndSettle(page);
+
+    assert.match(page.message.textContent, /thank you/i);
+    assert.deepEqual(readQueue(), []);
+  });
+
+  it('queues an inquiry when the server fails with 503', async () => {
+    page = await openContactPage({ serverUrl: server.url, query: '?status=503' });
+    fillValidInquiry(page.form);
+
+    await submitAndSettle(page);
+
+    assert.match(page.message.textContent, /queued/i);
+    assert.equal(readQueue().length, 1);
+
+    // Drop the entry so its backoff timer has nothing left to send
+    page.window.localStorage.removeItem(QUEUE_STORAGE_KEY);
+    page.window.dispatchEvent(new page.window.Event('online'));
+  });
+
+  for (const status of [403, 404, 405, 413]) {
+    it(`shows a ${status} response as a failure without queueing it`, async () => {
+      page = await openContactPage({ serverUrl: server.url, query: `?status=${status}` });
+      fillValidInquiry(page.form);
+
+      await submitAndSettle(page);
+
+      assert.doesNotMatch(page.message.textContent, /queued/i);
+      assert.match(page.message.textContent, /failed to submit/i);
+      assert.deepEqual(readQueue(), []);
+    });
+  }
+
+  it('sends a queued inquiry once the connection returns', async () => {
+    page = await openContactPage({ serverUrl: server.url });
+    fillValidInquiry(page.form);
+
+    Object.defineProperty(page.window.navigator, 'onLine', { value: false, configurable: true });
+    await submitAndSettle(page);
+
+    assert.match(page.message.textContent, /queued/i);
+    assert.equal(readQueue().length, 1);
+
+    const accepted = server.logs.filter((entry) => entry.message === 'Accepted submission').length;
+
+    Object.defineProperty(page.window.navigator, 'onLine', { value: true, configurable: true });
+    page.window.dispatchEvent(new page.window.Event('online'));
+
+    await waitFor(() => readQueue().length === 0);
+    assert.equal(server.logs.filter((entry) => entry.message === 'Accepted submission').length, accepted + 1);
+    assert.match(page.message.textContent, /thank you/i);
+  });
+});
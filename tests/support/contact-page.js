@@ -0,0 +1,194 @@
+/**
+ * Contact Page Test Harness
+ *
+ * Loads src/index.html into jsdom, exposes its window as the globals the
+ * browser modules expect and imports a fresh copy of src/js/contact.js
+ * against it. Submissions go to a real scripts/mock-contact-server.js
+ * instance on a random port.
+ */
+
+import fs from 'fs';
+import { mock } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { createMockContactServer } from '../../scripts/mock-contact-server.js';
+
+const INDEX_HTML = fs.readFileSync(new URL('../../src/index.html', import.meta.url), 'utf8');
+
+const BROWSER_GLOBALS = [
+  'window',
+  'document',
+  'navigator',
+  'localStorage',
+  'sessionStorage',
+  'CustomEvent',
+  'Event',
+  'HTMLElement',
+  'RadioNodeList'
+];
+
+const NodeFormData = globalThis.FormData;
+
+let pageCount = 0;
+
+/**
+ * Mutes the modules' console logging for the rest of the test file
+ */
+function silenceConsole() {
+  ['log', 'info', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+}
+
+/**
+ * Starts a mock contact server that records what it logs
+ * @returns {Promise<{url: string, logs: Object[], close: Function}>} Running server
+ */
+async function startMockServer() {
+  const logs = [];
+  const server = createMockContactServer({
+    delay: 0,
+    logger: (message, details) => logs.push({ message, details })
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    logs,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * Opens the landing page with the contact form wired to a mock server
+ * @param {Object} options - Page options
+ * @param {string} options.serverUrl - Mock server origin
+ * @param {string} [options.query=''] - Query string added to the submit endpoint
+ * @param {string} [options.encoding] - `data-submit-encoding` for the form
+ * @param {Object} [options.storage={}] - localStorage entries present before the page loads
+ * @returns {Promise<Object>} Page handle
+ */
+async function openContactPage({ serverUrl, query = '', encoding, storage = {} }) {
+  const dom = new JSDOM(INDEX_HTML, { url: 'http://localhost/' });
+  const { window } = dom;
+
+  BROWSER_GLOBALS.forEach((name) => {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true
+    });
+  });
+
+  // fetch only sends Node's own FormData, so copy the page's form entries into one
+  Object.defineProperty(globalThis, 'FormData', {
+    value: class PageFormData extends NodeFormData {
+      constructor(form) {
+        super();
+
+        if (form) {
+          new window.FormData(form).forEach((value, key) => this.append(key, value));
+        }
+      }
+    },
+    configurable: true,
+    writable: true
+  });
+
+  Object.entries(storage).forEach(([key, value]) => {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  });
+
+  const form = window.document.getElementById('contact-form');
+  form.dataset.submitEndpoint = `${serverUrl}/submit-contact${query}`;
+
+  if (encoding) {
+    form.dataset.submitEncoding = encoding;
+  }
+
+  pageCount += 1;
+  const { ContactForm } = await import(`../../src/js/contact.js?page=${pageCount}`);
+
+  return {
+    window,
+    document: window.document,
+    form,
+    ContactForm,
+    message: window.document.getElementById('form-message')
+  };
+}
+
+/**
+ * Waits for the page's screen reader announcements to clear, since they are
+ * removed from whichever document is global when their timer fires
+ * @param {Object} page - Page handle from openContactPage
+ * @returns {Promise<void>}
+ */
+async function closeContactPage(page) {
+  await waitFor(() => !page.document.querySelector('body > .sr-only[role="status"]'));
+}
+
+/**
+ * Sets a field's value as if the visitor typed or picked it
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Field name
+ * @param {string} value - New value
+ */
+function fillField(form, name, value) {
+  const field = form.elements.namedItem(name);
+  field.value = value;
+  field.dispatchEvent(new field.ownerDocument.defaultView.Event('input', { bubbles: true }));
+}
+
+/**
+ * Fills every required field with valid values
+ * @param {HTMLFormElement} form - Form element
+ */
+function fillValidInquiry(form) {
+  fillField(form, 'parentName', 'Jordan Rivera');
+  fillField(form, 'email', 'jordan@example.com');
+  fillField(form, 'phone', '(555) 123-4567');
+  fillField(form, 'students[0].name', 'Sam Rivera');
+  fillField(form, 'students[0].gradeLevel', 'grade-3');
+  fillField(form, 'message', 'We would like to hear about the grade 3 program.');
+  fillField(form, 'contactMethod', 'email');
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeout=3000] - Give up after this many milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 3000) {
+  const startedAt = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Submits the form and waits for the submission to settle
+ * @param {Object} page - Page handle from openContactPage
+ * @returns {Promise<void>}
+ */
+async function submitAndSettle(page) {
+  const button = page.form.querySelector('button[type="submit"]');
+
+  page.form.requestSubmit();
+  await waitFor(() => button.getAttribute('aria-busy') !== 'true' && page.message.textContent.trim() !== '');
+}
+
+export {
+  silenceConsole,
+  startMockServer,
+  openContactPage,
+  closeContactPage,
+  fillField,
+  fillValidInquiry,
+  waitFor,
+  submitAndSettle
+};